@@ -28,4 +28,10 @@ function logOut() {
 
 // socket events
 
+// invite links land on /?join=<code>, join that room straight away
+const inviteCode = new URLSearchParams(window.location.search).get("join");
+if (inviteCode) {
+	socket.emit("joinRoom", { code: inviteCode });
+}
+
 // transform
\ No newline at end of file
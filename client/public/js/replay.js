@@ -0,0 +1,216 @@
+"use strict"
+
+// replay viewer - plays a saved match's event log back at an adjustable speed
+
+const replayContainer = document.getElementById("replay");
+const playButton = document.getElementById("replay-play");
+const speedSelect = document.getElementById("replay-speed");
+const positionSlider = document.getElementById("replay-position");
+const timeLabel = document.getElementById("replay-time");
+const summaryLabel = document.getElementById("replay-summary");
+const lastWordLabel = document.getElementById("replay-last-word");
+const turnLabel = document.getElementById("replay-turn");
+const playersTable = document.getElementById("replay-players");
+const eventLog = document.getElementById("replay-log");
+
+const playback = {
+	replay: null,
+	position: 0, // milliseconds into the game
+	nextEvent: 0, // index of the first event not applied yet
+	isPlaying: false,
+	lastFrame: null,
+	frame: null, // the pending animation frame
+	game: null,
+};
+
+// formats milliseconds as m:ss
+function formatTime(ms) {
+	const totalSeconds = Math.floor(ms / 1000);
+	return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, "0")}`;
+}
+
+// the state of the game before any event has been applied
+function createGameState() {
+	return { players: new Map(), currentTurn: null, turnEndsAt: null, lastWord: null, isOver: false, log: [] };
+}
+
+// describes an event for the log, null for events that only change the scoreboard
+function describeEvent(event) {
+	switch (event.type) {
+		case "join":
+			return `${event.username} joined${event.isBot ? " (bot)" : ""}`;
+		case "leave":
+			return `${event.username} left`;
+		case "disconnect":
+			return `${event.username} disconnected`;
+		case "reconnect":
+			return `${event.username} reconnected`;
+		case "turnStart":
+			return `${event.username}'s turn`;
+		case "submission":
+			return event.accepted
+				? `${event.username} played '${event.word}'`
+				: `${event.username} tried '${event.word}': ${event.reason}`;
+		case "timeout":
+			return `${event.username} ran out of time`;
+		case "score":
+			return `${event.username} ${event.change >= 0 ? "+" : ""}${event.change} (${event.reason})`;
+		case "gameEnded":
+			return `Game over: ${event.reason}`;
+		default:
+			return null;
+	}
+}
+
+// applies one event to the game state
+function applyEvent(game, event) {
+	switch (event.type) {
+		case "join":
+		case "reconnect":
+			if (!game.players.has(event.username)) game.players.set(event.username, { points: 0 });
+			game.players.get(event.username).isGone = false;
+			break;
+		case "leave":
+		case "disconnect":
+			if (game.players.has(event.username)) game.players.get(event.username).isGone = true;
+			break;
+		case "turnStart":
+			game.currentTurn = event.username;
+			game.turnEndsAt = event.at + event.turnTimeSeconds * 1000;
+			game.lastWord = event.lastWord;
+			break;
+		case "submission":
+			if (event.accepted) game.lastWord = event.word.toLowerCase().trim();
+			break;
+		case "score":
+			if (!game.players.has(event.username)) game.players.set(event.username, { points: 0 });
+			game.players.get(event.username).points = event.total;
+			break;
+		case "gameEnded":
+			game.currentTurn = null;
+			game.turnEndsAt = null;
+			game.isOver = true;
+			break;
+	}
+
+	const description = describeEvent(event);
+	if (description) {
+		game.log.push({ at: event.at, description, isRejected: event.type === "submission" && !event.accepted });
+	}
+}
+
+// applies every event up to the playback position
+function applyEventsUntilPosition() {
+	const events = playback.replay.events;
+	while (playback.nextEvent < events.length && events[playback.nextEvent].at <= playback.position) {
+		applyEvent(playback.game, events[playback.nextEvent]);
+		playback.nextEvent++;
+	}
+}
+
+// jumps to a position by replaying the game from the start
+function seek(position) {
+	playback.position = Math.min(Math.max(position, 0), playback.replay.durationMs);
+	playback.nextEvent = 0;
+	playback.game = createGameState();
+	applyEventsUntilPosition();
+	render();
+}
+
+// draws the game as it was at the playback position
+function render() {
+	const { game, position, replay } = playback;
+
+	positionSlider.value = position;
+	timeLabel.textContent = `${formatTime(position)} / ${formatTime(replay.durationMs)}`;
+	lastWordLabel.textContent = game.lastWord || "-";
+
+	if (game.currentTurn) {
+		const secondsLeft = Math.max(Math.ceil((game.turnEndsAt - position) / 1000), 0);
+		turnLabel.textContent = `${game.currentTurn}'s turn, ${secondsLeft}s left`;
+	} else {
+		turnLabel.textContent = game.isOver ? "Game over" : "Waiting for the game to start";
+	}
+
+	playersTable.replaceChildren(...Array.from(game.players, ([username, player]) => {
+		const row = document.createElement("tr");
+		const nameCell = document.createElement("td");
+		const pointsCell = document.createElement("td");
+		nameCell.textContent = username;
+		if (player.isGone) nameCell.classList.add("text-muted");
+		if (username === game.currentTurn) nameCell.classList.add("fw-bold");
+		pointsCell.textContent = player.points;
+		row.append(nameCell, pointsCell);
+		return row;
+	}));
+
+	eventLog.replaceChildren(...game.log.slice().reverse().map((entry) => {
+		const item = document.createElement("li");
+		const time = document.createElement("small");
+		time.className = "text-muted me-2";
+		time.textContent = formatTime(entry.at);
+		item.append(time, entry.description);
+		if (entry.isRejected) item.classList.add("text-danger");
+		return item;
+	}));
+}
+
+// moves the playback on by the time since the last frame, scaled by the speed
+function onFrame(now) {
+	if (!playback.isPlaying) return;
+
+	if (playback.lastFrame !== null) {
+		playback.position += (now - playback.lastFrame) * Number(speedSelect.value);
+	}
+	playback.lastFrame = now;
+
+	if (playback.position >= playback.replay.durationMs) {
+		playback.position = playback.replay.durationMs;
+		setPlaying(false);
+	}
+
+	applyEventsUntilPosition();
+	render();
+
+	if (playback.isPlaying) playback.frame = requestAnimationFrame(onFrame);
+}
+
+// starts or pauses the playback
+function setPlaying(isPlaying) {
+	cancelAnimationFrame(playback.frame);
+	playback.isPlaying = isPlaying;
+	playback.lastFrame = null;
+	playButton.textContent = isPlaying ? "Pause" : "Play";
+
+	if (isPlaying) playback.frame = requestAnimationFrame(onFrame);
+}
+
+playButton.addEventListener("click", () => {
+	// playing from the end starts over
+	if (!playback.isPlaying && playback.position >= playback.replay.durationMs) seek(0);
+	setPlaying(!playback.isPlaying);
+});
+
+positionSlider.addEventListener("input", () => seek(Number(positionSlider.value)));
+
+fetch(`/api/matches/${replayContainer.dataset.matchId}/replay`, { credentials: "include" })
+	.then((response) => {
+		if (!response.ok) throw new Error(response.status === 404 ? "This match does not exist" : "Could not load the replay");
+		return response.json();
+	})
+	.then((replay) => {
+		playback.replay = replay;
+		summaryLabel.textContent = `${replay.mode} game on ${replay.dictionary}, ended ${replay.endedAt}: ${replay.endReason}`;
+
+		if (replay.events.length === 0) {
+			summaryLabel.textContent += " (no replay was recorded for this match)";
+		}
+
+		positionSlider.max = replay.durationMs;
+		positionSlider.disabled = false;
+		playButton.disabled = false;
+		seek(0);
+	})
+	.catch((error) => {
+		summaryLabel.textContent = error.message;
+	});
@@ -10,6 +10,12 @@ const expressStaticGzip = require("express-static-gzip");
 require("dotenv").config();
 const PORT = process.env.PORT || 3000;
 
+// dictionaries - registered once here and shared by every game room
+require("./src/services/dictionary-service.js").loadDictionaries();
+
+// leaderboards - weekly and monthly periods are archived in the background once they end
+require("./src/services/leaderboard-service.js").startArchiver();
+
 // socketIO
 const app = express();
 const server = http.createServer(app);
@@ -2,21 +2,57 @@ require("dotenv").config();
 const jwt = require("jsonwebtoken");
 const jwtSecretKey = process.env.JWT_SECRET_KEY;
 
-// This is the middleware function to validate the JWT
-module.exports.validateTokenMiddleWare = async (req, res, next) => {
-	let token = null;
+// where a logged out user was headed, kept across the login and landing pages
+const LOGIN_REDIRECT_COOKIE = "loginRedirect";
+const LOGIN_REDIRECT_MAX_AGE_MS = 15 * 60 * 1000;
 
-	// Try to get the token from the Authorization header (Bearer <token>)
-	const authHeader = req.headers["authorization"];
-	if (authHeader && authHeader.startsWith("Bearer ")) {
-		token = authHeader.split(" ")[1];
+// Only paths on this site are followed after login, anything else (other hosts, //host, javascript:) is dropped
+function getSafeRedirect(redirect) {
+	if (typeof redirect !== "string" || !redirect.startsWith("/") || redirect.startsWith("//") || redirect.startsWith("/\\")) {
+		return null;
+	}
+
+	try {
+		const base = "http://localhost";
+		const url = new URL(redirect, base);
+		const path = `${url.pathname}${url.search}${url.hash}`;
+
+		// dot segments can normalise into a protocol relative //host path
+		if (url.origin !== base || path.startsWith("//")) return null;
+		return path;
+	} catch (error) {
+		return null;
 	}
+}
+module.exports.getSafeRedirect = getSafeRedirect;
+
+// Gets the page to send a user to once they are logged in, from the query, the body or the login redirect cookie
+module.exports.getLoginRedirect = (req) => {
+	return getSafeRedirect(req.query?.redirect)
+		|| getSafeRedirect(req.body?.redirect)
+		|| getSafeRedirect(req.cookies?.[LOGIN_REDIRECT_COOKIE]);
+};
+
+// Forgets the page a user was headed to, once they have been sent there
+module.exports.clearLoginRedirect = (res) => {
+	res.clearCookie(LOGIN_REDIRECT_COOKIE, { path: "/", httpOnly: true, sameSite: "lax" });
+};
 
-	// If no token found in Authorization header, fallback to cookies
-	if (!token && req.cookies && req.cookies.token) {
-		token = req.cookies.token; // If present, get the token from cookies
+// Gets the JWT sent with a request, from the Authorization header (Bearer <token>) or else the token cookie
+function getRequestToken(req) {
+	const authHeader = req.headers["authorization"];
+	if (authHeader && authHeader.startsWith("Bearer ") && authHeader.split(" ")[1]) {
+		return authHeader.split(" ")[1];
 	}
 
+	return (req.cookies && req.cookies.token) || null;
+}
+module.exports.getRequestToken = getRequestToken;
+
+// This is the middleware function to validate the JWT
+module.exports.validateTokenMiddleWare = async (req, res, next) => {
+	const token = getRequestToken(req);
+
 	// If there's still no token, redirect the user or send a response
 	if (!token) {
 		return res.redirect("/landing"); // or return a 401 status if you prefer
@@ -36,22 +72,40 @@ module.exports.validateTokenMiddleWare = async (req, res, next) => {
 	}
 };
 
+// Same as validateTokenMiddleWare, but sends logged out users through the login page and back
+module.exports.validateTokenOrLoginRedirect = (req, res, next) => {
+	const token = getRequestToken(req);
 
-module.exports.functionValidateTokenAndReroute = async (req, res, route) => {
-	if(route == "signup") return res.render("signup");
-
-	let token = null;
+	// login sends the user back here, the cookie remembers it even if they go through the landing page first
+	const sendToLogin = () => {
+		res.cookie(LOGIN_REDIRECT_COOKIE, req.originalUrl, {
+			path: "/",
+			httpOnly: true,
+			sameSite: "lax",
+			maxAge: LOGIN_REDIRECT_MAX_AGE_MS
+		});
+		return res.redirect(`/login?redirect=${encodeURIComponent(req.originalUrl)}`);
+	};
 
-	// Try to get the token from the Authorization header (Bearer <token>)
-	const authHeader = req.headers["authorization"];
-	if (authHeader && authHeader.startsWith("Bearer ")) {
-		token = authHeader.split(" ")[1];
+	if (!token) {
+		return sendToLogin();
 	}
 
-	// If no token found in Authorization header, fallback to cookies
-	if (!token && req.cookies && req.cookies.token) {
-		token = req.cookies.token;
+	try {
+		req.userData = jwt.verify(token, jwtSecretKey);
+		next();
+	} catch (err) {
+		console.error("Token validation error:", err);
+		return sendToLogin();
 	}
+};
+
+module.exports.functionValidateTokenAndReroute = async (req, res, route) => {
+	if(route == "signup") return res.render("signup");
+
+	const redirect = module.exports.getLoginRedirect(req);
+
+	const token = getRequestToken(req);
 
 	// If there's no token, redirect to login or the desired route
 	if (!token) {
@@ -63,13 +117,14 @@ module.exports.functionValidateTokenAndReroute = async (req, res, route) => {
 		jwt.verify(token, jwtSecretKey, (err, decoded) => {
 			if (err) {
 				console.error("Token verification error:", err);
-				return res.render(route); // Render the fallback route in case of error
+				return res.render(route, { redirect }); // Render the fallback route in case of error
 			}
 
 			// Attach the decoded token data to req.userData
 			req.userData = decoded;
-			// Redirect or continue with the request processing
-			return res.redirect("/");
+			// Already logged in, go where the user was headed
+			module.exports.clearLoginRedirect(res);
+			return res.redirect(redirect || "/");
 		});
 	} catch (e) {
 		console.error("Middleware error", e);
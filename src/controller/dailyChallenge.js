@@ -0,0 +1,35 @@
+const dailyChallengeService = require("../services/daily-challenge-service.js");
+
+// Get today's challenge and the logged in user's attempt at it, if they have played
+module.exports.getDailyChallenge = async (req, res, next) => {
+	try {
+		const challenge = dailyChallengeService.getDailyChallenge();
+		const attempt = await dailyChallengeService.getAttempt(req.userData.username, challenge.date);
+
+		res.status(200).json({ challenge, attempt });
+	} catch (error) {
+		console.error("Error getting daily challenge:", error);
+		next(error);
+	}
+}
+
+// Get the leaderboard of a day's challenge, today's unless a date is given
+module.exports.getDailyLeaderboard = async (req, res, next) => {
+	try {
+		const date = req.query.date || dailyChallengeService.getDateKey();
+		if (!dailyChallengeService.isDateKey(date)) {
+			return res.status(400).json({ message: "Date must be a day, e.g. 2024-01-31" });
+		}
+
+		const limit = req.query.limit ? parseInt(req.query.limit, 10) || undefined : undefined;
+		const leaderboard = await dailyChallengeService.getDailyLeaderboard({ date, limit });
+		if (!leaderboard) {
+			return res.status(404).json({ message: "There is no challenge for that day." });
+		}
+
+		res.status(200).json(leaderboard);
+	} catch (error) {
+		console.error("Error getting daily leaderboard:", error);
+		next(error);
+	}
+}
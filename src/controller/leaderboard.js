@@ -0,0 +1,66 @@
+const leaderboardService = require("../services/leaderboard-service.js");
+
+// Reads the metric and window from the query string, falling back to the all-time wins leaderboard
+function readLeaderboardQuery(req) {
+	return {
+		metric: req.query.metric || "wins",
+		window: req.query.window || "allTime",
+		limit: req.query.limit ? parseInt(req.query.limit, 10) || undefined : undefined,
+	};
+}
+
+// Get a current leaderboard as JSON
+module.exports.getLeaderboard = async (req, res, next) => {
+	try {
+		const query = readLeaderboardQuery(req);
+		const queryError = leaderboardService.getQueryError(query.metric, query.window);
+		if (queryError) {
+			return res.status(400).json({ message: queryError });
+		}
+
+		res.status(200).json(await leaderboardService.getLeaderboard(query));
+	} catch (error) {
+		console.error("Error getting leaderboard:", error);
+		next(error);
+	}
+}
+
+// Get the archived final leaderboard of an ended weekly or monthly period as JSON
+module.exports.getArchivedLeaderboard = async (req, res, next) => {
+	try {
+		const { metric, window } = readLeaderboardQuery(req);
+		const queryError = leaderboardService.getQueryError(metric, window);
+		if (queryError || window === "allTime") {
+			return res.status(400).json({ message: queryError || "Only weekly and monthly leaderboards are archived" });
+		}
+
+		const date = new Date(req.query.date);
+		if (isNaN(date.getTime())) {
+			return res.status(400).json({ message: "Date must be a date inside the period, e.g. 2024-01-31" });
+		}
+
+		res.status(200).json(await leaderboardService.getArchivedLeaderboard({ metric, window, date }));
+	} catch (error) {
+		console.error("Error getting archived leaderboard:", error);
+		next(error);
+	}
+}
+
+// Render the leaderboard page
+module.exports.renderLeaderboardPage = async (req, res, next) => {
+	try {
+		const query = readLeaderboardQuery(req);
+		if (leaderboardService.getQueryError(query.metric, query.window)) {
+			return res.redirect("/leaderboards");
+		}
+
+		return res.render("leaderboard.ejs", {
+			leaderboard: await leaderboardService.getLeaderboard(query),
+			metrics: leaderboardService.METRICS,
+			windows: leaderboardService.WINDOWS,
+		});
+	} catch (error) {
+		console.error("Error rendering leaderboard:", error);
+		next(error);
+	}
+}
@@ -0,0 +1,31 @@
+const profileService = require("../services/profile-service.js");
+
+// Get a player's profile and stats as JSON
+module.exports.getProfile = async (req, res, next) => {
+	try {
+		const profile = await profileService.getProfile(req.params.username);
+		if (!profile) {
+			return res.status(404).json({ message: "User not found." });
+		}
+
+		res.status(200).json(profile);
+	} catch (error) {
+		console.error("Error getting profile:", error);
+		next(error);
+	}
+}
+
+// Render a player's profile page
+module.exports.renderProfilePage = async (req, res, next) => {
+	try {
+		const profile = await profileService.getProfile(req.params.username);
+		if (!profile) {
+			return res.status(404).render("404.ejs");
+		}
+
+		return res.render("profile.ejs", { profile });
+	} catch (error) {
+		console.error("Error rendering profile:", error);
+		next(error);
+	}
+}
@@ -0,0 +1,42 @@
+const replayService = require("../services/replay-service.js");
+
+// Reads the match id from the route, null if it is not a positive whole number
+function readMatchId(req) {
+	const matchId = Number(req.params.matchId);
+	return Number.isInteger(matchId) && matchId > 0 ? matchId : null;
+}
+
+// Get the replay of a match as JSON
+module.exports.getReplay = async (req, res, next) => {
+	try {
+		const matchId = readMatchId(req);
+		if (!matchId) {
+			return res.status(400).json({ message: "Match id must be a positive whole number" });
+		}
+
+		const replay = await replayService.getReplay(matchId);
+		if (!replay) {
+			return res.status(404).json({ message: "Match not found." });
+		}
+
+		res.status(200).json(replay);
+	} catch (error) {
+		console.error("Error getting replay:", error);
+		next(error);
+	}
+}
+
+// Render the replay viewer, which loads the replay itself
+module.exports.renderReplayPage = async (req, res, next) => {
+	try {
+		const matchId = readMatchId(req);
+		if (!matchId) {
+			return res.status(404).render("404.ejs");
+		}
+
+		return res.render("replay.ejs", { matchId });
+	} catch (error) {
+		console.error("Error rendering replay:", error);
+		next(error);
+	}
+}
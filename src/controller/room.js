@@ -0,0 +1,22 @@
+const lobbyService = require("../services/lobby-service.js");
+const roomService = require("../services/room-service.js");
+
+// List the public rooms, mirrors the listRooms socket event
+module.exports.listRooms = (req, res, next) => {
+	try {
+		res.status(200).json({ rooms: lobbyService.listRooms() });
+	} catch (error) {
+		console.error("Error listing rooms:", error);
+		next(error);
+	}
+}
+
+// Invite links - send the user to the game page, which joins the room with the code
+module.exports.joinByCode = (req, res, next) => {
+	const room = roomService.getRoomByCodeOrId(req.params.code);
+	if (!room) {
+		return res.status(404).render("404.ejs");
+	}
+
+	return res.redirect(`/?join=${encodeURIComponent(room.joinCode)}`);
+}
@@ -31,16 +31,40 @@ io.on("connection", (socket) => {
 
 
 	// Register event listeners
+	socket.on("listDictionaries", () => socketEvents.listDictionaries(socket));
+	socket.on("listRooms", () => socketEvents.listRooms(socket));
+	socket.on("leaveLobby", () => socketEvents.leaveLobby(socket));
+	socket.on("joinQueue", (data) => socketEvents.joinQueue(socket, data));
+	socket.on("leaveQueue", () => socketEvents.leaveQueue(socket));
+	socket.on("watchTournament", (data) => socketEvents.watchTournament(socket, data));
+	socket.on("unwatchTournament", (data) => socketEvents.unwatchTournament(socket, data));
+	socket.on("joinTournamentMatch", (data) => socketEvents.joinTournamentMatch(socket, data));
+	socket.on("startDailyChallenge", () => socketEvents.startDailyChallenge(socket));
+	socket.on("submitDailyWord", (data) => socketEvents.submitDailyWord(socket, data));
+	socket.on("endDailyChallenge", () => socketEvents.endDailyChallenge(socket));
 	socket.on("createRoom", (data) => socketEvents.createRoom(socket, data));
 	socket.on("joinRoom", (data) => socketEvents.joinRoom(socket, data));
+	socket.on("spectateRoom", (data) => socketEvents.spectateRoom(socket, data));
 	socket.on("startGame", (data) => socketEvents.startGame(socket, data));
+	socket.on("restartGame", (data) => socketEvents.restartGame(socket, data));
+	socket.on("kickPlayer", (data) => socketEvents.kickPlayer(socket, data));
+	socket.on("banPlayer", (data) => socketEvents.banPlayer(socket, data));
+	socket.on("setRoomLocked", (data) => socketEvents.setRoomLocked(socket, data));
+	socket.on("transferHost", (data) => socketEvents.transferHost(socket, data));
 	socket.on("submitWord", (data) => socketEvents.submitWord(socket, data));
+	socket.on("requestHint", (data) => socketEvents.requestHint(socket, data));
+	socket.on("challengeWord", (data) => socketEvents.challengeWord(socket, data));
+	socket.on("voteChallenge", (data) => socketEvents.voteChallenge(socket, data));
 	socket.on("leaveRoom", (data) => socketEvents.leaveRoom(socket, data));
-	socket.on("endGame", (data) => socketEvents.endGame(socket, data));
+	socket.on("addBot", (data) => socketEvents.addBot(socket, data));
+	socket.on("chatMessage", (data) => socketEvents.chatMessage(socket, data));
+	socket.on("mutePlayer", (data) => socketEvents.mutePlayer(socket, data));
+	socket.on("requestResync", (data) => socketEvents.requestResync(socket, data));
+	socket.on("resumeSession", (data) => socketEvents.resumeSession(socket, data));
 
 	// Handle disconnection
 	socket.on("disconnect", () => {
 		console.log(`User disconnected: ${socket.id}`);
-		// Optionally, handle cleanup for any rooms the user was in
+		socketEvents.disconnect(socket);
 	});
 });
@@ -0,0 +1,95 @@
+const tournamentService = require("../services/tournament-service.js");
+
+// List every tournament that is pending, running or recently finished
+module.exports.listTournaments = async (req, res, next) => {
+	try {
+		res.status(200).json({ tournaments: tournamentService.listTournaments() });
+	} catch (error) {
+		console.error("Error listing tournaments:", error);
+		next(error);
+	}
+}
+
+// Get the bracket and standings of a tournament
+module.exports.getTournament = async (req, res, next) => {
+	try {
+		const tournament = tournamentService.getTournament(req.params.id);
+		if (!tournament) {
+			return res.status(404).json({ message: "Tournament not found" });
+		}
+
+		res.status(200).json(tournamentService.getTournamentState(tournament));
+	} catch (error) {
+		console.error("Error getting tournament:", error);
+		next(error);
+	}
+}
+
+// Create a tournament organised by the logged in user
+module.exports.createTournament = async (req, res, next) => {
+	try {
+		const { name, format, invitees, rules, dictionary, noShowMinutes } = req.body;
+		const result = await tournamentService.createTournament({
+			organiser: req.userData.username,
+			name,
+			format,
+			invitees,
+			rules,
+			dictionary,
+			noShowMinutes,
+		});
+
+		if (!result.valid) {
+			return res.status(400).json({ message: result.reason });
+		}
+
+		res.status(201).json(tournamentService.getTournamentState(result.tournament));
+	} catch (error) {
+		console.error("Error creating tournament:", error);
+		next(error);
+	}
+}
+
+// Accept or decline an invitation to a tournament, players only play in tournaments they accepted
+async function answerInvitation(req, res, next, isAccepted) {
+	try {
+		const tournament = tournamentService.getTournament(req.params.id);
+		if (!tournament) {
+			return res.status(404).json({ message: "Tournament not found" });
+		}
+
+		const result = tournamentService.respondToInvitation(tournament.id, req.userData.username, isAccepted);
+		if (!result.valid) {
+			return res.status(400).json({ message: result.reason });
+		}
+
+		res.status(200).json(tournamentService.getTournamentState(tournament));
+	} catch (error) {
+		console.error("Error answering tournament invitation:", error);
+		next(error);
+	}
+}
+
+module.exports.acceptInvitation = (req, res, next) => answerInvitation(req, res, next, true);
+
+module.exports.declineInvitation = (req, res, next) => answerInvitation(req, res, next, false);
+
+// Start a tournament, only its organiser can
+module.exports.startTournament = async (req, res, next) => {
+	try {
+		const tournament = tournamentService.getTournament(req.params.id);
+		if (!tournament) {
+			return res.status(404).json({ message: "Tournament not found" });
+		}
+
+		const result = tournamentService.startTournament(tournament.id, req.userData.username);
+		if (!result.valid) {
+			return res.status(400).json({ message: result.reason });
+		}
+
+		res.status(200).json(tournamentService.getTournamentState(tournament));
+	} catch (error) {
+		console.error("Error starting tournament:", error);
+		next(error);
+	}
+}
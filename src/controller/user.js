@@ -108,10 +108,15 @@ module.exports.userLogin = [
 			};
 			const token = jwt.sign(payload, process.env.JWT_SECRET_KEY, { expiresIn: "1h" });
 
+			// Send the user back to the page that asked them to log in, e.g. an invite link
+			const redirect = authorizationFunctions.getLoginRedirect(req) || "/";
+			authorizationFunctions.clearLoginRedirect(res);
+
 			// Return Token
 			res.status(200).json({
 				message: "Login successful.",
 				token,  // the token can now be used for subsequent requests
+				redirect,
 			});
 		} catch (error) {
 			console.error("Error during login:", error);
@@ -1,10 +1,124 @@
 const GameRoom = require("../model/roomModel"); // Adjust path as needed
-const userModel = require("../model/userModel");
+const roomService = require("../services/room-service.js");
+const lobbyService = require("../services/lobby-service.js");
+const chatService = require("../services/chat-service.js");
+const dictionaryService = require("../services/dictionary-service.js");
+const rulesService = require("../services/rules-service.js");
+const botService = require("../services/bot-service.js");
+const matchmakingService = require("../services/matchmaking-service.js");
+const tournamentService = require("../services/tournament-service.js");
+const dailyChallengeService = require("../services/daily-challenge-service.js");
 
-// Store active rooms
-const rooms = new Map();
+/**
+ * Looks up a room for a host-only command, telling the socket why if it cannot be used
+ * @param {Socket} socket - The socket sending the command
+ * @param {string} roomId - The ID of the room
+ * @returns {GameRoom|null} The room if the socket's user is its host, otherwise null
+ */
+function getRoomAsHost(socket, roomId) {
+	const room = roomService.getRoom(roomId);
+
+	if (!room) {
+		socket.emit("errorOccurred", {
+			message: "Room not found"
+		});
+		return null;
+	}
+
+	if (!room.isHost(socket.userData.username)) {
+		socket.emit("errorOccurred", {
+			message: "Only the host can do that"
+		});
+		return null;
+	}
+
+	// Ranked rooms are run by the matchmaker, whoever happened to queue first gets no extra powers
+	if (room.isRanked) {
+		socket.emit("errorOccurred", {
+			message: "Ranked rooms have no host controls"
+		});
+		return null;
+	}
+
+	return room;
+}
+
+/**
+ * Makes room for a player to create or join a room: finished games they are still sitting in are left,
+ * but a player may only be in one unfinished game at a time
+ * @param {Socket} socket - The socket of the player
+ * @param {GameRoom} [targetRoom] - The room the player is joining, if it is an existing one
+ * @returns {boolean} True if the player is free to enter the room, otherwise false
+ */
+function leaveEndedRooms(socket, targetRoom) {
+	const username = socket.userData.username;
+
+	for (const room of roomService.findRoomsByUsername(username)) {
+		if (room === targetRoom) continue;
+
+		if (!room.isGameEnded) {
+			socket.emit("errorOccurred", {
+				message: "Leave your current room first"
+			});
+			return false;
+		}
+	}
+
+	for (const room of roomService.findRoomsByUsername(username)) {
+		if (room === targetRoom) continue;
+
+		socket.leave([room.roomId, room.getSpectatorChannel()]);
+		if (room.removePlayer(username)) {
+			room.broadcast("playerLeft", {
+				username: username,
+				message: `${username} has left the room`
+			});
+		}
+	}
+
+	return true;
+}
+
+/**
+ * Seats a player who is already in a room on their new socket and sends them everything needed to redraw the game
+ * @param {Socket} socket - The new socket of the player
+ * @param {GameRoom} room - The room the player is seated in
+ */
+function resumeRoom(socket, room) {
+	const username = socket.userData.username;
+
+	// Route the player's messages to the new socket
+	room.reconnectPlayer(username, socket.id);
+	socket.join(room.roomId);
+
+	socket.emit("sessionResumed", { roomId: room.roomId });
+	socket.emit("roomState", room.getStateSnapshot());
+	socket.emit("chatHistory", room.getChatHistory(username));
+
+	// An entrant coming back may be the last one their tournament match was waiting for
+	if (room.tournamentId) {
+		tournamentService.startMatchIfReady(room);
+	}
+}
 
 const socketEvents = {
+	/**
+	 * Handle listing the dictionaries a room can be created with
+	 * @param {Socket} socket - The socket asking for the list
+	 */
+	listDictionaries: (socket) => {
+		try {
+			socket.emit("dictionaryList", {
+				dictionaries: dictionaryService.listDictionaries()
+			});
+		} catch (error) {
+			socket.emit("errorOccurred", {
+				message: "Failed to list dictionaries",
+				error: error.toString()
+			});
+		}
+	},
+
 	/**
 	 * Handle creating a new game room
 	 * @param {Socket} socket - The socket of the room creator
@@ -12,12 +126,52 @@ const socketEvents = {
 	 */
 	createRoom: (socket, data) => {
 		try {
-			const roomId = `room_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`; // substr is deprecated
+			const roomId = roomService.generateRoomId();
 			const username = socket.userData.username;
+			const dictionary = data?.dictionary || dictionaryService.DEFAULT_DICTIONARY_ID;
+
+			// Check if the requested dictionary exists
+			if (!dictionaryService.hasDictionary(dictionary)) {
+				return socket.emit("errorOccurred", {
+					message: `Dictionary ${dictionary} does not exist`
+				});
+			}
+
+			// Validate the requested rules, missing rules fall back to defaults
+			const rulesValidation = rulesService.validateRules(data?.rules);
+			if (!rulesValidation.valid) {
+				return socket.emit("errorOccurred", {
+					message: rulesValidation.reason
+				});
+			}
+			const rules = rulesValidation.rules;
+
+			// Every word played is in the room's dictionary, so it cannot settle challenges
+			if (rules.challengeDictionary === dictionary) {
+				return socket.emit("errorOccurred", {
+					message: "The challenge dictionary must differ from the room's dictionary"
+				});
+			}
+
+			// Rooms are listed in the lobby unless they are made private, practice rooms are always private
+			const practice = Boolean(data?.practice);
+			const visibility = practice ? "private" : data?.visibility || "public";
+			if (!["public", "private"].includes(visibility)) {
+				return socket.emit("errorOccurred", {
+					message: "Visibility must be public or private"
+				});
+			}
+
+			// One game at a time
+			if (!leaveEndedRooms(socket)) return;
+
+			// A player in a room is no longer waiting for a ranked match
+			matchmakingService.leaveQueue(username);
 
 			// Create a new game room
-			const newRoom = new GameRoom(username, roomId, socket.id);
-			rooms.set(roomId, newRoom);
+			const newRoom = new GameRoom(username, roomId, socket.id, { dictionary, rules, visibility, practice });
+			roomService.addRoom(newRoom);
+			lobbyService.publishRoomUpdate(newRoom, "created");
 
 			// Join the room
 			socket.join(roomId);
@@ -25,8 +179,15 @@ const socketEvents = {
 			// Respond to the creator
 			socket.emit("roomCreated", {
 				roomId: roomId,
+				dictionary: dictionary,
+				rules: rules,
+				visibility: visibility,
+				practice: practice,
+				joinCode: newRoom.joinCode,
+				inviteLink: `/join/${newRoom.joinCode}`,
 				message: "Room created successfully"
 			});
+			socket.emit("roomState", newRoom.getStateSnapshot());
 		} catch (error) {
 			socket.emit("errorOccurred", {
 				message: "Failed to create room",
@@ -35,23 +196,248 @@ const socketEvents = {
 		}
 	},
 
+	/**
+	 * Handle joining the ranked matchmaking queue for a mode and dictionary
+	 * @param {Socket} socket - The socket of the player
+	 * @param {Object} data - Queue data, the `mode` and `dictionary` to play
+	 */
+	joinQueue: async (socket, data) => {
+		try {
+			const result = await matchmakingService.joinQueue({
+				username: socket.userData.username,
+				socketId: socket.id,
+				mode: data?.mode || rulesService.DEFAULT_RULES.mode,
+				dictionary: data?.dictionary || dictionaryService.DEFAULT_DICTIONARY_ID
+			});
+
+			if (!result.valid) {
+				return socket.emit("errorOccurred", {
+					message: result.reason
+				});
+			}
+
+			// Finished games the player is still sitting in are left, they are only waiting for a match now
+			leaveEndedRooms(socket);
+
+			socket.emit("queueJoined", matchmakingService.getQueueStatus(socket.userData.username));
+		} catch (error) {
+			socket.emit("errorOccurred", {
+				message: "Failed to join queue",
+				error: error.toString()
+			});
+		}
+	},
+
+	/**
+	 * Handle leaving the ranked matchmaking queue
+	 * @param {Socket} socket - The socket of the player
+	 */
+	leaveQueue: (socket) => {
+		if (matchmakingService.leaveQueue(socket.userData.username)) {
+			socket.emit("queueLeft", { message: "Left the queue" });
+		}
+	},
+
+	/**
+	 * Handle watching a tournament, the socket receives the bracket now and on every change
+	 * @param {Socket} socket - The socket watching the tournament
+	 * @param {Object} data - Tournament data
+	 */
+	watchTournament: (socket, data) => {
+		try {
+			const tournament = tournamentService.getTournament(data?.tournamentId);
+			if (!tournament) {
+				return socket.emit("errorOccurred", {
+					message: "Tournament not found"
+				});
+			}
+
+			socket.join(tournamentService.getTournamentChannel(tournament.id));
+			socket.emit("tournamentUpdated", tournamentService.getTournamentState(tournament));
+		} catch (error) {
+			socket.emit("errorOccurred", {
+				message: "Error watching tournament",
+				error: error.toString()
+			});
+		}
+	},
+
+	/**
+	 * Handle no longer watching a tournament
+	 * @param {Socket} socket - The socket watching the tournament
+	 * @param {Object} data - Tournament data
+	 */
+	unwatchTournament: (socket, data) => {
+		socket.leave(tournamentService.getTournamentChannel(data?.tournamentId));
+	},
+
+	/**
+	 * Handle an entrant taking their seat in their current tournament match
+	 * @param {Socket} socket - The socket of the entrant
+	 * @param {Object} data - Tournament data
+	 */
+	joinTournamentMatch: (socket, data) => {
+		try {
+			const username = socket.userData.username;
+			const result = tournamentService.joinMatch(data?.tournamentId, username, socket.id);
+			if (!result.valid) {
+				return socket.emit("errorOccurred", {
+					message: result.reason
+				});
+			}
+
+			// A player in a match is no longer waiting for a ranked one
+			matchmakingService.leaveQueue(username);
+
+			const room = result.room;
+			socket.join(room.roomId);
+			socket.emit("roomJoined", {
+				roomId: room.roomId,
+				joinCode: room.joinCode,
+				dictionary: room.dictionaryId,
+				rules: room.rules,
+				players: Array.from(room.playersMap.keys()),
+				tournamentId: room.tournamentId
+			});
+			socket.emit("roomState", room.getStateSnapshot());
+			socket.emit("chatHistory", room.getChatHistory(username));
+		} catch (error) {
+			socket.emit("errorOccurred", {
+				message: "Error joining tournament match",
+				error: error.toString()
+			});
+		}
+	},
+
+	/**
+	 * Handle starting today's daily challenge, or picking up the attempt the player is in the middle of
+	 * @param {Socket} socket - The socket of the player
+	 */
+	startDailyChallenge: async (socket) => {
+		try {
+			const result = await dailyChallengeService.startAttempt(socket.userData.username, socket.id);
+			if (!result.valid) {
+				return socket.emit("errorOccurred", {
+					message: result.reason
+				});
+			}
+
+			socket.emit("dailyChallengeStarted", {
+				...result.state,
+				message: result.reason
+			});
+		} catch (error) {
+			socket.emit("errorOccurred", {
+				message: "Failed to start the daily challenge",
+				error: error.toString()
+			});
+		}
+	},
+
+	/**
+	 * Handle a word played in the daily challenge
+	 * @param {Socket} socket - The socket of the player
+	 * @param {Object} data - The `word` played
+	 */
+	submitDailyWord: (socket, data) => {
+		try {
+			const result = dailyChallengeService.submitWord(socket.userData.username, data?.word);
+			if (!result.valid) {
+				return socket.emit("dailyWordRejected", {
+					word: data?.word,
+					reason: result.reason
+				});
+			}
+
+			socket.emit("dailyWordAccepted", {
+				word: data.word,
+				...result.state
+			});
+		} catch (error) {
+			socket.emit("errorOccurred", {
+				message: "Error submitting word",
+				error: error.toString()
+			});
+		}
+	},
+
+	/**
+	 * Handle the player ending their daily challenge attempt early
+	 * @param {Socket} socket - The socket of the player
+	 */
+	endDailyChallenge: (socket) => {
+		if (!dailyChallengeService.endAttempt(socket.userData.username)) {
+			socket.emit("errorOccurred", {
+				message: "You are not playing the daily challenge"
+			});
+		}
+	},
+
+	/**
+	 * Handle listing the public rooms, the socket also starts receiving live lobby updates
+	 * @param {Socket} socket - The socket browsing the lobby
+	 */
+	listRooms: (socket) => {
+		try {
+			socket.join(lobbyService.LOBBY_ROOM);
+			socket.emit("roomList", {
+				rooms: lobbyService.listRooms()
+			});
+		} catch (error) {
+			socket.emit("errorOccurred", {
+				message: "Failed to list rooms",
+				error: error.toString()
+			});
+		}
+	},
+
+	/**
+	 * Handle leaving the lobby, the socket stops receiving lobby updates
+	 * @param {Socket} socket - The socket leaving the lobby
+	 */
+	leaveLobby: (socket) => {
+		socket.leave(lobbyService.LOBBY_ROOM);
+	},
+
 	/**
 	 * Handle joining an existing game room
 	 * @param {Socket} socket - The socket of the player joining
-	 * @param {Object} data - Room joining data
+	 * @param {Object} data - Room joining data, either a join `code` or a `roomId`
 	 */
 	joinRoom: (socket, data) => {
 		try {
-			const { roomId } = data;
 			const username = socket.userData.username;
 
-			// Check if room exists
-			const room = rooms.get(roomId);
+			// Check if room exists, by join code or by room ID
+			const room = roomService.getRoomByCodeOrId(data.code || data.roomId);
 			if (!room) {
 				return socket.emit("errorOccurred", {
 					message: "Room does not exist"
 				});
 			}
+			const roomId = room.roomId;
+
+			// Rejoining a room the player is still seated in picks up where they left off
+			if (room.playersMap.has(username)) {
+				return resumeRoom(socket, room);
+			}
+
+			// Ranked seats are handed out by the matchmaker
+			if (room.isRanked) {
+				return socket.emit("errorOccurred", {
+					message: "Ranked games can only be joined through the queue"
+				});
+			}
+
+			// Nobody joins a game in progress, they can spectate it instead
+			if (room.getPhase() === "playing") {
+				return socket.emit("errorOccurred", {
+					message: "That game has already started"
+				});
+			}
+
+			// One game at a time
+			if (!leaveEndedRooms(socket, room)) return;
 
 			// Try to add player to the room
 			const playerAdded = room.addPlayer(username, socket.id);
@@ -61,11 +447,15 @@ const socketEvents = {
 				});
 			}
 
-			// Join the room
+			// A player in a room is no longer waiting for a ranked match
+			matchmakingService.leaveQueue(username);
+
+			// Join the room, leaving the spectator chat if they were watching before
 			socket.join(roomId);
+			socket.leave(room.getSpectatorChannel());
 
 			// Broadcast to other players in the room
-			io.to(roomId).emit("playerJoined", {
+			room.broadcast("playerJoined", {
 				username: username,
 				message: `${username} has joined the room`
 			});
@@ -73,8 +463,13 @@ const socketEvents = {
 			// Inform the joining player about room details
 			socket.emit("roomJoined", {
 				roomId: roomId,
+				joinCode: room.joinCode,
+				dictionary: room.dictionaryId,
+				rules: room.rules,
 				players: Array.from(room.playersMap.keys())
 			});
+			socket.emit("roomState", room.getStateSnapshot());
+			socket.emit("chatHistory", room.getChatHistory(username));
 		} catch (error) {
 			socket.emit("errorOccurred", {
 				message: "Error joining room",
@@ -83,6 +478,52 @@ const socketEvents = {
 		}
 	},
 
+	/**
+	 * Handle watching a game room without playing
+	 * @param {Socket} socket - The socket of the spectator
+	 * @param {Object} data - Room data, either a join `code` or a `roomId`
+	 */
+	spectateRoom: (socket, data) => {
+		try {
+			const username = socket.userData.username;
+
+			// Check if room exists, by join code or by room ID
+			const room = roomService.getRoomByCodeOrId(data.code || data.roomId);
+			if (!room) {
+				return socket.emit("errorOccurred", {
+					message: "Room does not exist"
+				});
+			}
+
+			const spectatorAdded = room.addSpectator(username, socket.id);
+			if (!spectatorAdded) {
+				return socket.emit("errorOccurred", {
+					message: "Failed to spectate room"
+				});
+			}
+
+			// Spectators get every room broadcast, and their own chat channel
+			socket.join([room.roomId, room.getSpectatorChannel()]);
+
+			room.broadcast("spectatorJoined", {
+				username: username,
+				message: `${username} is now watching`
+			});
+
+			socket.emit("spectatingRoom", {
+				roomId: room.roomId,
+				joinCode: room.joinCode
+			});
+			socket.emit("roomState", room.getStateSnapshot());
+			socket.emit("chatHistory", room.getChatHistory(username));
+		} catch (error) {
+			socket.emit("errorOccurred", {
+				message: "Error spectating room",
+				error: error.toString()
+			});
+		}
+	},
+
 	/**
 	 * Handle starting the game
 	 * @param {Socket} socket - The socket of the player starting the game
@@ -91,11 +532,13 @@ const socketEvents = {
 	startGame: (socket, data) => {
 		try {
 			const { roomId } = data;
-			const room = rooms.get(roomId);
+			const room = getRoomAsHost(socket, roomId);
+			if (!room) return;
 
-			if (!room) {
+			// Tournament games start once both players have joined
+			if (room.tournamentId) {
 				return socket.emit("errorOccurred", {
-					message: "Room not found"
+					message: "Tournament matches start on their own"
 				});
 			}
 
@@ -114,6 +557,127 @@ const socketEvents = {
 		}
 	},
 
+	/**
+	 * Handle the host starting a rematch with the same players and rules
+	 * @param {Socket} socket - The socket of the host
+	 * @param {Object} data - Room data
+	 */
+	restartGame: (socket, data) => {
+		try {
+			const { roomId } = data;
+			const room = getRoomAsHost(socket, roomId);
+			if (!room) return;
+
+			const gameRestarted = room.restartGame();
+			if (!gameRestarted) {
+				return socket.emit("errorOccurred", {
+					message: "Failed to restart game"
+				});
+			}
+		} catch (error) {
+			socket.emit("errorOccurred", {
+				message: "Error restarting game",
+				error: error.toString()
+			});
+		}
+	},
+
+	/**
+	 * Handle the host kicking a player or spectator out of the room
+	 * @param {Socket} socket - The socket of the host
+	 * @param {Object} data - Room data and the `username` to kick
+	 */
+	kickPlayer: (socket, data) => {
+		try {
+			const { roomId, username } = data;
+			const room = getRoomAsHost(socket, roomId);
+			if (!room) return;
+
+			if (!room.kickUser(username)) {
+				return socket.emit("errorOccurred", {
+					message: `Failed to kick ${username}`
+				});
+			}
+		} catch (error) {
+			socket.emit("errorOccurred", {
+				message: "Error kicking player",
+				error: error.toString()
+			});
+		}
+	},
+
+	/**
+	 * Handle the host banning a user from rejoining the room
+	 * @param {Socket} socket - The socket of the host
+	 * @param {Object} data - Room data and the `username` to ban
+	 */
+	banPlayer: (socket, data) => {
+		try {
+			const { roomId, username } = data;
+			const room = getRoomAsHost(socket, roomId);
+			if (!room) return;
+
+			if (!room.banUser(username)) {
+				return socket.emit("errorOccurred", {
+					message: `Failed to ban ${username}`
+				});
+			}
+		} catch (error) {
+			socket.emit("errorOccurred", {
+				message: "Error banning player",
+				error: error.toString()
+			});
+		}
+	},
+
+	/**
+	 * Handle the host locking or unlocking the room against new joins
+	 * @param {Socket} socket - The socket of the host
+	 * @param {Object} data - Room data and `locked`, true to lock the room
+	 */
+	setRoomLocked: (socket, data) => {
+		try {
+			const { roomId, locked } = data;
+			const room = getRoomAsHost(socket, roomId);
+			if (!room) return;
+
+			if (!room.setLocked(locked)) {
+				return socket.emit("errorOccurred", {
+					message: "Failed to lock room"
+				});
+			}
+		} catch (error) {
+			socket.emit("errorOccurred", {
+				message: "Error locking room",
+				error: error.toString()
+			});
+		}
+	},
+
+	/**
+	 * Handle the host handing host controls to another player
+	 * @param {Socket} socket - The socket of the host
+	 * @param {Object} data - Room data and the `username` of the new host
+	 */
+	transferHost: (socket, data) => {
+		try {
+			const { roomId, username } = data;
+			const room = getRoomAsHost(socket, roomId);
+			if (!room) return;
+
+			if (!room.transferHost(username)) {
+				return socket.emit("errorOccurred", {
+					message: `Failed to make ${username} the host`
+				});
+			}
+		} catch (error) {
+			socket.emit("errorOccurred", {
+				message: "Error transferring host",
+				error: error.toString()
+			});
+		}
+	},
+
 	/**
 	 * Handle player word submission
 	 * @param {Socket} socket - The socket of the player submitting the word
@@ -123,7 +687,7 @@ const socketEvents = {
 		try {
 			const { roomId, word } = data;
 			const username = socket.userData.username;
-			const room = rooms.get(roomId);
+			const room = roomService.getRoom(roomId);
 
 			if (!room) {
 				return socket.emit("errorOccurred", {
@@ -131,6 +695,13 @@ const socketEvents = {
 				});
 			}
 
+			// Spectators can watch but not play
+			if (!room.playersMap.has(username)) {
+				return socket.emit("errorOccurred", {
+					message: "Only players can submit words"
+				});
+			}
+
 			// Attempt to play the word
 			const wordPlayed = room.playWord(username, word);
 			if (!wordPlayed) {
@@ -145,6 +716,90 @@ const socketEvents = {
 		}
 	},
 
+	/**
+	 * Handle the current player asking for a hint
+	 * @param {Socket} socket - The socket of the player
+	 * @param {Object} data - Room data
+	 */
+	requestHint: (socket, data) => {
+		try {
+			const { roomId } = data;
+			const room = roomService.getRoom(roomId);
+
+			if (!room) {
+				return socket.emit("errorOccurred", {
+					message: "Room not found"
+				});
+			}
+
+			// The hint, or why there is none, is sent by room.requestHint
+			room.requestHint(socket.userData.username);
+		} catch (error) {
+			socket.emit("errorOccurred", {
+				message: "Error requesting hint",
+				error: error.toString()
+			});
+		}
+	},
+
+	/**
+	 * Handle a player disputing the last word played
+	 * @param {Socket} socket - The socket of the challenger
+	 * @param {Object} data - Room data
+	 */
+	challengeWord: (socket, data) => {
+		try {
+			const { roomId } = data;
+			const username = socket.userData.username;
+			const room = roomService.getRoom(roomId);
+
+			if (!room) {
+				return socket.emit("errorOccurred", {
+					message: "Room not found"
+				});
+			}
+
+			// Spectators can watch but not challenge
+			if (!room.playersMap.has(username)) {
+				return socket.emit("errorOccurred", {
+					message: "Only players can challenge words"
+				});
+			}
+
+			room.challengeWord(username);
+		} catch (error) {
+			socket.emit("errorOccurred", {
+				message: "Error challenging word",
+				error: error.toString()
+			});
+		}
+	},
+
+	/**
+	 * Handle a player voting on an open challenge
+	 * @param {Socket} socket - The socket of the voter
+	 * @param {Object} data - Room data and `uphold`, true if the word should not count
+	 */
+	voteChallenge: (socket, data) => {
+		try {
+			const { roomId, uphold } = data;
+			const room = roomService.getRoom(roomId);
+
+			if (!room) {
+				return socket.emit("errorOccurred", {
+					message: "Room not found"
+				});
+			}
+
+			room.voteOnChallenge(socket.userData.username, uphold);
+		} catch (error) {
+			socket.emit("errorOccurred", {
+				message: "Error voting on challenge",
+				error: error.toString()
+			});
+		}
+	},
+
 	/**
 	 * Handle player leaving the room
 	 * @param {Socket} socket - The socket of the player leaving
@@ -154,7 +809,7 @@ const socketEvents = {
 		try {
 			const { roomId } = data;
 			const username = socket.userData.username;
-			const room = rooms.get(roomId);
+			const room = roomService.getRoom(roomId);
 
 			if (!room) {
 				return socket.emit("errorOccurred", {
@@ -162,7 +817,19 @@ const socketEvents = {
 				});
 			}
 
-			// Remove player from the room
+			// Leave the socket room and the spectator chat
+			socket.leave(roomId);
+			socket.leave(room.getSpectatorChannel());
+
+			// Spectators just stop watching
+			if (room.removeSpectator(username)) {
+				return room.broadcast("spectatorLeft", {
+					username: username,
+					message: `${username} stopped watching`
+				});
+			}
+
+			// Remove player from the room, the room closes itself once everyone has left
 			const playerRemoved = room.removePlayer(username);
 			if (!playerRemoved) {
 				return socket.emit("errorOccurred", {
@@ -170,19 +837,11 @@ const socketEvents = {
 				});
 			}
 
-			// Leave the socket room
-			socket.leave(roomId);
-
 			// Broadcast to remaining players
-			io.to(roomId).emit("playerLeft", {
+			room.broadcast("playerLeft", {
 				username: username,
 				message: `${username} has left the room`
 			});
-
-			// If no players left, delete the room
-			if (room.playersMap.size === 0) {
-				rooms.delete(roomId);
-			}
 		} catch (error) {
 			socket.emit("errorOccurred", {
 				message: "Error leaving room",
@@ -192,14 +851,46 @@ const socketEvents = {
 	},
 
 	/**
-	 * Handle game end and winner determination
-	 * @param {Socket} socket - The socket of the player ending the game
-	 * @param {Object} data - Game end data
+	 * Handle the host adding a bot player while the room is waiting for a game
+	 * @param {Socket} socket - The socket of the host
+	 * @param {Object} data - Room data and the bot `difficulty`
 	 */
-	endGame: async (socket, data) => {
+	addBot: (socket, data) => {
 		try {
 			const { roomId } = data;
-			const room = rooms.get(roomId);
+			const difficulty = data.difficulty || botService.DEFAULT_DIFFICULTY;
+			const room = getRoomAsHost(socket, roomId);
+			if (!room) return;
+
+			if (!botService.isDifficulty(difficulty)) {
+				return socket.emit("errorOccurred", {
+					message: `Bot difficulty must be one of ${botService.listDifficulties().join(", ")}`
+				});
+			}
+
+			if (!room.addBot(difficulty)) {
+				return socket.emit("errorOccurred", {
+					message: "Failed to add bot"
+				});
+			}
+		} catch (error) {
+			socket.emit("errorOccurred", {
+				message: "Error adding bot",
+				error: error.toString()
+			});
+		}
+	},
+
+	/**
+	 * Handle a chat message, players talk in the room channel and spectators in the spectator channel
+	 * @param {Socket} socket - The socket of the sender
+	 * @param {Object} data - Room data and the message `text`
+	 */
+	chatMessage: (socket, data) => {
+		try {
+			const { roomId, text } = data;
+			const username = socket.userData.username;
+			const room = roomService.getRoom(roomId);
 
 			if (!room) {
 				return socket.emit("errorOccurred", {
@@ -207,40 +898,139 @@ const socketEvents = {
 				});
 			}
 
-			// Determine winners
-			const winners = room.determineWinner();
+			// Only members who are not muted use up their rate limit
+			const chatError = room.getChatError(username);
+			if (chatError) {
+				return socket.emit("chatMessageFailed", {
+					reason: chatError
+				});
+			}
 
-			// Update user statistics
-			for (const winner of winners) {
-				try {
-					// Fetch current user stats
-					const userStats = await userModel.getUserStatsByUsername({ username: winner });
+			// Length limits, rate limiting and the word filter
+			const prepared = chatService.prepareMessage(username, text);
+			if (!prepared.valid) {
+				return socket.emit("chatMessageFailed", {
+					reason: prepared.reason
+				});
+			}
 
-					// Update games played and won
-					await userModel.updateUserStatsByUserName({
-						username: winner,
-						gamesPlayed: userStats.gamesPlayed + 1,
-						gamesWon: userStats.gamesWon + 1
-					});
-				} catch (statsError) {
-					console.error(`Error updating stats for ${winner}:`, statsError);
-				}
+			const sent = room.addChatMessage(username, prepared.text);
+			if (!sent.valid) {
+				return socket.emit("chatMessageFailed", {
+					reason: sent.reason
+				});
 			}
+		} catch (error) {
+			socket.emit("errorOccurred", {
+				message: "Error sending chat message",
+				error: error.toString()
+			});
+		}
+	},
 
-			// Broadcast game results
-			io.to(roomId).emit("gameEnded", {
-				winners: winners,
-				playerScores: Object.fromEntries(room.playersMap)
+	/**
+	 * Handle the host muting or unmuting someone in the chat
+	 * @param {Socket} socket - The socket of the host
+	 * @param {Object} data - Room data, the `username` to mute and `muted`, false to unmute
+	 */
+	mutePlayer: (socket, data) => {
+		try {
+			const { roomId, username, muted } = data;
+			const room = getRoomAsHost(socket, roomId);
+			if (!room) return;
+
+			if (!room.setMuted(username, muted)) {
+				return socket.emit("errorOccurred", {
+					message: `Failed to mute ${username}`
+				});
+			}
+		} catch (error) {
+			socket.emit("errorOccurred", {
+				message: "Error muting player",
+				error: error.toString()
+			});
+		}
+	},
+
+	/**
+	 * Handle a client asking for the full room state, e.g. after spotting a gap in sequence numbers
+	 * @param {Socket} socket - The socket of the player
+	 * @param {Object} data - Resync data
+	 */
+	requestResync: (socket, data) => {
+		try {
+			const { roomId } = data;
+			const username = socket.userData.username;
+			const room = roomService.getRoom(roomId);
+
+			if (!room || !(room.playersMap.has(username) || room.spectatorsMap.has(username))) {
+				return socket.emit("errorOccurred", {
+					message: "Room not found"
+				});
+			}
+
+			socket.emit("roomState", room.getStateSnapshot());
+		} catch (error) {
+			socket.emit("errorOccurred", {
+				message: "Error resyncing room",
+				error: error.toString()
 			});
+		}
+	},
+
+	/**
+	 * Handle a player coming back to a room they are still seated in, e.g. when the game view reloads
+	 * @param {Socket} socket - The new socket of the player
+	 * @param {Object} data - Room data, either a join `code` or a `roomId`
+	 */
+	resumeSession: (socket, data) => {
+		try {
+			const username = socket.userData.username;
+			const room = roomService.getRoomByCodeOrId(data?.code || data?.roomId);
 
-			// Delete the room
-			rooms.delete(roomId);
+			if (!room || !room.playersMap.has(username)) {
+				return socket.emit("errorOccurred", {
+					message: "You are not in that room"
+				});
+			}
+
+			resumeRoom(socket, room);
 		} catch (error) {
 			socket.emit("errorOccurred", {
-				message: "Error ending game",
+				message: "Error resuming session",
 				error: error.toString()
 			});
 		}
+	},
+
+	/**
+	 * Handle a socket disconnecting, players get a grace period to come back
+	 * @param {Socket} socket - The socket that disconnected
+	 */
+	disconnect: (socket) => {
+		try {
+			const username = socket.userData.username;
+
+			// Every room the player is in starts its own grace period
+			for (const room of roomService.findRoomsByUsername(username)) {
+				room.markPlayerDisconnected(username, socket.id);
+			}
+
+			// Nobody is left waiting for a match they cannot play
+			matchmakingService.leaveQueue(username);
+
+			// Spectators have nothing to resume, they are removed straight away
+			const spectatedRoom = roomService.findRoomBySpectator(username);
+			if (spectatedRoom && spectatedRoom.spectatorsMap.get(username).socketId === socket.id) {
+				spectatedRoom.removeSpectator(username);
+				spectatedRoom.broadcast("spectatorLeft", {
+					username: username,
+					message: `${username} stopped watching`
+				});
+			}
+		} catch (error) {
+			console.error(`Error handling disconnect of ${socket.id}:`, error);
+		}
 	}
 
 }
@@ -0,0 +1,116 @@
+const pool = require("../services/mysql-service.js");
+
+// attempts are ranked by score, the faster attempt first on a tie
+const SCORE_ORDER = Object.freeze({
+	highest: "a.score DESC, a.durationMs ASC",
+	lowest: "a.score ASC, a.durationMs ASC",
+});
+
+module.exports = {
+	// Start a user's attempt at a day's challenge, resolving to null if they already have one
+	createAttempt(data) {
+		return new Promise((resolve, reject) => {
+			const sqlStatement = `
+        INSERT INTO DailyChallengeAttempts (challengeDate, userId, challengeType, startingWord, startedAt)
+        SELECT ?, id, ?, ?, ? FROM Users WHERE username = ?;
+      `;
+
+			const values = [
+				data.challengeDate,
+				data.challengeType,
+				data.startingWord,
+				data.startedAt,
+				data.username,
+			];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error && error.code === "ER_DUP_ENTRY") return resolve(null);
+				if (error) return reject(error);
+				resolve(results.affectedRows > 0 ? results.insertId : null);
+			});
+		});
+	},
+
+	// Score an attempt once it has ended
+	finishAttempt(data) {
+		return new Promise((resolve, reject) => {
+			const sqlStatement = `
+        UPDATE DailyChallengeAttempts
+        SET score = ?, completed = ?, words = ?, durationMs = ?, endedAt = ?
+        WHERE id = ?;
+      `;
+
+			const values = [
+				data.score,
+				data.completed,
+				JSON.stringify(data.words),
+				data.durationMs,
+				data.endedAt,
+				data.id,
+			];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results);
+			});
+		});
+	},
+
+	// Get a user's attempt at a day's challenge
+	getAttempt(data) {
+		return new Promise((resolve, reject) => {
+			const sqlStatement = `
+        SELECT a.challengeDate, a.challengeType, a.startingWord, a.score, a.completed, a.words, a.durationMs, a.startedAt, a.endedAt
+        FROM DailyChallengeAttempts a
+        JOIN Users u ON u.id = a.userId
+        WHERE a.challengeDate = ? AND u.username = ?;
+      `;
+
+			const values = [data.challengeDate, data.username];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results[0] || null);
+			});
+		});
+	},
+
+	// Check whether anyone has attempted a day's challenge
+	hasAttempts(data) {
+		return new Promise((resolve, reject) => {
+			const sqlStatement = `
+        SELECT 1 FROM DailyChallengeAttempts WHERE challengeDate = ? LIMIT 1;
+      `;
+
+			const values = [data.challengeDate];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results.length > 0);
+			});
+		});
+	},
+
+	// Get the best finished attempts at a day's challenge, scoreOrder is "highest" or "lowest" first
+	getDailyRankings(data) {
+		return new Promise((resolve, reject) => {
+			const orderBy = SCORE_ORDER[data.scoreOrder];
+			if (!orderBy) return reject(new Error(`Unknown score order ${data.scoreOrder}`));
+
+			const sqlStatement = `
+        SELECT u.username, a.score, a.durationMs FROM DailyChallengeAttempts a
+        JOIN Users u ON u.id = a.userId
+        WHERE a.challengeDate = ? AND a.completed = TRUE AND a.score IS NOT NULL
+        ORDER BY ${orderBy}, u.username ASC
+        LIMIT ?;
+      `;
+
+			const values = [data.challengeDate, data.limit];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results);
+			});
+		});
+	}
+};
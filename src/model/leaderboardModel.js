@@ -0,0 +1,143 @@
+const pool = require("../services/mysql-service.js");
+
+// metric => the aggregate the leaderboard is ordered by, never taken from user input directly
+const METRIC_ORDER = Object.freeze({
+	wins: "wins",
+	winRate: "winRate",
+	totalPoints: "totalPoints",
+	longestChain: "longestChain",
+});
+
+module.exports = {
+	// Rank human players by a metric over the matches that ended inside a time window, optionally without matches against bots
+	getRankings(data) {
+		return new Promise((resolve, reject) => {
+			const orderColumn = METRIC_ORDER[data.metric];
+			if (!orderColumn) return reject(new Error(`Unknown leaderboard metric ${data.metric}`));
+
+			const botMatchFilter = data.excludeBotMatches
+				? "AND NOT EXISTS (SELECT 1 FROM MatchParticipants b WHERE b.matchId = p.matchId AND b.isBot = TRUE)"
+				: "";
+
+			const sqlStatement = `
+        SELECT p.username,
+          COUNT(*) AS gamesPlayed,
+          SUM(p.placement = 1) AS wins,
+          SUM(p.placement = 1) / COUNT(*) AS winRate,
+          SUM(p.finalScore) AS totalPoints,
+          MAX(p.longestStreak) AS longestChain
+        FROM MatchParticipants p
+        JOIN Matches m ON m.id = p.matchId
+        WHERE p.isBot = FALSE AND m.endedAt >= ? AND m.endedAt < ? ${botMatchFilter}
+        GROUP BY p.username
+        HAVING gamesPlayed >= ?
+        ORDER BY ${orderColumn} DESC, gamesPlayed DESC, p.username ASC
+        LIMIT ?;
+      `;
+
+			const values = [data.from, data.to, data.minGames || 1, data.limit];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results);
+			});
+		});
+	},
+
+	// Check if a leaderboard period has already been archived
+	hasArchive(data) {
+		return new Promise((resolve, reject) => {
+			const sqlStatement = `
+        SELECT COUNT(*) AS entries FROM LeaderboardArchives
+        WHERE period = ? AND periodStart = ?;
+      `;
+
+			const values = [data.period, data.periodStart];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results[0].entries > 0);
+			});
+		});
+	},
+
+	// Get the start of the newest archived period of a window, null if nothing has been archived yet
+	getLatestArchivedPeriodStart(data) {
+		return new Promise((resolve, reject) => {
+			const sqlStatement = `
+        SELECT MAX(periodStart) AS periodStart FROM LeaderboardArchives
+        WHERE period = ?;
+      `;
+
+			const values = [data.period];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results[0].periodStart);
+			});
+		});
+	},
+
+	// Get when the first match in the history ended, null if no match has been played
+	getFirstMatchEndedAt() {
+		return new Promise((resolve, reject) => {
+			const sqlStatement = `
+        SELECT MIN(endedAt) AS endedAt FROM Matches;
+      `;
+
+			pool.query(sqlStatement, (error, results) => {
+				if (error) return reject(error);
+				resolve(results[0].endedAt);
+			});
+		});
+	},
+
+	// Store the final rankings of a leaderboard period, archiving the same period twice is a no-op
+	archiveRankings(data) {
+		return new Promise((resolve, reject) => {
+			if (data.rankings.length === 0) return resolve(null);
+
+			const sqlStatement = `
+        INSERT IGNORE INTO LeaderboardArchives
+          (period, periodStart, periodEnd, metric, ranking, username, value, gamesPlayed)
+        VALUES ?;
+      `;
+
+			const values = [
+				data.rankings.map((entry) => [
+					data.period,
+					data.periodStart,
+					data.periodEnd,
+					data.metric,
+					entry.rank,
+					entry.username,
+					entry.value,
+					entry.gamesPlayed,
+				]),
+			];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results);
+			});
+		});
+	},
+
+	// Get the archived rankings of a leaderboard period
+	getArchivedRankings(data) {
+		return new Promise((resolve, reject) => {
+			const sqlStatement = `
+        SELECT ranking, username, value, gamesPlayed, periodStart, periodEnd FROM LeaderboardArchives
+        WHERE period = ? AND periodStart = ? AND metric = ?
+        ORDER BY ranking ASC, username ASC;
+      `;
+
+			const values = [data.period, data.periodStart, data.metric];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results);
+			});
+		});
+	}
+};
@@ -0,0 +1,283 @@
+const pool = require("../services/mysql-service.js");
+
+module.exports = {
+	// Create a match and return its id, on `data.connection` when it is part of a transaction
+	createMatch(data) {
+		return new Promise((resolve, reject) => {
+			const sqlStatement = `
+        INSERT INTO Matches (roomId, mode, dictionary, rules, startedAt, endedAt, endReason)
+        VALUES (?, ?, ?, ?, ?, ?, ?);
+      `;
+
+			const values = [
+				data.roomId,
+				data.mode,
+				data.dictionary,
+				JSON.stringify(data.rules),
+				data.startedAt,
+				data.endedAt,
+				data.endReason,
+			];
+
+			(data.connection || pool).query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results.insertId);
+			});
+		});
+	},
+
+	// Add the participants of a match, linking human players to their user by username
+	addMatchParticipants(data) {
+		return new Promise((resolve, reject) => {
+			if (data.participants.length === 0) return resolve(null);
+
+			const sqlStatement = `
+        INSERT INTO MatchParticipants
+          (matchId, userId, username, isBot, finalScore, placement, longestStreak, hintsUsed, challengesWon, challengesLost)
+        SELECT ?, (SELECT id FROM Users WHERE username = ? LIMIT 1), ?, ?, ?, ?, ?, ?, ?, ?;
+      `;
+
+			// one insert per participant, sent together as a multiple statement query
+			const sqlStatements = data.participants.map(() => sqlStatement).join("");
+			const values = data.participants.flatMap((participant) => [
+				data.matchId,
+				participant.isBot ? null : participant.username, // bots never match a user
+				participant.username,
+				participant.isBot,
+				participant.finalScore,
+				participant.placement,
+				participant.longestStreak,
+				participant.hintsUsed,
+				participant.challengesWon,
+				participant.challengesLost,
+			]);
+
+			(data.connection || pool).query(sqlStatements, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results);
+			});
+		});
+	},
+
+	// Add every word played in a match, in turn order
+	addWordPlays(data) {
+		return new Promise((resolve, reject) => {
+			if (data.wordPlays.length === 0) return resolve(null);
+
+			const sqlStatement = `
+        INSERT INTO WordPlays (matchId, turnNumber, username, word, points, isReversed, playedAt)
+        VALUES ?;
+      `;
+
+			const values = [
+				data.wordPlays.map((play, index) => [
+					data.matchId,
+					index + 1,
+					play.username,
+					play.word,
+					play.points,
+					play.isReversed,
+					play.playedAt,
+				]),
+			];
+
+			(data.connection || pool).query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results);
+			});
+		});
+	},
+
+	// Add the replay of a match, one row per event in the order they happened
+	addReplayEvents(data) {
+		return new Promise((resolve, reject) => {
+			if (data.events.length === 0) return resolve(null);
+
+			const sqlStatement = `
+        INSERT INTO ReplayEvents (matchId, eventNumber, offsetMs, eventType, username, details)
+        VALUES ?;
+      `;
+
+			const values = [
+				data.events.map(({ at, type, username, ...details }, index) => [
+					data.matchId,
+					index + 1,
+					at,
+					type,
+					username || null,
+					JSON.stringify(details),
+				]),
+			];
+
+			(data.connection || pool).query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results);
+			});
+		});
+	},
+
+	// Save a whole match in one transaction - the match, its participants, word plays and replay - and return its id
+	saveMatch(data) {
+		return new Promise((resolve, reject) => {
+			pool.getConnection((connectionError, connection) => {
+				if (connectionError) return reject(connectionError);
+
+				// undo everything written so far and hand the connection back
+				const rollback = (error) => {
+					connection.rollback(() => {
+						connection.release();
+						reject(error);
+					});
+				};
+
+				connection.beginTransaction(async (transactionError) => {
+					if (transactionError) {
+						connection.release();
+						return reject(transactionError);
+					}
+
+					try {
+						const matchId = await module.exports.createMatch({ ...data.match, connection });
+						await module.exports.addMatchParticipants({ matchId, participants: data.participants, connection });
+						await module.exports.addWordPlays({ matchId, wordPlays: data.wordPlays, connection });
+						await module.exports.addReplayEvents({ matchId, events: data.events, connection });
+
+						connection.commit((commitError) => {
+							if (commitError) return rollback(commitError);
+							connection.release();
+							resolve(matchId);
+						});
+					} catch (error) {
+						rollback(error);
+					}
+				});
+			});
+		});
+	},
+
+	// Get the most recent matches a user took part in, with their own result
+	getRecentMatchesByUsername(data) {
+		return new Promise((resolve, reject) => {
+			const sqlStatement = `
+        SELECT m.id AS matchId, m.mode, m.dictionary, m.startedAt, m.endedAt, m.endReason,
+          p.finalScore, p.placement,
+          (SELECT COUNT(*) FROM MatchParticipants WHERE matchId = m.id) AS playerCount
+        FROM MatchParticipants p
+        JOIN Matches m ON m.id = p.matchId
+        WHERE p.username = ? AND p.isBot = FALSE
+        ORDER BY m.endedAt DESC
+        LIMIT ?;
+      `;
+
+			const values = [data.username, data.limit || 10];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results);
+			});
+		});
+	},
+
+	// Get a user's word stats: words played, average points per word, longest word and favourite starting letters
+	getWordStatsByUsername(data) {
+		return new Promise((resolve, reject) => {
+			// words whose points were taken back after a challenge do not count
+			const sqlStatement = `
+        SELECT COUNT(*) AS wordsPlayed, AVG(points) AS averagePointsPerWord FROM WordPlays
+        WHERE username = ? AND isReversed = FALSE;
+
+        SELECT word, playedAt FROM WordPlays
+        WHERE username = ? AND isReversed = FALSE
+        ORDER BY CHAR_LENGTH(word) DESC, playedAt ASC
+        LIMIT 1;
+
+        SELECT LEFT(word, 1) AS letter, COUNT(*) AS timesPlayed FROM WordPlays
+        WHERE username = ? AND isReversed = FALSE
+        GROUP BY letter
+        ORDER BY timesPlayed DESC, letter ASC
+        LIMIT ?;
+      `;
+
+			const values = [data.username, data.username, data.username, data.letterLimit || 3];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+
+				const [[totals], longestWords, favouriteLetters] = results;
+				resolve({
+					wordsPlayed: totals.wordsPlayed,
+					averagePointsPerWord: totals.averagePointsPerWord === null ? 0 : Number(totals.averagePointsPerWord),
+					longestWord: longestWords.length ? longestWords[0] : null,
+					favouriteStartingLetters: favouriteLetters,
+				});
+			});
+		});
+	},
+
+	// Get a match with its participants and every word played, in order
+	getMatchTimeline(data) {
+		return new Promise((resolve, reject) => {
+			const sqlStatement = `
+        SELECT id AS matchId, roomId, mode, dictionary, rules, startedAt, endedAt, endReason FROM Matches
+        WHERE id = ?;
+
+        SELECT username, isBot, finalScore, placement, longestStreak, hintsUsed, challengesWon, challengesLost FROM MatchParticipants
+        WHERE matchId = ?
+        ORDER BY placement ASC;
+
+        SELECT turnNumber, username, word, points, isReversed, playedAt FROM WordPlays
+        WHERE matchId = ?
+        ORDER BY turnNumber ASC;
+      `;
+
+			const values = [data.matchId, data.matchId, data.matchId];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+
+				const [matches, participants, wordPlays] = results;
+				if (matches.length === 0) return reject(new Error("Match not found"));
+
+				resolve({ ...matches[0], participants, wordPlays });
+			});
+		});
+	},
+
+	// Get a match with its participants and the replay events, resolving to null if there is no such match
+	getReplay(data) {
+		return new Promise((resolve, reject) => {
+			const sqlStatement = `
+        SELECT id AS matchId, roomId, mode, dictionary, rules, startedAt, endedAt, endReason FROM Matches
+        WHERE id = ?;
+
+        SELECT username, isBot, finalScore, placement FROM MatchParticipants
+        WHERE matchId = ?
+        ORDER BY placement ASC;
+
+        SELECT offsetMs, eventType, username, details FROM ReplayEvents
+        WHERE matchId = ?
+        ORDER BY eventNumber ASC;
+      `;
+
+			const values = [data.matchId, data.matchId, data.matchId];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+
+				const [matches, participants, events] = results;
+				if (matches.length === 0) return resolve(null);
+
+				resolve({
+					...matches[0],
+					participants,
+					events: events.map((event) => ({
+						at: event.offsetMs,
+						type: event.eventType,
+						username: event.username,
+						...(typeof event.details === "string" ? JSON.parse(event.details) : event.details),
+					})),
+				});
+			});
+		});
+	}
+};
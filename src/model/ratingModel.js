@@ -0,0 +1,50 @@
+const pool = require("../services/mysql-service.js");
+
+module.exports = {
+	// Add the rating changes of a match, one row per rated player
+	addRatingHistory(data) {
+		return new Promise((resolve, reject) => {
+			if (data.entries.length === 0) return resolve(null);
+
+			const sqlStatement = `
+        INSERT INTO RatingHistory (userId, matchId, ratingBefore, ratingAfter, placement)
+        VALUES ?;
+      `;
+
+			const values = [
+				data.entries.map((entry) => [
+					entry.userId,
+					data.matchId,
+					entry.ratingBefore,
+					entry.ratingAfter,
+					entry.placement,
+				]),
+			];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results);
+			});
+		});
+	},
+
+	// Get a user's most recent rating changes, newest first
+	getRatingHistoryByUsername(data) {
+		return new Promise((resolve, reject) => {
+			const sqlStatement = `
+        SELECT h.matchId, h.ratingBefore, h.ratingAfter, h.placement, h.createdAt FROM RatingHistory h
+        JOIN Users u ON u.id = h.userId
+        WHERE u.username = ?
+        ORDER BY h.createdAt DESC, h.id DESC
+        LIMIT ?;
+      `;
+
+			const values = [data.username, data.limit || 20];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results);
+			});
+		});
+	}
+};
@@ -7,8 +7,28 @@
  * @class GameRoom
  */
 
-const fs = require("fs");
-const path = require("path");
+const dictionaryService = require("../services/dictionary-service.js");
+const rulesService = require("../services/rules-service.js");
+const chainRuleService = require("../services/chain-rule-service.js");
+const scoringService = require("../services/scoring-service.js");
+const roomService = require("../services/room-service.js");
+const lobbyService = require("../services/lobby-service.js");
+const botService = require("../services/bot-service.js");
+const userModel = require("./userModel.js");
+const matchModel = require("./matchModel.js");
+const ratingService = require("../services/rating-service.js");
+
+// bumped whenever the shape of the roomState snapshot changes
+const ROOM_STATE_VERSION = 2;
+
+// how long a room stays open after a game ends, so the host can start a rematch
+const REMATCH_WINDOW_MS = 2 * 60 * 1000;
+
+// chat messages kept per channel for late joiners
+const CHAT_HISTORY_LIMIT = 50;
+
+// a hint never gives away more than this share of the word's letters
+const MAX_HINT_REVEAL_RATIO = 0.6;
 
 class GameRoom {
 	/**
@@ -17,55 +37,129 @@ class GameRoom {
 	 * @param {string} creatorUsername - The username of the player who created the room.
 	 * @param {string} roomId - Unique identifier for the game room.
 	 * @param {string} creatorSocketId - The socket ID of the creator of the room.
+	 * @param {Object} [options] - Optional room settings.
+	 * @param {string} [options.dictionary] - The id of the dictionary words are checked against.
+	 * @param {Object} [options.rules] - Room rules, already validated by the rules service.
+	 * @param {string} [options.visibility] - "public" rooms are listed in the lobby, "private" ones are not.
+	 * @param {boolean} [options.practice] - Practice rooms can be played solo and their results are not saved.
+	 * @param {boolean} [options.ranked] - Ranked rooms are created by the matchmaker and cannot take bots.
+	 * @param {string} [options.tournamentId] - The tournament the room's game belongs to.
+	 * @param {Function} [options.onGameEnded] - Called with the room and its results whenever a game ends.
 	 */
-	constructor(creatorUsername, roomId, creatorSocketId) {
+	constructor(creatorUsername, roomId, creatorSocketId, options = {}) {
 		this.creatorUsername = creatorUsername;
+		this.hostUsername = creatorUsername; // passed on when the host leaves
 		this.roomId = roomId;
+		this.joinCode = null; // issued by the room service
 		this.createdRoomTime = new Date();
 
-		// Set room expiry time to 1 hour after creation
+		// room rules - player cap, timers, word length and chaining
+		this.rules = { ...rulesService.DEFAULT_RULES, ...options.rules };
+		const roomExpiryMs = rulesService.getRoomExpiryMs(this.rules);
+
+		// Set room expiry time to the game length plus a buffer after creation
 		this.roomExpiryTime = new Date(
-			this.createdRoomTime.getTime() + 60 * 60 * 1000
+			this.createdRoomTime.getTime() + roomExpiryMs
 		);
 
-		// Set game end time to 30 minutes after creation
+		// Set game end time to the game length after creation, moved again when the game starts
 		this.gameEndTime = new Date(
-			this.createdRoomTime.getTime() + 30 * 60 * 1000
+			this.createdRoomTime.getTime() + this.rules.gameLengthMinutes * 60 * 1000
 		);
 
+		// public rooms show up in the lobby room browser
+		this.visibility = options.visibility || "public";
+
+		// practice rooms - a solo player can start a game, alone or against bots
+		this.isPractice = Boolean(options.practice);
+
+		// ranked rooms - created by the matchmaker with ranked rules
+		this.isRanked = Boolean(options.ranked);
+
+		// tournament rooms - created by the tournament service for one bracket match, with fixed seats
+		this.tournamentId = options.tournamentId || null;
+		this.onGameEnded = options.onGameEnded || null;
+
+		// every bot added to the room, kept after a bot is removed so its results are never saved
+		this.botUsernames = new Set();
+
+		// host controls - a locked room takes no new players or spectators, banned users can never rejoin
+		this.isLocked = false;
+		this.bannedUsers = new Set();
+		this.mutedUsers = new Set();
+
+		// chat - the room channel is for players, the spectators channel for spectators only
+		this.chatHistory = { room: [], spectators: [] };
+
 		// room and game states
 		this.isRoomActive = true;
 		this.isGameStarted = false;
 		this.isGameEnded = false;
 
 		// room configs
-		this.maxPlayers = 4;
 		this.playersMap = new Map([
-			[creatorUsername, { socketId: creatorSocketId, points: 0 }],
+			[creatorUsername, this.createPlayerData(creatorSocketId)],
 		]);
+
+		// spectators receive every broadcast but never take a turn - username => { socketId }
+		this.spectatorsMap = new Map();
 		this.usedWordSet = new Set();
 
 		// stores the last word that was used for comparison, will be replaced after each successful new word is used
 		this.lastWord = null;
+		this.lastWordPlayer = null; // who played the last word, for the dead end trap bonus
+
+		// sequence number of the last broadcast, lets clients detect missed events
+		this.sequence = 0;
 
 		// these are variables for keepting timeouts and intervals
 		this.roomExpiryTimer = setTimeout(
 			() => this.deleteRoom("Room expired"),
-			60 * 60 * 1000
-		); // 1 hour
+			roomExpiryMs
+		);
 		this.gameEndTimer = null;
 		this.roundTimer = null;
+		this.roundStartTime = null;
+		this.botTimer = null; // the current bot's answer, if it is a bot's turn
+
+		// hints and challenges - the word hints point at this turn, the latest play and any open challenge
+		this.hintWord = null;
+		this.lastPlay = null;
+		this.activeChallenge = null;
 
 		// winner array
 		this.roomWinnerArray = null;
 
+		// elimination mode - usernames in the order they were knocked out
+		this.eliminationOrder = [];
+
+		// everyone who was in the game when it started, stats are saved for all of them
+		this.participants = [];
+
+		// participants who left during the game => their player data when they left, in the order they left
+		this.departedPlayers = new Map();
+
+		// match history - when the game started and every word played, saved when the game ends
+		this.gameStartTime = null;
+		this.wordPlays = [];
+
+		// replay - every event of the current game, timed from the start of the game and only ever appended to
+		this.replayEvents = [];
+
 		// turn order properties
-		this.currentTurn = creatorUsername; // creator always starts first
+		this.currentTurn = creatorUsername; // host always starts first
 		this.turnOrder = []; // store users in current turn order
 		this.currentTurnIndex = 0;
 
-		// word list loading
-		this.validWords = this.loadWordList();
+		// shared, process-wide word list chosen for this room
+		this.dictionaryId = options.dictionary || dictionaryService.DEFAULT_DICTIONARY_ID;
+		this.dictionary = dictionaryService.getDictionary(this.dictionaryId);
+
+		// unused words of the dictionary, kept in step with usedWordSet to spot dead ends quickly
+		this.remainingWords = new dictionaryService.RemainingWordIndex(this.dictionary);
+
+		// strategy deciding which words may follow the last word
+		this.chainRule = chainRuleService.createChainRule(this.rules);
 	}
 
 	/**
@@ -108,6 +202,9 @@ class GameRoom {
 	 * @returns {boolean} True if the message was successfully sent, otherwise false.
 	 */
 	sendToPlayer(username, event, message) {
+		// bots play on the server and have no socket to send to
+		if (this.isBot(username)) return false;
+
 		const socketId = this.getUserSocket(username);
 
 		if (!socketId) {
@@ -138,6 +235,7 @@ class GameRoom {
 
 	/**
 	 * Broadcasts a message to all players in the room.
+	 * Every broadcast carries the room's next sequence number as `seq`.
 	 *
 	 * @param {string} event - The event to broadcast.
 	 * @param {Object} [message] - The message to broadcast with the event.
@@ -145,11 +243,8 @@ class GameRoom {
 	 */
 	broadcast(event, message) {
 		try {
-			if (message) {
-				io.to(this.roomId).emit(event, message);
-			} else {
-				io.to(this.roomId).emit(event);
-			}
+			this.sequence++;
+			io.to(this.roomId).emit(event, { ...message, seq: this.sequence });
 			return true;
 		} catch (error) {
 			// Broadcast an error to the entire room
@@ -163,6 +258,62 @@ class GameRoom {
 		}
 	}
 
+	/**
+	 * Appends an event to the replay of the running game, timed in milliseconds from the start of the game.
+	 * Nothing is recorded while no game is running.
+	 *
+	 * @param {string} type - What happened, e.g. "turnStart" or "submission".
+	 * @param {Object} [details] - Who it happened to and anything else needed to play it back.
+	 */
+	recordEvent(type, details = {}) {
+		if (!this.isGameStarted || this.isGameEnded) return;
+
+		this.replayEvents.push({
+			at: Date.now() - this.gameStartTime.getTime(),
+			type,
+			...details,
+		});
+	}
+
+	/**
+	 * Creates the per-player state stored in the players map.
+	 *
+	 * @param {string|null} socketId - The socket ID of the player, null for bots.
+	 * @param {string|null} [botDifficulty] - The difficulty level if the player is a bot.
+	 * @returns {Object} The initial player state.
+	 */
+	createPlayerData(socketId, botDifficulty = null) {
+		return {
+			socketId,
+			isBot: botDifficulty !== null,
+			difficulty: botDifficulty,
+			points: 0,
+			streak: 0,
+			longestStreak: 0,
+			lives: this.rules.lives,
+			isEliminated: false,
+			invalidAttempts: 0,
+			hintsUsed: 0,
+			hintsThisTurn: 0,
+			challengesWon: 0,
+			challengesLost: 0,
+			connected: true,
+			disconnectTimer: null,
+		};
+	}
+
+	/**
+	 * Checks the host controls that can keep a user out of the room.
+	 *
+	 * @param {string} username - The username of the user trying to join.
+	 * @returns {string|null} Why the user cannot join, or null if they can.
+	 */
+	getJoinError(username) {
+		if (this.bannedUsers.has(username)) return "You are banned from this room";
+		if (this.isLocked) return "Room is locked";
+		return null;
+	}
+
 	/**
 	 * Adds a new player to the game room.
 	 *
@@ -171,7 +322,25 @@ class GameRoom {
 	 * @returns {boolean} True if the player was successfully added, otherwise false.
 	 */
 	addPlayer(username, socketId) {
-		if (this.playersMap.size >= this.maxPlayers) {
+		const joinError = this.getJoinError(username);
+		if (joinError) {
+			this.handleError(new Error(joinError), `adding player ${username}`);
+			return false;
+		}
+
+		// the turn order and standings are fixed when the game starts, latecomers can spectate
+		if (this.isGameStarted && !this.isGameEnded) {
+			this.handleError(new Error("Players cannot join a game in progress"), `adding player ${username}`);
+			return false;
+		}
+
+		// the matchmaker seats every ranked player before the game starts, nobody joins afterwards
+		if (this.isRanked && this.isGameStarted) {
+			this.handleError(new Error("Ranked games can only be joined through the queue"), `adding player ${username}`);
+			return false;
+		}
+
+		if (this.playersMap.size >= this.rules.maxPlayers) {
 			const error = new Error("Room is full");
 			this.handleError(error, `adding player ${username}`);
 			return false;
@@ -184,7 +353,15 @@ class GameRoom {
 		}
 
 		try {
-			this.playersMap.set(username, { socketId: socketId, points: 0 });
+			// spectators can take a free seat
+			this.spectatorsMap.delete(username);
+
+			this.playersMap.set(username, this.createPlayerData(socketId));
+			this.recordEvent("join", { username, isBot: false });
+			lobbyService.publishRoomUpdate(
+				this,
+				this.playersMap.size >= this.rules.maxPlayers ? "filled" : "updated"
+			);
 			return true;
 		} catch (error) {
 			this.handleError(error, `adding player ${username}`);
@@ -192,6 +369,50 @@ class GameRoom {
 		}
 	}
 
+	/**
+	 * Adds a spectator to the game room.
+	 *
+	 * @param {string} username - The username of the spectator to add.
+	 * @param {string} socketId - The socket ID of the spectator to add.
+	 * @returns {boolean} True if the spectator was successfully added, otherwise false.
+	 */
+	addSpectator(username, socketId) {
+		const joinError = this.getJoinError(username);
+		if (joinError) {
+			this.handleError(new Error(joinError), `adding spectator ${username}`);
+			return false;
+		}
+
+		if (this.spectatorsMap.size >= this.rules.maxSpectators) {
+			const error = new Error("Room has no spectator slots left");
+			this.handleError(error, `adding spectator ${username}`);
+			return false;
+		}
+
+		if (this.playersMap.has(username) || this.spectatorsMap.has(username)) {
+			const error = new Error(`${username} is already in the room`);
+			this.handleError(error, `adding spectator ${username}`);
+			return false;
+		}
+
+		this.spectatorsMap.set(username, { socketId });
+		lobbyService.publishRoomUpdate(this, "updated");
+		return true;
+	}
+
+	/**
+	 * Removes a spectator from the game room.
+	 *
+	 * @param {string} username - The username of the spectator to remove.
+	 * @returns {boolean} True if the spectator was successfully removed, otherwise false.
+	 */
+	removeSpectator(username) {
+		if (!this.spectatorsMap.delete(username)) return false;
+
+		lobbyService.publishRoomUpdate(this, "updated");
+		return true;
+	}
+
 	/**
 	 * Removes a player from the game room.
 	 *
@@ -202,31 +423,52 @@ class GameRoom {
 		try {
 			// Check if the player exists in the playersMap
 			if (this.playersMap.has(username)) {
+				const isGameRunning = this.isGameStarted && !this.isGameEnded;
+				const wasCurrentTurn = this.currentTurn === username;
+
+				// a participant who leaves mid-game still gets a placement in the results
+				if (isGameRunning && this.participants.includes(username)) {
+					this.departedPlayers.set(username, this.playersMap.get(username));
+				}
+
 				// Remove the player from the playersMap
 				this.playersMap.delete(username);
+				this.recordEvent("leave", { username });
 
-				// Remove the player from the turn order
+				// Remove the player from the turn order, keeping the index on the player before the next one
 				const playerIndex = this.turnOrder.indexOf(username);
 				if (playerIndex !== -1) {
 					this.turnOrder.splice(playerIndex, 1);
+					if (playerIndex <= this.currentTurnIndex) {
+						this.currentTurnIndex--;
+					}
 				}
 
-				// If the player who is removed is the current turn player, we need to move to the next turn
-				if (this.currentTurn === username) {
-					// If there are still players in the game, move to the next player
-					if (this.turnOrder.length > 0) {
-						this.currentTurnIndex =
-							(this.currentTurnIndex + 1) % this.turnOrder.length;
-						this.currentTurn = this.turnOrder[this.currentTurnIndex];
-					} else {
-						// If no players are left, the game is effectively over
-						this.endGame();
-					}
+				// If no players are left, close the room - bots do not keep a room open
+				if (!this.hasHumanPlayers()) {
+					this.deleteRoom("Everyone left the room");
+					return true;
+				}
+
+				// The room always has a host
+				if (this.hostUsername === username) {
+					this.transferHost(this.pickNextHost(), "Previous host left");
+				}
 
-					// Broadcast the change in turn order
-					this.broadcast("turnChanged", { currentPlayer: this.currentTurn });
+				// A game needs at least two players to go on, practice games only one
+				if (isGameRunning && this.turnOrder.length < this.getMinPlayers()) {
+					this.endGame("Not enough players left");
+					return true;
 				}
 
+				// If the player who is removed is the current turn player, move to the next turn
+				if (isGameRunning && wasCurrentTurn) {
+					this.nextTurn();
+					this.startRound();
+				}
+
+				lobbyService.publishRoomUpdate(this, "updated");
+
 				// Successfully removed player and updated turn order
 				return true;
 			}
@@ -240,6 +482,159 @@ class GameRoom {
 		}
 	}
 
+	/**
+	 * Marks a player as disconnected and removes them if they do not come back within the grace period.
+	 *
+	 * @param {string} username - The username of the player.
+	 * @param {string} socketId - The socket ID that disconnected.
+	 * @returns {boolean} True if the player was marked as disconnected, otherwise false.
+	 */
+	markPlayerDisconnected(username, socketId) {
+		const player = this.playersMap.get(username);
+
+		// the player may already be back on a newer socket
+		if (!player || player.socketId !== socketId) return false;
+
+		player.connected = false;
+		this.recordEvent("disconnect", { username });
+		player.disconnectTimer = setTimeout(() => {
+			player.disconnectTimer = null;
+			if (this.removePlayer(username) && this.isRoomActive) {
+				this.broadcast("playerLeft", {
+					username,
+					message: `${username} did not reconnect in time`,
+				});
+			}
+		}, this.rules.reconnectGraceSeconds * 1000);
+
+		this.broadcast("playerDisconnected", {
+			username,
+			gracePeriodSeconds: this.rules.reconnectGraceSeconds,
+		});
+
+		return true;
+	}
+
+	/**
+	 * Binds a returning player to their new socket and cancels their removal.
+	 *
+	 * @param {string} username - The username of the player.
+	 * @param {string} socketId - The player's new socket ID.
+	 * @returns {boolean} True if the player was reconnected, otherwise false.
+	 */
+	reconnectPlayer(username, socketId) {
+		const player = this.playersMap.get(username);
+		if (!player) return false;
+
+		if (player.disconnectTimer) {
+			clearTimeout(player.disconnectTimer);
+			player.disconnectTimer = null;
+		}
+
+		player.socketId = socketId;
+		player.connected = true;
+		this.recordEvent("reconnect", { username });
+
+		this.broadcast("playerReconnected", { username });
+		return true;
+	}
+
+	/**
+	 * Holds a seat for a player who is not connected yet, such as a tournament entrant.
+	 * The player takes the seat by reconnecting to the room.
+	 *
+	 * @param {string} username - The username of the player.
+	 * @returns {boolean} True if the seat was reserved, otherwise false.
+	 */
+	reserveSeat(username) {
+		if (!this.playersMap.has(username) && this.playersMap.size >= this.rules.maxPlayers) return false;
+
+		const player = this.playersMap.get(username) || this.createPlayerData(null);
+		player.socketId = null;
+		player.connected = false;
+		this.playersMap.set(username, player);
+
+		return true;
+	}
+
+	/**
+	 * Gets the seconds left in the current turn.
+	 *
+	 * @returns {number} The seconds left, 0 if no turn is running.
+	 */
+	getTurnTimeRemaining() {
+		if (!this.roundTimer || !this.roundStartTime) return 0;
+
+		const elapsedMs = Date.now() - this.roundStartTime;
+		return Math.max(Math.ceil((this.rules.turnTimeSeconds * 1000 - elapsedMs) / 1000), 0);
+	}
+
+	/**
+	 * Gets the phase the room is in.
+	 *
+	 * @returns {string} "waiting" before the game starts, "playing" during it and "ended" after it.
+	 */
+	getPhase() {
+		if (this.isGameEnded) return "ended";
+		if (this.isGameStarted) return "playing";
+		return "waiting";
+	}
+
+	/**
+	 * Builds a full snapshot of the room, for late joiners and for clients that missed events.
+	 * `seq` is the sequence number of the last broadcast the snapshot includes.
+	 *
+	 * @returns {Object} The current state of the room.
+	 */
+	getStateSnapshot() {
+		const turnDeadline = this.roundTimer && this.roundStartTime
+			? this.roundStartTime + this.rules.turnTimeSeconds * 1000
+			: null;
+
+		return {
+			version: ROOM_STATE_VERSION,
+			seq: this.sequence,
+			serverTime: Date.now(),
+			roomId: this.roomId,
+			joinCode: this.joinCode,
+			host: this.hostUsername,
+			isLocked: this.isLocked,
+			isPractice: this.isPractice,
+			isRanked: this.isRanked,
+			tournamentId: this.tournamentId,
+			phase: this.getPhase(),
+			rules: this.rules,
+			dictionary: this.dictionaryId,
+			players: Array.from(this.playersMap, ([username, playerData]) => ({
+				username,
+				points: playerData.points,
+				streak: playerData.streak,
+				lives: playerData.lives,
+				isEliminated: playerData.isEliminated,
+				connected: playerData.connected,
+				isBot: playerData.isBot,
+				difficulty: playerData.difficulty,
+			})),
+			spectators: Array.from(this.spectatorsMap.keys()),
+			turnOrder: this.turnOrder,
+			currentTurn: this.currentTurn,
+			turnDeadline,
+			timeRemaining: this.getTurnTimeRemaining(),
+			lastWord: this.lastWord,
+			usedWords: Array.from(this.usedWordSet),
+		};
+	}
+
+	/**
+	 * Sends the full room state to one player.
+	 *
+	 * @param {string} username - The username of the player.
+	 * @returns {boolean} True if the state was sent, otherwise false.
+	 */
+	sendStateSnapshot(username) {
+		return this.sendToPlayer(username, "roomState", this.getStateSnapshot());
+	}
+
 	/**
 	 * Checks if a word has already been used in the game.
 	 *
@@ -257,6 +652,7 @@ class GameRoom {
 	 */
 	addUsedWords(word) {
 		this.usedWordSet.add(word.toLowerCase());
+		this.remainingWords.markUsed(word);
 		this.lastWord = word.toLowerCase();
 	}
 
@@ -265,30 +661,37 @@ class GameRoom {
 	 *
 	 * @param {string} username - The username of the player to add points to.
 	 * @param {number} points - The number of points to add.
+	 * @param {string} reason - What the points are for, kept in the replay.
 	 * @returns {boolean} True if points were successfully added, otherwise false.
 	 */
-	addPoints(username, points) {
+	addPoints(username, points, reason) {
 		const player = this.playersMap.get(username);
 		if (player) {
 			player.points += points;
+			this.recordEvent("score", { username, change: points, total: player.points, reason });
 			return true;
 		}
 		return false;
 	}
 
 	/**
-	 * Initializes the turn order, ensuring that the creator goes first.
+	 * Initializes the turn order, ensuring that the host goes first.
 	 *
 	 * @returns {void}
 	 */
 	initializeTurnOrder() {
-		// ensure that the creator is first and that everyone'e elses turn is  random
-		this.turnOrder = [
-			this.creatorUsername,
-			...Array.from(this.playersMap.keys())
-				.filter((username) => username !== this.creatorUsername)
-				.sort(() => Math.random() - 0.5),
-		];
+		// ranked games favour nobody, the whole order is random
+		if (this.isRanked) {
+			this.turnOrder = Array.from(this.playersMap.keys()).sort(() => Math.random() - 0.5);
+		} else {
+			// ensure that the host is first and that everyone'e elses turn is  random
+			this.turnOrder = [
+				this.hostUsername,
+				...Array.from(this.playersMap.keys())
+					.filter((username) => username !== this.hostUsername)
+					.sort(() => Math.random() - 0.5),
+			];
+		}
 
 		this.currentTurnIndex = 0;
 		this.currentTurn = this.turnOrder[0];
@@ -305,40 +708,23 @@ class GameRoom {
 	}
 
 	/**
-	 * Loads a list of valid words from a file.
+	 * Checks if a word is valid by checking if it's in the word list.
 	 *
-	 * @returns {Set<string>} A set of valid words.
+	 * @param {string} word - The word to check.
+	 * @returns {boolean} True if the word is valid, otherwise false.
 	 */
-	loadWordList() {
-		try {
-			const wordListPath = path.join(__dirname, "words.txt");
-			const wordList = fs
-				.readFileSync(wordListPath, "utf8")
-				.split("\n")
-				.map((word) => word.toLowerCase().trim())
-				.filter((word) => word.length > 0);
-
-			return new Set(wordList);
-		} catch (error) {
-			// redirects all users to the main page and inform them of error
-			this.handleError(error, "loading word list");
-
-			return this.broadcast("redirectMainPage", {
-				errorMessage:
-					"There was an issue loading the word list, redirecting ...",
-				details: error.toString(),
-			});
-		}
+	isValidWord(word) {
+		return this.dictionary.has(word);
 	}
 
 	/**
-	 * Checks if a word is valid by checking if it's in the word list.
+	 * Counts the dictionary words with a prefix that have not been used in this game yet.
 	 *
-	 * @param {string} word - The word to check.
-	 * @returns {boolean} True if the word is valid, otherwise false.
+	 * @param {string} prefix - The prefix to look up, e.g. a single starting letter.
+	 * @returns {number} The number of unused words that start with the prefix.
 	 */
-	isValidWord(word) {
-		return this.validWords.has(word.toLowerCase().trim());
+	countUnusedWordsWithPrefix(prefix) {
+		return this.remainingWords.countUnusedWithPrefix(prefix);
 	}
 
 	/*******************
@@ -388,30 +774,33 @@ class GameRoom {
 				};
 			}
 
-			// First word from creator can be anything
-			if (!this.lastWord) {
+			// Validate word meets the minimum length
+			if (word.trim().length < this.rules.minWordLength) {
 				return {
-					valid: true,
-					reason: "First word",
+					valid: false,
+					reason: `Word must be at least ${this.rules.minWordLength} letters long`,
 				};
 			}
 
-			// Word must start with the last character of previous word
-			const lastChar = this.lastWord.slice(-1).toLowerCase();
-			const firstChar = word.charAt(0).toLowerCase();
+			// Word must be allowed to follow the previous word under the room's chain rule
+			const chainValidation = this.chainRule.validate(this.lastWord, word.toLowerCase().trim());
+			if (!chainValidation.valid) {
+				return chainValidation;
+			}
 
-			if (firstChar !== lastChar) {
+			// Check if word has been used before, a chain restarted after a dead end cannot reuse words either
+			if (this.usedWordSet.has(word.toLowerCase())) {
 				return {
 					valid: false,
-					reason: `Word must start with '${lastChar}'`,
+					reason: "Word has been used before",
 				};
 			}
 
-			// Check if word has been used before
-			if (this.usedWordSet.has(word.toLowerCase())) {
+			// First word from creator can be anything the chain rule allows
+			if (!this.lastWord) {
 				return {
-					valid: false,
-					reason: "Word has been used before",
+					valid: true,
+					reason: "First word",
 				};
 			}
 
@@ -436,14 +825,58 @@ class GameRoom {
 	 * @returns {boolean} True if the word play was successful, otherwise false.
 	 */
 	playWord(username, word) {
+		// words only count while the game is running, not before it starts or after it has ended
+		if (!this.isGameStarted || this.isGameEnded) {
+			this.sendToPlayer(username, "wordPlayFailed", {
+				reason: "The game is not running",
+				breakdown: null,
+			});
+			return false;
+		}
+
+		// anything that cannot be a word is turned away before it is scored or recorded in the replay
+		if (typeof word !== "string" || word.length > dictionaryService.MAX_WORD_LENGTH) {
+			this.sendToPlayer(username, "wordPlayFailed", {
+				reason: "Not a valid word",
+				breakdown: null,
+			});
+			return false;
+		}
+
 		// validate the word
 		const validation = this.validateWordPlay(username, word);
 
 		if (!validation.valid) {
+			this.recordEvent("submission", { username, word, accepted: false, reason: validation.reason });
+
+			// invalid submissions on your own turn cost points and break your streak
+			let breakdown = null;
+			const isOwnTurn = this.isPlayerTurn(username);
+			if (isOwnTurn) {
+				breakdown = scoringService.scorePenalty("invalidWord", this.rules.invalidWordPenalty);
+				this.addPoints(username, breakdown.total, breakdown.reason);
+				this.playersMap.get(username).streak = 0;
+				this.playersMap.get(username).invalidAttempts++;
+			}
+
 			// return failure to user
 			this.sendToPlayer(username, "wordPlayFailed", {
 				reason: validation.reason,
+				breakdown,
 			});
+
+			// in elimination mode too many invalid attempts in one turn costs a life and the turn
+			if (
+				isOwnTurn &&
+				this.rules.mode === "elimination" &&
+				this.playersMap.get(username).invalidAttempts >= this.rules.maxInvalidAttempts
+			) {
+				this.loseLife(username, "Too many invalid attempts");
+				if (!this.isGameEnded) {
+					this.nextTurn();
+					this.startRound();
+				}
+			}
 			return false;
 		}
 
@@ -453,17 +886,42 @@ class GameRoom {
 				clearTimeout(this.roundTimer);
 			}
 
+			// score the word - letter values, speed, streak and rare letters
+			const player = this.playersMap.get(username);
+			player.streak++;
+			player.longestStreak = Math.max(player.longestStreak, player.streak);
+			const breakdown = scoringService.scoreWordPlay({
+				word,
+				timeTakenMs: Date.now() - this.roundStartTime,
+				turnTimeMs: this.rules.turnTimeSeconds * 1000,
+				streak: player.streak,
+			});
+
 			// add points for successful word
-			this.addPoints(username, word.length);
+			this.recordEvent("submission", { username, word, accepted: true, reason: validation.reason });
+			this.addPoints(username, breakdown.total, "word");
 
 			// add word to used words
 			this.addUsedWords(word);
+			this.lastWordPlayer = username;
+
+			// the play can be challenged by the other players for a short while
+			this.lastPlay = {
+				username,
+				word: word.toLowerCase().trim(),
+				points: breakdown.total,
+				playedAt: Date.now(),
+				isChallenged: false,
+				isReversed: false,
+			};
+			this.wordPlays.push(this.lastPlay);
 
 			// Broadcast successful word play
 			this.broadcast("wordPlayed", {
 				username,
 				word,
-				points: word.length,
+				points: breakdown.total,
+				breakdown,
 			});
 
 			this.nextTurn();
@@ -496,7 +954,7 @@ class GameRoom {
 		if (this.isGameStarted) return false;
 
 		// ensure the minimum player count is met
-		if (this.playersMap.size < 2) {
+		if (this.playersMap.size < this.getMinPlayers()) {
 			this.broadcast("gameStartedFailed", {
 				reason: "Not enough players",
 			});
@@ -512,18 +970,51 @@ class GameRoom {
 
 		// game states - making sure there are what we expect them to be
 		this.usedWordSet.clear();
+		this.remainingWords.reset();
 		this.lastWord = null;
+		this.lastWordPlayer = null;
+		this.lastPlay = null;
+		this.activeChallenge = null;
+		this.eliminationOrder = [];
+		this.participants = [...this.turnOrder];
+		this.departedPlayers = new Map();
+		this.gameStartTime = new Date();
+		this.wordPlays = [];
+
+		// the replay opens with everyone seated at the start of the game
+		this.replayEvents = [];
+		for (const username of this.turnOrder) {
+			this.recordEvent("join", { username, isBot: this.isBot(username) });
+		}
+
+		// everyone starts from zero with a full set of lives, lives are only used in elimination mode
+		for (const player of this.playersMap.values()) {
+			player.points = 0;
+			player.streak = 0;
+			player.longestStreak = 0;
+			player.lives = this.rules.lives;
+			player.isEliminated = false;
+			player.invalidAttempts = 0;
+			player.hintsUsed = 0;
+			player.challengesWon = 0;
+			player.challengesLost = 0;
+		}
 
 		// set up game end timer
+		const gameLengthMs = this.rules.gameLengthMinutes * 60 * 1000;
+		this.gameEndTime = new Date(Date.now() + gameLengthMs);
 		this.gameEndTimer = setTimeout(() => {
-			this.endGame();
-		}, 30 * 60 * 1000); // 30 mins
+			this.endGame("Time is up");
+		}, gameLengthMs);
 
 		// broadcast game start
 		this.broadcast("gameStarted", {
 			firstPlayer: this.currentTurn,
 			players: this.turnOrder,
+			mode: this.rules.mode,
+			lives: this.rules.mode === "elimination" ? this.rules.lives : null,
 		});
+		lobbyService.publishRoomUpdate(this, "started");
 
 		// Start the first round
 		this.startRound();
@@ -539,30 +1030,123 @@ class GameRoom {
 		if (this.roundTimer) {
 			clearTimeout(this.roundTimer);
 		}
+		if (this.botTimer) {
+			clearTimeout(this.botTimer);
+			this.botTimer = null;
+		}
+
+		// nobody could follow the last word, sort that out before the turn starts
+		if (this.resolveDeadEnd() && this.isGameEnded) return;
+
+		// hints point at a new word every turn
+		this.hintWord = null;
+
+		// invalid attempts and hints are counted per turn
+		if (this.playersMap.has(this.currentTurn)) {
+			this.playersMap.get(this.currentTurn).invalidAttempts = 0;
+			this.playersMap.get(this.currentTurn).hintsThisTurn = 0;
+		}
 
-		// Set up a new 30-second timer for the current player's turn
+		// Set up a new timer for the current player's turn
+		this.roundStartTime = Date.now();
+		this.recordEvent("turnStart", {
+			username: this.currentTurn,
+			lastWord: this.lastWord,
+			turnTimeSeconds: this.rules.turnTimeSeconds,
+		});
 		this.roundTimer = setTimeout(() => {
 			this.handleRoundTimeout();
-		}, 30 * 1000); // 30 seconds
+		}, this.rules.turnTimeSeconds * 1000);
+
+		// Notify the current player that it's their turn, bots answer on their own
+		if (this.isBot(this.currentTurn)) {
+			this.scheduleBotTurn(this.currentTurn);
+		} else {
+			this.sendToPlayer(this.currentTurn, "yourTurn", {
+				timeRemaining: this.rules.turnTimeSeconds,
+			});
+		}
+	}
+
+	/**
+	 * Finds a word that may follow the last word and has not been used yet.
+	 *
+	 * @returns {string|null} A playable word, or null if the chain is at a dead end.
+	 */
+	findPlayableWord() {
+		const prefix = this.lastWord ? this.chainRule.getPrefix(this.lastWord) : "";
+
+		return this.remainingWords.findUnusedWord(
+			prefix,
+			(word) => word.length >= this.rules.minWordLength && this.chainRule.validate(this.lastWord, word).valid
+		);
+	}
+
+	/**
+	 * Checks if the chain is at a dead end and applies the room's dead end resolution:
+	 * "resetChain" lets the current player start a new chain with any unused word,
+	 * "trapBonus" does the same and rewards the player who played the last word,
+	 * and "endGame" ends the game.
+	 *
+	 * @returns {boolean} True if there was a dead end, otherwise false.
+	 */
+	resolveDeadEnd() {
+		if (!this.lastWord || this.findPlayableWord()) return false;
+
+		const resolution = this.rules.deadEndResolution;
+		const lastWord = this.lastWord;
+		const trapper = this.lastWordPlayer;
+
+		let breakdown = null;
+		if (resolution === "trapBonus" && this.playersMap.has(trapper)) {
+			breakdown = scoringService.scoreTrapBonus(this.rules.trapBonus);
+			this.addPoints(trapper, breakdown.total, breakdown.reason);
+		}
 
-		// Notify the current player that it's their turn
-		this.sendToPlayer(this.currentTurn, "yourTurn", {
-			timeRemaining: 30,
+		this.broadcast("deadEnd", {
+			lastWord,
+			player: this.currentTurn,
+			trapper,
+			resolution,
+			points: breakdown ? breakdown.total : 0,
+			breakdown,
+			reason: `No unused word can follow '${lastWord}'`,
 		});
+
+		if (resolution === "endGame") {
+			this.endGame("No valid words remain");
+			return true;
+		}
+
+		// the current player starts a new chain
+		this.lastWord = null;
+		return true;
 	}
 
 	/**
 	 * Handles the timeout of a round when a player doesn't make a move in time.
 	 */
 	handleRoundTimeout() {
-		// The current player gets 0 points for not making a move
-		this.addPoints(this.currentTurn, 0);
+		this.recordEvent("timeout", { username: this.currentTurn });
+
+		// The current player is penalised for not making a move and loses their streak
+		const breakdown = scoringService.scorePenalty("timeout", this.rules.timeoutPenalty);
+		this.addPoints(this.currentTurn, breakdown.total, breakdown.reason);
+		if (this.playersMap.has(this.currentTurn)) {
+			this.playersMap.get(this.currentTurn).streak = 0;
+		}
 
 		// Broadcast a timeout message
 		this.broadcast("turnTimedOut", {
 			player: this.currentTurn,
+			points: breakdown.total,
+			breakdown,
 		});
 
+		// in elimination mode a timeout costs a life, which may end the game
+		this.loseLife(this.currentTurn, "Turn timed out");
+		if (this.isGameEnded) return;
+
 		// Move to the next turn
 		this.nextTurn();
 
@@ -571,98 +1155,350 @@ class GameRoom {
 	}
 
 	/**
-	 * Ends the game, determines the winner, and broadcasts the results.
+	 * Takes a life from a player in elimination mode, eliminating them when they run out.
 	 *
-	 * @returns {boolean} True if the game ended successfully, otherwise false.
+	 * @param {string} username - The username of the player losing a life.
+	 * @param {string} reason - Why the life was lost.
+	 * @returns {boolean} True if a life was taken, otherwise false.
 	 */
-	endGame() {
-		// validate the word
-		const validation = this.validateWordPlay(username, word);
+	loseLife(username, reason) {
+		if (this.rules.mode !== "elimination") return false;
 
-		if (!validation.valid) {
-			// return failure to user
-			this.sendToPlayer(username, "wordPlayFailed", {
-				reason: validation.reason,
-			});
-			return false;
-		}
+		const player = this.playersMap.get(username);
+		if (!player || player.isEliminated) return false;
 
-		try {
-			// Clear the round timer
-			if (this.roundTimer) {
-				clearTimeout(this.roundTimer);
-			}
+		player.lives = Math.max(player.lives - 1, 0);
 
-			// add points for successful word
-			this.addPoints(username, word.length);
+		this.broadcast("livesChanged", {
+			username,
+			lives: player.lives,
+			reason,
+		});
 
-			// add word to used words
-			this.addUsedWords(word);
+		if (player.lives === 0) {
+			this.eliminatePlayer(username);
+		}
 
-			// Broadcast successful word play
-			this.broadcast("wordPlayed", {
-				username,
-				word,
-				points: word.length,
-			});
+		return true;
+	}
 
-			this.nextTurn();
+	/**
+	 * Removes a player from the turn order after they run out of lives.
+	 * Ends the game when only one player is left standing.
+	 *
+	 * @param {string} username - The username of the player to eliminate.
+	 */
+	eliminatePlayer(username) {
+		const player = this.playersMap.get(username);
+		player.isEliminated = true;
+		this.eliminationOrder.push(username);
+
+		// keep the turn index pointing at the player before the next one, so nextTurn lands correctly
+		const playerIndex = this.turnOrder.indexOf(username);
+		if (playerIndex !== -1) {
+			this.turnOrder.splice(playerIndex, 1);
+			if (playerIndex <= this.currentTurnIndex) {
+				this.currentTurnIndex--;
+			}
+		}
 
-			// Start the next round
-			this.startRound();
+		this.broadcast("playerEliminated", {
+			username,
+			placement: this.turnOrder.length + 1,
+			remainingPlayers: this.turnOrder,
+		});
+
+		// last player standing wins
+		if (this.turnOrder.length <= 1) {
+			this.endGame("Last player standing");
+		}
+	}
+
+	/**
+	 * Ends the game, determines the final standings, and broadcasts the results.
+	 * This is the only way a game ends: the game timer, the last player standing,
+	 * and players leaving all come through here. The room stays open for a short
+	 * rematch window and is closed afterwards.
+	 *
+	 * @param {string} [reason] - Why the game ended.
+	 * @returns {boolean} True if the game ended successfully, otherwise false.
+	 */
+	endGame(reason = "Time is up") {
+		// only a running game can end, and only once
+		if (!this.isGameStarted || this.isGameEnded) return false;
+
+		try {
+			// stop the turn and game timers
+			this.clearGameTimers();
+			this.recordEvent("gameEnded", { reason });
+			this.isGameEnded = true;
+
+			// final standings and winners
+			const standings = this.determineStandings();
+			const winners = standings
+				.filter((standing) => standing.placement === 1)
+				.map((standing) => standing.username);
+			this.roomWinnerArray = winners;
+
+			// stats and match history are saved in the background, a database error should not hold up the results
+			const savedMatch = this.persistResults(standings, reason).catch((persistError) => {
+				this.handleError(persistError, "saving the game results");
+				return null;
+			});
+
+			// Broadcast game results
+			this.broadcast("gameEnded", {
+				reason,
+				winners,
+				standings,
+				playerScores: Object.fromEntries(
+					Array.from(this.playersMap, ([username, playerData]) => [username, playerData.points])
+				),
+			});
+
+			// close the room unless the host starts a rematch
+			this.roomExpiryTimer = setTimeout(
+				() => this.deleteRoom("Game ended"),
+				REMATCH_WINDOW_MS
+			);
+			lobbyService.publishRoomUpdate(this, "updated");
+
+			// let whoever created the room act on the results, e.g. advance a tournament bracket
+			if (this.onGameEnded) {
+				this.onGameEnded(this, { standings, reason, savedMatch });
+			}
 
 			return true;
 		} catch (error) {
-			this.handleError(error, `processing word play for ${username}`);
-			this.sendToPlayer(username, "wordPlayFailed", {
-				reason: "An error occurred while processing your word",
-			});
+			this.handleError(error, "ending game");
 			return false;
 		}
 	}
 
 	/**
-	 * Determines the winner of the game based on the highest points.
+	 * Updates the games played and won of everyone who took part in the game,
+	 * including players who left before the end, saves the match history and updates ratings.
+	 * Bots and practice games are not counted in user stats or ratings.
 	 *
-	 * @returns {Array<string>} An array of winner usernames (can be multiple if there's a tie).
+	 * @param {Array<Object>} standings - The final standings.
+	 * @param {string} reason - Why the game ended.
+	 * @returns {Promise<number|null>} The id of the saved match, or null if it was not saved.
 	 */
-	determineWinner() {
-		let maxPoints = -1;
-		let winners = [];
-
-		// Iterate through each player to find the highest points and potential ties
-		for (const [username, playerData] of this.playersMap) {
-			if (playerData.points > maxPoints) {
-				// Found a new higher score, reset the winners array
-				winners = [username];
-				maxPoints = playerData.points;
-			} else if (playerData.points === maxPoints) {
-				// If the points match the max, add to the winners array
-				winners.push(username);
+	async persistResults(standings, reason) {
+		if (this.isPractice) return null;
+
+		const winners = standings
+			.filter((standing) => standing.placement === 1)
+			.map((standing) => standing.username);
+
+		for (const username of this.participants) {
+			if (this.botUsernames.has(username)) continue;
+
+			try {
+				await userModel.incrementUserStatsByUsername({
+					username,
+					won: winners.includes(username),
+				});
+			} catch (statsError) {
+				console.error(`Error updating stats for ${username}:`, statsError);
+			}
+		}
+
+		let matchId;
+		try {
+			matchId = await this.saveMatch(standings, reason);
+		} catch (matchError) {
+			console.error(`Error saving match history for ${this.roomId}:`, matchError);
+			return null;
+		}
+
+		// every human participant is rated, players who left rank below everyone who stayed,
+		// only the players in the match when it started are rated
+		try {
+			const ratingChanges = await ratingService.updateRatings(
+				standings.filter((standing) => this.participants.includes(standing.username) && !this.botUsernames.has(standing.username)),
+				matchId
+			);
+
+			if (ratingChanges.size > 0 && this.isRoomActive) {
+				this.broadcast("ratingsUpdated", {
+					ratings: Object.fromEntries(ratingChanges),
+				});
 			}
+		} catch (ratingError) {
+			console.error(`Error updating ratings for ${this.roomId}:`, ratingError);
 		}
 
+		return matchId;
+	}
+
+	/**
+	 * Saves the match, its participants, every word played and the replay to the match history,
+	 * all in one transaction so a failed insert leaves nothing behind.
+	 * Players who left before the end are listed with the placement they left in.
+	 *
+	 * @param {Array<Object>} standings - The final standings.
+	 * @param {string} reason - Why the game ended.
+	 * @returns {Promise<number>} The id of the saved match.
+	 */
+	saveMatch(standings, reason) {
+		return matchModel.saveMatch({
+			match: {
+				roomId: this.roomId,
+				mode: this.rules.mode,
+				dictionary: this.dictionaryId,
+				rules: this.rules,
+				startedAt: this.gameStartTime,
+				endedAt: new Date(),
+				endReason: reason,
+			},
+			participants: standings.map((standing) => ({
+				username: standing.username,
+				isBot: this.botUsernames.has(standing.username),
+				finalScore: standing.points,
+				placement: standing.placement,
+				longestStreak: standing.longestStreak,
+				hintsUsed: standing.hintsUsed,
+				challengesWon: standing.challengesWon,
+				challengesLost: standing.challengesLost,
+			})),
+			wordPlays: this.wordPlays.map((play) => ({
+				...play,
+				playedAt: new Date(play.playedAt),
+			})),
+			events: this.replayEvents,
+		});
+	}
+
+	/**
+	 * Starts a new game with the same players and rules once the previous one has ended.
+	 * Tournament and ranked games are played once, their result is already in the bracket or the ratings.
+	 *
+	 * @returns {boolean} True if the rematch started, otherwise false.
+	 */
+	restartGame() {
+		if (!this.isGameEnded || this.tournamentId || this.isRanked) return false;
+
+		// cancel the room closing after the last game
+		if (this.roomExpiryTimer) {
+			clearTimeout(this.roomExpiryTimer);
+		}
+		this.roomExpiryTimer = setTimeout(
+			() => this.deleteRoom("Room expired"),
+			rulesService.getRoomExpiryMs(this.rules)
+		);
+
+		this.isGameStarted = false;
+		this.isGameEnded = false;
+		this.roomWinnerArray = null;
+
+		return this.startGame();
+	}
+
+	/**
+	 * Gets the per-game counts of a player shown in the final results and saved with the match.
+	 *
+	 * @param {Object} playerData - The player's state from the players map.
+	 * @returns {{longestStreak: number, hintsUsed: number, challengesWon: number, challengesLost: number}} The player's counts.
+	 */
+	getPlayerStats(playerData) {
+		return {
+			longestStreak: playerData.longestStreak,
+			hintsUsed: playerData.hintsUsed,
+			challengesWon: playerData.challengesWon,
+			challengesLost: playerData.challengesLost,
+		};
+	}
+
+	/**
+	 * Ranks every player who was in the game when it started, later joiners are left out.
+	 * Players still standing are ranked by points, with ties sharing a placement.
+	 * In elimination mode knocked out players follow, the last one eliminated placing highest.
+	 * Players who left during the game come last, the last one to leave placing highest.
+	 *
+	 * @returns {Array<Object>} The players in placement order, with their points, placement, hints and challenges.
+	 */
+	determineStandings() {
+		const standings = [];
+
+		// players still in the game, highest points first
+		const survivors = Array.from(this.playersMap.entries())
+			.filter(([username, playerData]) => this.participants.includes(username) && !playerData.isEliminated)
+			.sort(([, a], [, b]) => b.points - a.points);
+
+		survivors.forEach(([username, playerData], index) => {
+			const previous = standings[index - 1];
+			const placement = previous && previous.points === playerData.points ? previous.placement : index + 1;
+			standings.push({ username, points: playerData.points, placement, hasLeft: false, ...this.getPlayerStats(playerData) });
+		});
+
+		// eliminated players, last one out first, even if they have left since
+		for (const username of [...this.eliminationOrder].reverse()) {
+			const playerData = this.playersMap.get(username) || this.departedPlayers.get(username);
+			if (!playerData) continue;
+			standings.push({
+				username,
+				points: playerData.points,
+				placement: standings.length + 1,
+				hasLeft: !this.playersMap.has(username),
+				...this.getPlayerStats(playerData),
+			});
+		}
+
+		// players who left before the end, last one to leave first
+		for (const [username, playerData] of [...this.departedPlayers].reverse()) {
+			if (this.playersMap.has(username) || this.eliminationOrder.includes(username)) continue;
+			standings.push({
+				username,
+				points: playerData.points,
+				placement: standings.length + 1,
+				hasLeft: true,
+				...this.getPlayerStats(playerData),
+			});
+		}
+
+		return standings;
+	}
+
+	/**
+	 * Determines the winner of the game from the final standings.
+	 *
+	 * @returns {Array<string>} An array of winner usernames (can be multiple if there's a tie).
+	 */
+	determineWinner() {
 		// Return the array of winners (even if there's only one winner)
-		return winners;
+		return this.determineStandings()
+			.filter((standing) => standing.placement === 1)
+			.map((standing) => standing.username);
 	}
 
 	/**
 	 * Deletes the room and notifies all players.
+	 * A game still in progress is ended first, which deletes the room in turn.
 	 *
 	 * @param {string} reason - The reason for deleting the room.
+	 * @returns {boolean} True if the room was deleted, otherwise false.
 	 */
 	deleteRoom(reason) {
+		if (!this.isRoomActive) return false;
+
+		if (this.isGameStarted && !this.isGameEnded) {
+			return this.endGame(reason);
+		}
+
 		// Clear all timers
 		this.clearGameTimers();
-		if (this.roomExpiryTimer) {
-			clearTimeout(this.roomExpiryTimer);
-		}
+		this.isRoomActive = false;
 
 		// Broadcast room deletion to all players
 		this.broadcast("roomDeleted", { reason });
 
-		// Here you would typically remove the room from any server-side storage
-		// For example: rooms.delete(this.roomId);
+		// remove the room from the store and everyone from the socket.io room
+		roomService.removeRoom(this.roomId);
+		io.in(this.roomId).socketsLeave([this.roomId, this.getSpectatorChannel()]);
+		lobbyService.publishRoomUpdate(this, "deleted");
+
+		return true;
 	}
 
 	/**
@@ -681,10 +1517,580 @@ class GameRoom {
 			this.roundTimer = null;
 		}
 
+		if (this.botTimer) {
+			clearTimeout(this.botTimer);
+			this.botTimer = null;
+		}
+
+		// an open challenge is dropped, the game is over before it could be settled
+		if (this.activeChallenge) {
+			clearTimeout(this.activeChallenge.timer);
+			this.activeChallenge = null;
+		}
+
 		if (this.roomExpiryTimer) {
 			clearTimeout(this.roomExpiryTimer);
 			this.roomExpiryTimer = null;
 		}
+
+		for (const player of this.playersMap.values()) {
+			if (player.disconnectTimer) {
+				clearTimeout(player.disconnectTimer);
+				player.disconnectTimer = null;
+			}
+		}
+	}
+
+	/*****************
+	 * HOST CONTROLS *
+	 *****************/
+
+	/**
+	 * Checks if a user is the host of the room.
+	 *
+	 * @param {string} username - The username to check.
+	 * @returns {boolean} True if the user is the host, otherwise false.
+	 */
+	isHost(username) {
+		return this.hostUsername === username;
+	}
+
+	/**
+	 * Picks who becomes host when the current host leaves, preferring connected players. Bots are never host.
+	 *
+	 * @returns {string|null} The username of the next host, or null if no players are left.
+	 */
+	pickNextHost() {
+		const candidates = Array.from(this.playersMap.entries())
+			.filter(([username, playerData]) => username !== this.hostUsername && !playerData.isBot);
+
+		const connected = candidates.find(([, playerData]) => playerData.connected);
+		const next = connected || candidates[0];
+		return next ? next[0] : null;
+	}
+
+	/**
+	 * Makes another player the host of the room.
+	 *
+	 * @param {string} username - The username of the new host.
+	 * @param {string} [reason] - Why the host changed.
+	 * @returns {boolean} True if the host changed, otherwise false.
+	 */
+	transferHost(username, reason = "Host transferred") {
+		if (!username || !this.playersMap.has(username) || this.isBot(username)) return false;
+
+		const previousHost = this.hostUsername;
+		this.hostUsername = username;
+
+		this.broadcast("hostChanged", {
+			host: username,
+			previousHost,
+			reason,
+		});
+		lobbyService.publishRoomUpdate(this, "updated");
+
+		return true;
+	}
+
+	/**
+	 * Removes a player or spectator from the room on the host's behalf.
+	 *
+	 * @param {string} username - The username of the user to kick.
+	 * @param {string} [reason] - Why the user was kicked.
+	 * @returns {boolean} True if the user was kicked, otherwise false.
+	 */
+	kickUser(username, reason = "Kicked by the host") {
+		const member = this.playersMap.get(username) || this.spectatorsMap.get(username);
+		if (!member || this.isHost(username)) return false;
+
+		// tournament and ranked seats belong to the bracket or the queue, the host cannot take away their opponent's
+		if ((this.tournamentId || this.isRanked) && this.playersMap.has(username)) return false;
+
+		// tell the user and take their socket out of the room before they are removed, bots have no socket
+		const socketId = member.socketId;
+		if (socketId) {
+			io.to(socketId).emit("kicked", {
+				roomId: this.roomId,
+				reason,
+			});
+			io.in(socketId).socketsLeave([this.roomId, this.getSpectatorChannel()]);
+		}
+
+		const removed = this.playersMap.has(username)
+			? this.removePlayer(username)
+			: this.removeSpectator(username);
+
+		if (removed && this.isRoomActive) {
+			this.broadcast("playerKicked", {
+				username,
+				reason,
+			});
+		}
+
+		return removed;
+	}
+
+	/**
+	 * Bans a user from the room, kicking them if they are in it.
+	 *
+	 * @param {string} username - The username of the user to ban.
+	 * @returns {boolean} True if the user was banned, otherwise false.
+	 */
+	banUser(username) {
+		if (this.isHost(username)) return false;
+		if ((this.tournamentId || this.isRanked) && this.playersMap.has(username)) return false;
+
+		this.bannedUsers.add(username);
+		this.kickUser(username, "Banned by the host");
+		return true;
+	}
+
+	/**
+	 * Locks or unlocks the room against new players and spectators.
+	 * Ranked rooms are filled by the matchmaker and cannot be locked.
+	 *
+	 * @param {boolean} isLocked - True to lock the room, false to unlock it.
+	 * @returns {boolean} True if the lock was changed, otherwise false.
+	 */
+	setLocked(isLocked) {
+		if (this.isRanked) return false;
+
+		this.isLocked = Boolean(isLocked);
+
+		this.broadcast("roomLockChanged", { isLocked: this.isLocked });
+		lobbyService.publishRoomUpdate(this, "updated");
+		return true;
+	}
+
+	/**
+	 * Mutes or unmutes a user in the room chat.
+	 *
+	 * @param {string} username - The username of the user.
+	 * @param {boolean} isMuted - True to mute the user, false to unmute them.
+	 * @returns {boolean} True if the user was muted or unmuted, otherwise false.
+	 */
+	setMuted(username, isMuted) {
+		if (!this.playersMap.has(username) && !this.spectatorsMap.has(username)) return false;
+
+		if (isMuted) {
+			this.mutedUsers.add(username);
+		} else {
+			this.mutedUsers.delete(username);
+		}
+
+		this.broadcast("playerMuted", { username, isMuted: Boolean(isMuted) });
+		return true;
+	}
+
+	/********
+	 * CHAT *
+	 ********/
+
+	/**
+	 * Gets the socket.io room used for the spectator chat.
+	 *
+	 * @returns {string} The spectator channel name.
+	 */
+	getSpectatorChannel() {
+		return `${this.roomId}:spectators`;
+	}
+
+	/**
+	 * Sends a chat message, already checked and filtered by the chat service.
+	 * Players talk in the room channel, which spectators can read, spectators talk in their own channel.
+	 *
+	 * @param {string} username - The username of the sender.
+	 * @param {string} text - The message text.
+	 * @returns {Object} An object containing a `valid` boolean and a `reason` string.
+	 */
+	addChatMessage(username, text) {
+		const chatError = this.getChatError(username);
+		if (chatError) {
+			return { valid: false, reason: chatError };
+		}
+
+		const channel = this.playersMap.has(username) ? "room" : "spectators";
+
+		const message = {
+			username,
+			text,
+			channel,
+			sentAt: Date.now(),
+		};
+
+		// keep the latest messages for late joiners
+		const history = this.chatHistory[channel];
+		history.push(message);
+		if (history.length > CHAT_HISTORY_LIMIT) history.shift();
+
+		if (channel === "room") {
+			this.broadcast("chatMessage", message);
+		} else {
+			io.to(this.getSpectatorChannel()).emit("chatMessage", message);
+		}
+
+		return { valid: true, reason: "Message sent" };
+	}
+
+	/**
+	 * Checks that a user may chat in the room, before their message counts towards the rate limit.
+	 *
+	 * @param {string} username - The username of the sender.
+	 * @returns {string|null} Why the user cannot chat, or null if they can.
+	 */
+	getChatError(username) {
+		if (!this.playersMap.has(username) && !this.spectatorsMap.has(username)) return "You are not in this room";
+		if (this.mutedUsers.has(username)) return "You have been muted by the host";
+		return null;
+	}
+
+	/**
+	 * Gets the chat history a user is allowed to read.
+	 *
+	 * @param {string} username - The username of the reader.
+	 * @returns {Object} The room channel messages, plus the spectator channel messages for spectators.
+	 */
+	getChatHistory(username) {
+		return {
+			room: this.chatHistory.room,
+			spectators: this.spectatorsMap.has(username) ? this.chatHistory.spectators : [],
+		};
+	}
+
+	/********
+	 * BOTS *
+	 ********/
+
+	/**
+	 * Checks if a player is a bot.
+	 *
+	 * @param {string} username - The username of the player.
+	 * @returns {boolean} True if the player is a bot, otherwise false.
+	 */
+	isBot(username) {
+		const player = this.playersMap.get(username);
+		return Boolean(player && player.isBot);
+	}
+
+	/**
+	 * Checks if any human players are left in the room.
+	 *
+	 * @returns {boolean} True if at least one player is not a bot, otherwise false.
+	 */
+	hasHumanPlayers() {
+		return Array.from(this.playersMap.values()).some((playerData) => !playerData.isBot);
+	}
+
+	/**
+	 * Gets the number of players a game needs to start and to go on.
+	 *
+	 * @returns {number} 1 in practice rooms, otherwise 2.
+	 */
+	getMinPlayers() {
+		return this.isPractice ? 1 : 2;
+	}
+
+	/**
+	 * Adds a bot player to the room while it is waiting for a game.
+	 *
+	 * @param {string} [difficulty] - The difficulty level of the bot.
+	 * @returns {string|null} The username of the bot, or null if it could not be added.
+	 */
+	addBot(difficulty = botService.DEFAULT_DIFFICULTY) {
+		if (!botService.isDifficulty(difficulty)) {
+			this.handleError(new Error(`Bot difficulty ${difficulty} does not exist`), "adding bot");
+			return null;
+		}
+
+		if (this.isGameStarted && !this.isGameEnded) {
+			this.handleError(new Error("Bots cannot join a game in progress"), "adding bot");
+			return null;
+		}
+
+		if (this.isRanked) {
+			this.handleError(new Error("Bots cannot join ranked games"), "adding bot");
+			return null;
+		}
+
+		if (this.playersMap.size >= this.rules.maxPlayers) {
+			this.handleError(new Error("Room is full"), "adding bot");
+			return null;
+		}
+
+		const username = botService.createBotName(
+			(name) => this.playersMap.has(name) || this.spectatorsMap.has(name)
+		);
+		this.playersMap.set(username, this.createPlayerData(null, difficulty));
+		this.botUsernames.add(username);
+
+		this.broadcast("playerJoined", {
+			username,
+			isBot: true,
+			difficulty,
+			message: `${username} (${difficulty} bot) has joined the room`,
+		});
+		lobbyService.publishRoomUpdate(
+			this,
+			this.playersMap.size >= this.rules.maxPlayers ? "filled" : "updated"
+		);
+
+		return username;
+	}
+
+	/**
+	 * Schedules a bot's answer after a human-like delay. The round timer still runs,
+	 * so a bot that decides not to answer times out like anyone else.
+	 *
+	 * @param {string} username - The username of the bot whose turn it is.
+	 */
+	scheduleBotTurn(username) {
+		const { difficulty } = this.playersMap.get(username);
+		if (botService.shouldTimeOut(difficulty)) return;
+
+		const delayMs = botService.getThinkTimeMs(difficulty, this.rules.turnTimeSeconds * 1000);
+		this.botTimer = setTimeout(() => {
+			this.botTimer = null;
+			this.playBotTurn(username);
+		}, delayMs);
+	}
+
+	/**
+	 * Plays a bot's word, if it is still the bot's turn.
+	 *
+	 * @param {string} username - The username of the bot.
+	 * @returns {boolean} True if the bot played a word, otherwise false.
+	 */
+	playBotTurn(username) {
+		if (!this.isGameStarted || this.isGameEnded || !this.isPlayerTurn(username)) return false;
+
+		try {
+			const word = botService.chooseWord(this, this.playersMap.get(username).difficulty);
+
+			// no playable word left, the bot runs out of time
+			if (!word) return false;
+
+			return this.playWord(username, word);
+		} catch (error) {
+			this.handleError(error, `playing bot turn for ${username}`);
+			return false;
+		}
+	}
+
+	/************************
+	 * HINTS AND CHALLENGES *
+	 ************************/
+
+	/**
+	 * Gives the current player a hint about a word they could play, for a points cost.
+	 * Every hint in the same turn reveals one more letter of the same word.
+	 *
+	 * @param {string} username - The username of the player asking for a hint.
+	 * @returns {boolean} True if a hint was given, otherwise false.
+	 */
+	requestHint(username) {
+		if (!this.isGameStarted || this.isGameEnded || !this.isPlayerTurn(username)) {
+			this.sendToPlayer(username, "hintFailed", { reason: "You can only ask for a hint on your turn" });
+			return false;
+		}
+
+		try {
+			// the word stays the same for the whole turn, so hints add up
+			if (!this.hintWord || this.usedWordSet.has(this.hintWord)) {
+				this.hintWord = botService.chooseWord(this, "medium");
+			}
+			if (!this.hintWord) {
+				this.sendToPlayer(username, "hintFailed", { reason: "There is no word to give a hint for" });
+				return false;
+			}
+
+			// the chain rule prefix is free, every hint shows one more letter after it
+			const prefixLength = this.lastWord ? this.chainRule.getPrefix(this.lastWord).length : 0;
+			const player = this.playersMap.get(username);
+			const revealed = prefixLength + player.hintsThisTurn + 1;
+			if (revealed > Math.max(Math.floor(this.hintWord.length * MAX_HINT_REVEAL_RATIO), 1)) {
+				this.sendToPlayer(username, "hintFailed", { reason: "No more hints for this turn" });
+				return false;
+			}
+
+			const breakdown = scoringService.scorePenalty("hint", this.rules.hintCost);
+			this.addPoints(username, breakdown.total, breakdown.reason);
+			player.hintsUsed++;
+			player.hintsThisTurn++;
+
+			this.sendToPlayer(username, "hintRevealed", {
+				length: this.hintWord.length,
+				pattern: this.hintWord.slice(0, revealed) + "_".repeat(this.hintWord.length - revealed),
+				hintNumber: player.hintsThisTurn,
+				breakdown,
+			});
+			this.broadcast("hintUsed", {
+				username,
+				points: breakdown.total,
+			});
+
+			return true;
+		} catch (error) {
+			this.handleError(error, `giving a hint to ${username}`);
+			return false;
+		}
+	}
+
+	/**
+	 * Gets the dictionary challenges are checked against. Every word played is already in the
+	 * room's dictionary, so only a different dictionary can settle a challenge.
+	 *
+	 * @returns {Dictionary|null} The authority dictionary, or null if the room has none.
+	 */
+	getChallengeAuthority() {
+		const authorityId = this.rules.challengeDictionary;
+		if (!authorityId || authorityId === this.dictionaryId) return null;
+
+		return dictionaryService.getDictionary(authorityId);
+	}
+
+	/**
+	 * Disputes the last word played. The word is settled by a vote of the other players or by the
+	 * authority dictionary, depending on the room rules. If the challenge succeeds the points for
+	 * the word are taken back, if it fails the challenger pays a penalty.
+	 *
+	 * @param {string} username - The username of the challenger.
+	 * @returns {boolean} True if the challenge was accepted, otherwise false.
+	 */
+	challengeWord(username) {
+		const play = this.lastPlay;
+
+		// the challenger and the player who played the word cannot vote, nor can bots
+		const voters = Array.from(this.playersMap.keys())
+			.filter((voter) => voter !== play?.username && voter !== username && !this.isBot(voter));
+
+		// with nobody to vote, e.g. in a two player game, the authority dictionary settles it
+		const isSettledByDictionary = this.rules.challengeResolution === "dictionary" || voters.length === 0;
+		const authority = this.getChallengeAuthority();
+
+		let reason = null;
+
+		if (!this.isGameStarted || this.isGameEnded || !play) {
+			reason = "There is no word to challenge";
+		} else if (play.username === username) {
+			reason = "You cannot challenge your own word";
+		} else if (play.isChallenged || this.activeChallenge) {
+			reason = "That word has already been challenged";
+		} else if (Date.now() - play.playedAt > this.rules.challengeWindowSeconds * 1000) {
+			reason = "It is too late to challenge that word";
+		} else if (isSettledByDictionary && !authority) {
+			reason = "No dictionary can settle challenges in this room";
+		}
+
+		if (reason) {
+			this.sendToPlayer(username, "challengeFailed", { reason });
+			return false;
+		}
+
+		play.isChallenged = true;
+
+		if (isSettledByDictionary) {
+			this.resolveChallenge(play, username, !authority.has(play.word), `Checked against ${authority.metadata.name}`);
+			return true;
+		}
+
+		this.activeChallenge = {
+			play,
+			challenger: username,
+			voters,
+			votes: new Map(),
+			timer: setTimeout(() => this.closeChallengeVote(), this.rules.challengeWindowSeconds * 1000),
+		};
+
+		this.broadcast("challengeStarted", {
+			word: play.word,
+			player: play.username,
+			challenger: username,
+			voters,
+			timeRemaining: this.rules.challengeWindowSeconds,
+		});
+
+		return true;
+	}
+
+	/**
+	 * Records a player's vote on the open challenge, closing the vote once everyone has voted.
+	 *
+	 * @param {string} username - The username of the voter.
+	 * @param {boolean} upholdChallenge - True if the voter thinks the word should not count.
+	 * @returns {boolean} True if the vote was counted, otherwise false.
+	 */
+	voteOnChallenge(username, upholdChallenge) {
+		const challenge = this.activeChallenge;
+		if (!this.isGameStarted || this.isGameEnded || !challenge || !challenge.voters.includes(username) || challenge.votes.has(username)) {
+			this.sendToPlayer(username, "challengeFailed", { reason: "You cannot vote on this challenge" });
+			return false;
+		}
+
+		challenge.votes.set(username, Boolean(upholdChallenge));
+		this.broadcast("challengeVoted", { username });
+
+		if (challenge.votes.size === challenge.voters.length) {
+			this.closeChallengeVote();
+		}
+		return true;
+	}
+
+	/**
+	 * Counts the votes on the open challenge. The challenge needs a majority of the votes cast,
+	 * ties and votes nobody took part in keep the word.
+	 */
+	closeChallengeVote() {
+		const challenge = this.activeChallenge;
+		if (!challenge) return;
+
+		clearTimeout(challenge.timer);
+		this.activeChallenge = null;
+
+		const votes = Array.from(challenge.votes.values());
+		const upheld = votes.filter(Boolean).length;
+		const isSuccessful = upheld > votes.length - upheld;
+
+		this.resolveChallenge(challenge.play, challenge.challenger, isSuccessful, `${upheld} of ${votes.length} votes against the word`);
+	}
+
+	/**
+	 * Applies the outcome of a challenge and broadcasts it.
+	 *
+	 * @param {Object} play - The challenged play.
+	 * @param {string} challenger - The username of the challenger.
+	 * @param {boolean} isSuccessful - True if the word does not count.
+	 * @param {string} reason - How the challenge was settled.
+	 */
+	resolveChallenge(play, challenger, isSuccessful, reason) {
+		let breakdown;
+		let penalisedPlayer;
+
+		if (isSuccessful) {
+			// take back the points the word scored
+			breakdown = scoringService.scorePenalty("challenged", play.points);
+			penalisedPlayer = play.username;
+			play.isReversed = true;
+		} else {
+			breakdown = scoringService.scorePenalty("failedChallenge", this.rules.failedChallengePenalty);
+			penalisedPlayer = challenger;
+		}
+		this.addPoints(penalisedPlayer, breakdown.total, breakdown.reason);
+
+		const challengerData = this.playersMap.get(challenger);
+		if (challengerData) {
+			challengerData[isSuccessful ? "challengesWon" : "challengesLost"]++;
+		}
+
+		this.broadcast("challengeResolved", {
+			word: play.word,
+			player: play.username,
+			challenger,
+			isSuccessful,
+			reason,
+			penalisedPlayer,
+			points: breakdown.total,
+			breakdown,
+		});
 	}
 }
 
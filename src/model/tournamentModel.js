@@ -0,0 +1,89 @@
+const pool = require("../services/mysql-service.js");
+
+module.exports = {
+	// Create a finished tournament and return its id
+	createTournament(data) {
+		return new Promise((resolve, reject) => {
+			const sqlStatement = `
+        INSERT INTO Tournaments (name, organiser, format, dictionary, rules, champion, createdAt, startedAt, endedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?);
+      `;
+
+			const values = [
+				data.name,
+				data.organiser,
+				data.format,
+				data.dictionary,
+				JSON.stringify(data.rules),
+				data.champion,
+				data.createdAt,
+				data.startedAt,
+				data.endedAt,
+			];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results.insertId);
+			});
+		});
+	},
+
+	// Add the entrants of a tournament, linking them to their user by username
+	addTournamentEntrants(data) {
+		return new Promise((resolve, reject) => {
+			if (data.entrants.length === 0) return resolve(null);
+
+			const sqlStatement = `
+        INSERT INTO TournamentEntrants (tournamentId, userId, username, seed, placement, score, pointsFor)
+        SELECT ?, (SELECT id FROM Users WHERE username = ? LIMIT 1), ?, ?, ?, ?, ?;
+      `;
+
+			// one insert per entrant, sent together as a multiple statement query
+			const sqlStatements = data.entrants.map(() => sqlStatement).join("");
+			const values = data.entrants.flatMap((entrant) => [
+				data.tournamentId,
+				entrant.username,
+				entrant.username,
+				entrant.seed,
+				entrant.placement,
+				entrant.score,
+				entrant.pointsFor,
+			]);
+
+			pool.query(sqlStatements, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results);
+			});
+		});
+	},
+
+	// Add every match of a tournament, in round order
+	addTournamentMatches(data) {
+		return new Promise((resolve, reject) => {
+			if (data.matches.length === 0) return resolve(null);
+
+			const sqlStatement = `
+        INSERT INTO TournamentMatches (tournamentId, round, matchNumber, matchId, result, players, winners, noShows)
+        VALUES ?;
+      `;
+
+			const values = [
+				data.matches.map((match) => [
+					data.tournamentId,
+					match.round,
+					match.number,
+					match.matchId,
+					match.result,
+					JSON.stringify(match.players),
+					JSON.stringify(match.winners),
+					JSON.stringify(match.noShows),
+				]),
+			];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results);
+			});
+		});
+	}
+};
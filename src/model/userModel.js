@@ -52,6 +52,23 @@ module.exports = {
 		});
 	},
 
+	// Get the public part of a user's profile by username, never the email or password
+	getPublicUserByUsername(data) {
+		return new Promise((resolve, reject) => {
+			const sqlStatement = `
+        SELECT username, dateOfCreation, gamesPlayed, gamesWon, rating, ratedGames FROM Users
+        WHERE username = ?;
+      `;
+
+			const values = [data.username];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results.length ? results[0] : null); // Return null if no user found
+			});
+		});
+	},
+
 	// Get the number of games played and won by username
 	getUserStatsByUsername(data) {
 		return new Promise((resolve, reject) => {
@@ -123,6 +140,99 @@ module.exports = {
 		});
 	},
 
+	// Add a game played, and a game won if they won, to a user's stats
+	incrementUserStatsByUsername(data) {
+		return new Promise((resolve, reject) => {
+			const sqlStatement = `
+        UPDATE Users
+        SET gamesPlayed = gamesPlayed + 1, gamesWon = gamesWon + ?
+        WHERE username = ?;
+      `;
+
+			const values = [data.won ? 1 : 0, data.username];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results);
+			});
+		});
+	},
+
+	// Get the rating of several users at once, users that do not exist are left out
+	getRatingsByUsernames(data) {
+		return new Promise((resolve, reject) => {
+			if (data.usernames.length === 0) return resolve([]);
+
+			const sqlStatement = `
+        SELECT id, username, rating, ratedGames FROM Users
+        WHERE username IN (?);
+      `;
+
+			const values = [data.usernames];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results);
+			});
+		});
+	},
+
+	// Set a user's rating after a rated game and count the game towards leaving provisional status
+	updateRatingById(data) {
+		return new Promise((resolve, reject) => {
+			const sqlStatement = `
+        UPDATE Users
+        SET rating = ?, ratedGames = ratedGames + 1
+        WHERE id = ?;
+      `;
+
+			const values = [data.rating, data.id];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results);
+			});
+		});
+	},
+
+	// Get the users with established ratings, highest first
+	getTopRatedUsers(data) {
+		return new Promise((resolve, reject) => {
+			const sqlStatement = `
+        SELECT username, rating, ratedGames FROM Users
+        WHERE ratedGames >= ?
+        ORDER BY rating DESC, ratedGames DESC, username ASC
+        LIMIT ?;
+      `;
+
+			const values = [data.minRatedGames, data.limit];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results);
+			});
+		});
+	},
+
+	// Get which of the given usernames belong to a user
+	getExistingUsernames(data) {
+		return new Promise((resolve, reject) => {
+			if (data.usernames.length === 0) return resolve([]);
+
+			const sqlStatement = `
+        SELECT username FROM Users
+        WHERE username IN (?);
+      `;
+
+			const values = [data.usernames];
+
+			pool.query(sqlStatement, values, (error, results) => {
+				if (error) return reject(error);
+				resolve(results.map((row) => row.username));
+			});
+		});
+	},
+
 	// Delete a user by username
 	deleteUserByUsername(data) {
 		return new Promise((resolve, reject) => {
@@ -0,0 +1,28 @@
+const express = require("express");
+const { validateTokenMiddleWare } = require("../controller/authorization.js");
+const roomController = require("../controller/room.js");
+const profileController = require("../controller/profile.js");
+const leaderboardController = require("../controller/leaderboard.js");
+const tournamentController = require("../controller/tournament.js");
+const dailyChallengeController = require("../controller/dailyChallenge.js");
+const replayController = require("../controller/replay.js");
+const router = express.Router();
+
+// get methods
+router.get("/rooms", validateTokenMiddleWare, roomController.listRooms);
+router.get("/users/:username", validateTokenMiddleWare, profileController.getProfile);
+router.get("/leaderboards", validateTokenMiddleWare, leaderboardController.getLeaderboard);
+router.get("/leaderboards/archive", validateTokenMiddleWare, leaderboardController.getArchivedLeaderboard);
+router.get("/tournaments", validateTokenMiddleWare, tournamentController.listTournaments);
+router.get("/tournaments/:id", validateTokenMiddleWare, tournamentController.getTournament);
+router.get("/daily", validateTokenMiddleWare, dailyChallengeController.getDailyChallenge);
+router.get("/daily/leaderboard", validateTokenMiddleWare, dailyChallengeController.getDailyLeaderboard);
+router.get("/matches/:matchId/replay", validateTokenMiddleWare, replayController.getReplay);
+
+// post methods
+router.post("/tournaments", validateTokenMiddleWare, tournamentController.createTournament);
+router.post("/tournaments/:id/accept", validateTokenMiddleWare, tournamentController.acceptInvitation);
+router.post("/tournaments/:id/decline", validateTokenMiddleWare, tournamentController.declineInvitation);
+router.post("/tournaments/:id/start", validateTokenMiddleWare, tournamentController.startTournament);
+
+module.exports = router;
@@ -1,6 +1,10 @@
 const express = require("express");
-const { validateTokenMiddleWare } = require("../controller/authorization.js");
+const { validateTokenMiddleWare, validateTokenOrLoginRedirect } = require("../controller/authorization.js");
 const clientRoutes = require("../controller/user.js");
+const roomController = require("../controller/room.js");
+const profileController = require("../controller/profile.js");
+const leaderboardController = require("../controller/leaderboard.js");
+const replayController = require("../controller/replay.js");
 const router = express.Router();
 
 // post methods for auth
@@ -15,4 +19,16 @@ router.get("/landing", clientRoutes.renderLandingPage);
 router.get("/signup", clientRoutes.signUp);
 router.get("/login", clientRoutes.logIn);
 
+// player profiles
+router.get("/profile/:username", validateTokenOrLoginRedirect, profileController.renderProfilePage);
+
+// leaderboards
+router.get("/leaderboards", validateTokenOrLoginRedirect, leaderboardController.renderLeaderboardPage);
+
+// match replays
+router.get("/replay/:matchId", validateTokenOrLoginRedirect, replayController.renderReplayPage);
+
+// invite links
+router.get("/join/:code", validateTokenOrLoginRedirect, roomController.joinByCode);
+
 module.exports = router;
\ No newline at end of file
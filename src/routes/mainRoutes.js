@@ -2,6 +2,6 @@ const express = require("express");
 const router = express.Router();
 
 router.use("/", require("./clientRoutes.js"));
-// router.use("/api", require("./apiRoutes.js")); - no funcitonal need for this
+router.use("/api", require("./apiRoutes.js"));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,152 @@
+// computer opponents - how bots pick their words and how long they take to answer
+
+// how each difficulty plays
+// timeoutChance - chance of letting the turn run out instead of answering
+// thinkTime - share of the turn timer the bot waits before answering, as [min, max]
+const BOT_DIFFICULTIES = Object.freeze({
+	easy: { timeoutChance: 0.2, thinkTime: [0.3, 0.7] },
+	medium: { timeoutChance: 0.05, thinkTime: [0.2, 0.5] },
+	hard: { timeoutChance: 0, thinkTime: [0.1, 0.3] },
+});
+
+const DEFAULT_DIFFICULTY = "medium";
+
+// bots never answer in the last second of a turn, so network lag cannot cost them the turn
+const MIN_TIME_LEFT_MS = 1000;
+
+// how many playable words a bot considers, so rules like containsLetter do not scan the whole dictionary
+const MAX_CANDIDATES = 200;
+
+// easy bots pick from this many of the shortest playable words
+const EASY_WORD_POOL = 10;
+
+const BOT_NAMES = ["Ada", "Alan", "Grace", "Linus", "Ken", "Barbara", "Edsger", "Margaret"];
+
+/**
+ * Lists the difficulty levels a bot can be added with.
+ *
+ * @returns {Array<string>} The difficulty levels.
+ */
+function listDifficulties() {
+	return Object.keys(BOT_DIFFICULTIES);
+}
+
+/**
+ * Checks if a difficulty level exists.
+ *
+ * @param {string} difficulty - The difficulty level.
+ * @returns {boolean} True if the difficulty exists, otherwise false.
+ */
+function isDifficulty(difficulty) {
+	return Object.hasOwn(BOT_DIFFICULTIES, difficulty);
+}
+
+/**
+ * Picks a display name for a new bot that nobody in the room is using yet.
+ *
+ * @param {function(string): boolean} isTaken - Checks if a name is already used in the room.
+ * @returns {string} The bot name.
+ */
+function createBotName(isTaken) {
+	for (let attempt = 1; ; attempt++) {
+		const name = BOT_NAMES[Math.floor(Math.random() * BOT_NAMES.length)];
+		const username = attempt <= BOT_NAMES.length ? `Bot ${name}` : `Bot ${name} ${attempt}`;
+		if (!isTaken(username)) return username;
+	}
+}
+
+/**
+ * Picks how long a bot waits before answering, so it does not answer instantly like a machine.
+ *
+ * @param {string} difficulty - The difficulty level of the bot.
+ * @param {number} turnTimeMs - How long a turn lasts.
+ * @returns {number} The delay in milliseconds.
+ */
+function getThinkTimeMs(difficulty, turnTimeMs) {
+	const [min, max] = BOT_DIFFICULTIES[difficulty].thinkTime;
+	const delayMs = turnTimeMs * (min + Math.random() * (max - min));
+	return Math.max(Math.min(delayMs, turnTimeMs - MIN_TIME_LEFT_MS), 0);
+}
+
+/**
+ * Rolls whether a bot lets its turn time out.
+ *
+ * @param {string} difficulty - The difficulty level of the bot.
+ * @returns {boolean} True if the bot should not answer this turn.
+ */
+function shouldTimeOut(difficulty) {
+	return Math.random() < BOT_DIFFICULTIES[difficulty].timeoutChance;
+}
+
+/**
+ * Collects words that are playable right now, starting at a random point of the prefix range
+ * so bots do not always play the alphabetically first words.
+ *
+ * @param {GameRoom} room - The room the bot is playing in.
+ * @returns {Array<string>} Up to MAX_CANDIDATES playable words.
+ */
+function findCandidateWords(room) {
+	const prefix = room.lastWord ? room.chainRule.getPrefix(room.lastWord) : "";
+	const words = room.dictionary.getWordsWithPrefix(prefix);
+	const offset = Math.floor(Math.random() * words.length);
+
+	const candidates = [];
+	for (let i = 0; i < words.length && candidates.length < MAX_CANDIDATES; i++) {
+		const word = words[(offset + i) % words.length];
+		if (
+			word.length >= room.rules.minWordLength &&
+			!room.usedWordSet.has(word) &&
+			room.chainRule.validate(room.lastWord, word).valid
+		) {
+			candidates.push(word);
+		}
+	}
+
+	return candidates;
+}
+
+/**
+ * Chooses the word a bot plays.
+ * Easy bots play short words, medium bots play any word, and hard bots play the word
+ * that leaves the next player with the fewest unused continuations.
+ *
+ * @param {GameRoom} room - The room the bot is playing in.
+ * @param {string} difficulty - The difficulty level of the bot.
+ * @returns {string|null} The word to play, or null if the bot cannot find one.
+ */
+function chooseWord(room, difficulty) {
+	const candidates = findCandidateWords(room);
+	if (candidates.length === 0) return null;
+
+	if (difficulty === "easy") {
+		const shortest = candidates.sort((a, b) => a.length - b.length).slice(0, EASY_WORD_POOL);
+		return shortest[Math.floor(Math.random() * shortest.length)];
+	}
+
+	if (difficulty === "hard") {
+		let bestWord = null;
+		let fewestContinuations = Infinity;
+		for (const word of candidates) {
+			// the word itself is used once played, so it does not count as a continuation
+			const continuations = room.countUnusedWordsWithPrefix(room.chainRule.getPrefix(word))
+				- (word.startsWith(room.chainRule.getPrefix(word)) ? 1 : 0);
+			if (continuations < fewestContinuations) {
+				bestWord = word;
+				fewestContinuations = continuations;
+			}
+		}
+		return bestWord;
+	}
+
+	return candidates[Math.floor(Math.random() * candidates.length)];
+}
+
+module.exports = {
+	DEFAULT_DIFFICULTY,
+	listDifficulties,
+	isDifficulty,
+	createBotName,
+	getThinkTimeMs,
+	shouldTimeOut,
+	chooseWord
+};
@@ -0,0 +1,185 @@
+// chain rules decide which words are allowed to follow the previous word
+
+const dictionaryService = require("./dictionary-service.js");
+
+/**
+ * A chain rule, created once per room by a factory in the registry below.
+ *
+ * @typedef {Object} ChainRule
+ * @property {string} id - The id the rule is registered under.
+ * @property {string} description - A human readable summary of the rule.
+ * @property {function(string): string} getPrefix - Returns the prefix every word following
+ * `lastWord` must start with, or an empty string if the rule does not constrain the start of the word.
+ * @property {function(?string, string): {valid: boolean, reason: string}} validate - Checks if `word`
+ * may follow `lastWord`. `lastWord` is null for the first word of a game.
+ */
+
+const VOWELS = "aeiouy";
+
+/**
+ * Approximates the last syllable of a word: the final vowel group, the consonant before it,
+ * and whatever follows. Handles the common consonant + "le" ending and a silent final "e".
+ * "garden" => "den", "table" => "ble", "stone" => "stone".
+ *
+ * @param {string} word - The word to split.
+ * @returns {string} The last syllable of the word.
+ */
+function getLastSyllable(word) {
+	if (word.length <= 3) return word;
+
+	// "table" => "ble", "puzzle" => "zle"
+	if (word.endsWith("le") && !VOWELS.includes(word.charAt(word.length - 3))) {
+		return word.slice(-3);
+	}
+
+	// ignore a silent e when looking for the last vowel group
+	let end = word.length;
+	if (word.endsWith("e") && !VOWELS.includes(word.charAt(word.length - 2))) {
+		end--;
+	}
+
+	// walk back to the start of the last vowel group
+	let index = end - 1;
+	while (index >= 0 && !VOWELS.includes(word.charAt(index))) index--;
+	while (index > 0 && VOWELS.includes(word.charAt(index - 1))) index--;
+
+	// no other vowel group before this one, the whole word is one syllable
+	if (index < 0 || !/[aeiouy]/.test(word.slice(0, index))) return word;
+
+	// the syllable starts at the consonant before the vowel group, if there is one
+	return word.slice(Math.max(index - 1, 0));
+}
+
+/**
+ * Creates a rule where each word must start with the last `count` letters of the previous word.
+ *
+ * @param {string} id - The id of the rule.
+ * @param {number} count - The number of letters that have to match.
+ * @returns {ChainRule} The chain rule.
+ */
+function createLastLettersRule(id, count) {
+	return {
+		id,
+		description: count === 1
+			? "Word must start with the last letter of the previous word"
+			: `Word must start with the last ${count} letters of the previous word`,
+		getPrefix: (lastWord) => lastWord.slice(-count),
+		validate(lastWord, word) {
+			if (!lastWord) return { valid: true, reason: "First word" };
+
+			const prefix = lastWord.slice(-count);
+			if (!word.startsWith(prefix)) {
+				return { valid: false, reason: `Word must start with '${prefix}'` };
+			}
+
+			return { valid: true, reason: "Valid chain" };
+		},
+	};
+}
+
+// id => factory(rules) returning a ChainRule
+const chainRuleFactories = new Map([
+	["lastLetter", () => createLastLettersRule("lastLetter", 1)],
+	["lastTwoLetters", () => createLastLettersRule("lastTwoLetters", 2)],
+	["lastThreeLetters", () => createLastLettersRule("lastThreeLetters", 3)],
+	["lastSyllable", () => ({
+		id: "lastSyllable",
+		description: "Word must start with the last syllable of the previous word",
+		getPrefix: getLastSyllable,
+		validate(lastWord, word) {
+			if (!lastWord) return { valid: true, reason: "First word" };
+
+			const syllable = getLastSyllable(lastWord);
+			if (!word.startsWith(syllable)) {
+				return { valid: false, reason: `Word must start with '${syllable}'` };
+			}
+
+			return { valid: true, reason: "Valid chain" };
+		},
+	})],
+	["containsLetter", () => ({
+		id: "containsLetter",
+		description: "Word must contain the last letter of the previous word",
+		getPrefix: () => "",
+		validate(lastWord, word) {
+			if (!lastWord) return { valid: true, reason: "First word" };
+
+			const lastChar = lastWord.slice(-1);
+			if (!word.includes(lastChar)) {
+				return { valid: false, reason: `Word must contain '${lastChar}'` };
+			}
+
+			return { valid: true, reason: "Valid chain" };
+		},
+	})],
+	["category", (rules) => {
+		const lastLetterRule = createLastLettersRule("category", 1);
+		const category = dictionaryService.getDictionary(rules.chainCategory);
+		const categoryName = category.metadata.theme;
+
+		return {
+			...lastLetterRule,
+			description: `Word must be one of the ${categoryName} and start with the last letter of the previous word`,
+			validate(lastWord, word) {
+				if (!category.has(word)) {
+					return { valid: false, reason: `Word must be one of the ${categoryName}` };
+				}
+
+				return lastLetterRule.validate(lastWord, word);
+			},
+		};
+	}],
+]);
+
+/**
+ * Registers a new chain rule so rooms can be created with it.
+ *
+ * @param {string} id - The id of the rule, used as the `chainRule` room rule.
+ * @param {function(Object): ChainRule} factory - Creates the rule from the room rules.
+ */
+function registerChainRule(id, factory) {
+	chainRuleFactories.set(id, factory);
+}
+
+/**
+ * Lists the ids of every registered chain rule.
+ *
+ * @returns {Array<string>} The chain rule ids.
+ */
+function listChainRules() {
+	return Array.from(chainRuleFactories.keys());
+}
+
+/**
+ * Lists the dictionaries that can be used as categories, i.e. the themed ones.
+ *
+ * @returns {Array<string>} The ids of the themed dictionaries.
+ */
+function listCategories() {
+	return dictionaryService.listDictionaries()
+		.filter((dictionary) => dictionary.theme)
+		.map((dictionary) => dictionary.id);
+}
+
+/**
+ * Creates the chain rule a room plays with.
+ *
+ * @param {Object} rules - The validated room rules.
+ * @returns {ChainRule} The chain rule.
+ * @throws {Error} If the chain rule does not exist.
+ */
+function createChainRule(rules) {
+	const factory = chainRuleFactories.get(rules.chainRule);
+	if (!factory) {
+		throw new Error(`Chain rule ${rules.chainRule} does not exist`);
+	}
+	return factory(rules);
+}
+
+module.exports = {
+	getLastSyllable,
+	registerChainRule,
+	listChainRules,
+	listCategories,
+	createChainRule
+};
@@ -0,0 +1,106 @@
+// in-room chat - message limits, rate limiting and a pluggable word filter
+
+const { Dictionary, readWordList } = require("./dictionary-service.js");
+
+const MAX_MESSAGE_LENGTH = 200;
+
+// at most this many messages per user inside the rate limit window
+const RATE_LIMIT_MESSAGES = 5;
+const RATE_LIMIT_WINDOW_MS = 10 * 1000;
+
+// username => timestamps of their recent messages, users whose window has passed are dropped
+const recentMessageTimes = new Map();
+let lastPruneTime = Date.now();
+
+let blocklist = null;
+
+/**
+ * The default filter, masks every word found in the blocklist word list.
+ *
+ * @param {string} text - The message text.
+ * @returns {string} The filtered text.
+ */
+function blocklistFilter(text) {
+	if (!blocklist) blocklist = new Dictionary(readWordList("blocklist.txt"));
+
+	return text.replace(/[a-z]+/gi, (word) => (blocklist.has(word) ? "*".repeat(word.length) : word));
+}
+
+let chatFilter = blocklistFilter;
+
+/**
+ * Replaces the chat filter, e.g. with a call out to a moderation service.
+ *
+ * @param {function(string): string} filter - Takes the message text and returns the text to send.
+ */
+function setChatFilter(filter) {
+	chatFilter = filter || blocklistFilter;
+}
+
+/**
+ * Drops every user whose messages are all older than the rate limit window.
+ * Runs at most once per window, so the map only holds users who chatted recently.
+ *
+ * @param {number} now - The current time.
+ */
+function pruneRecentMessageTimes(now) {
+	if (now - lastPruneTime < RATE_LIMIT_WINDOW_MS) return;
+	lastPruneTime = now;
+
+	for (const [username, times] of recentMessageTimes) {
+		if (times.every((time) => now - time >= RATE_LIMIT_WINDOW_MS)) recentMessageTimes.delete(username);
+	}
+}
+
+/**
+ * Records a message attempt and checks the user is within the rate limit.
+ *
+ * @param {string} username - The username of the sender.
+ * @returns {boolean} True if the user may send a message, otherwise false.
+ */
+function isWithinRateLimit(username) {
+	const now = Date.now();
+	pruneRecentMessageTimes(now);
+
+	const times = (recentMessageTimes.get(username) || [])
+		.filter((time) => now - time < RATE_LIMIT_WINDOW_MS);
+
+	if (times.length >= RATE_LIMIT_MESSAGES) {
+		recentMessageTimes.set(username, times);
+		return false;
+	}
+
+	times.push(now);
+	recentMessageTimes.set(username, times);
+	return true;
+}
+
+/**
+ * Validates, rate limits and filters a chat message.
+ *
+ * @param {string} username - The username of the sender.
+ * @param {string} text - The message text.
+ * @returns {Object} An object containing a `valid` boolean, a `reason` string and the filtered `text`.
+ */
+function prepareMessage(username, text) {
+	if (typeof text !== "string" || text.trim().length === 0) {
+		return { valid: false, reason: "Message cannot be empty", text: null };
+	}
+
+	text = text.trim();
+	if (text.length > MAX_MESSAGE_LENGTH) {
+		return { valid: false, reason: `Message cannot be longer than ${MAX_MESSAGE_LENGTH} characters`, text: null };
+	}
+
+	if (!isWithinRateLimit(username)) {
+		return { valid: false, reason: "You are sending messages too quickly", text: null };
+	}
+
+	return { valid: true, reason: "Valid message", text: chatFilter(text) };
+}
+
+module.exports = {
+	MAX_MESSAGE_LENGTH,
+	setChatFilter,
+	prepareMessage
+};
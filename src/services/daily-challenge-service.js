@@ -0,0 +1,377 @@
+// daily challenge - one solo puzzle a day, the same for everyone and seeded from the date
+
+const GameRoom = require("../model/roomModel.js");
+const dailyChallengeModel = require("../model/dailyChallengeModel.js");
+const roomService = require("./room-service.js");
+const rulesService = require("./rules-service.js");
+const dictionaryService = require("./dictionary-service.js");
+
+// "longestChain" scores the words played in time, "reachEnding" the words it took to reach the target letter
+const CHALLENGE_TYPES = Object.freeze({
+	longestChain: { timeLimitSeconds: 180, minWordLengths: [3, 4, 5], scoreOrder: "highest" },
+	reachEnding: { timeLimitSeconds: 300, targetLetters: ["x", "z", "k", "w"], scoreOrder: "lowest" },
+});
+
+// starting words are ordinary words of a middling length
+const STARTING_WORD_LENGTH = Object.freeze({ min: 4, max: 6 });
+
+const DEFAULT_LEADERBOARD_LIMIT = 50;
+const MAX_LEADERBOARD_LIMIT = 100;
+
+// every challenge is played with the default dictionary, so a seed always gives the same puzzle
+const CHALLENGE_DICTIONARY_ID = dictionaryService.DEFAULT_DICTIONARY_ID;
+
+// dateKey => challenge, a day's challenge never changes once built so only the latest few are kept,
+// oldest first, an evicted challenge is simply built again from its seed
+const MAX_CACHED_CHALLENGES = 7;
+const challenges = new Map();
+
+// username => the attempt being played
+const sessions = new Map();
+
+/**
+ * Gets the day a date falls on, in server time.
+ *
+ * @param {Date} [date] - The date, defaults to now.
+ * @returns {string} The day as YYYY-MM-DD.
+ */
+function getDateKey(date = new Date()) {
+	const month = String(date.getMonth() + 1).padStart(2, "0");
+	const day = String(date.getDate()).padStart(2, "0");
+	return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Checks a day sent by a client.
+ *
+ * @param {string} dateKey - The day as YYYY-MM-DD.
+ * @returns {boolean} True if it is a real day, otherwise false.
+ */
+function isDateKey(dateKey) {
+	if (typeof dateKey !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) return false;
+
+	const [year, month, day] = dateKey.split("-").map(Number);
+	return getDateKey(new Date(year, month - 1, day)) === dateKey;
+}
+
+/**
+ * Turns a day into a 32 bit seed with the FNV-1a hash.
+ *
+ * @param {string} dateKey - The day as YYYY-MM-DD.
+ * @returns {number} The seed.
+ */
+function getSeed(dateKey) {
+	let hash = 0x811c9dc5;
+	for (const character of `daily:${dateKey}`) {
+		hash ^= character.charCodeAt(0);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return hash >>> 0;
+}
+
+/**
+ * Creates a seeded random number generator (mulberry32), the same seed always gives the same numbers.
+ *
+ * @param {number} seed - The seed.
+ * @returns {function(): number} A function returning numbers between 0 and 1.
+ */
+function createRandom(seed) {
+	let state = seed;
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let value = state;
+		value = Math.imul(value ^ (value >>> 15), value | 1);
+		value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+		return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Picks one item of a list with a seeded random number generator.
+ *
+ * @param {Array} items - The list.
+ * @param {function(): number} random - The generator.
+ * @returns {*} The item.
+ */
+function pick(items, random) {
+	return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Builds the rules a challenge room validates words with.
+ *
+ * @param {number} minWordLength - The shortest word allowed.
+ * @returns {Object} The rules.
+ */
+function getChallengeRules(minWordLength) {
+	return rulesService.validateRules({ minWordLength }).rules;
+}
+
+/**
+ * Creates the solo room an attempt is validated in. The room is never started or listed,
+ * the challenge only uses its word checks and its used words.
+ *
+ * @param {Object} challenge - The challenge.
+ * @param {string|null} username - The username of the player, null when only checking the challenge.
+ * @param {string|null} socketId - The socket of the player.
+ * @returns {GameRoom} The room, with the starting word already played.
+ */
+function createChallengeRoom(challenge, username, socketId) {
+	const room = new GameRoom(username, roomService.generateRoomId(), socketId, {
+		dictionary: CHALLENGE_DICTIONARY_ID,
+		rules: getChallengeRules(challenge.minWordLength),
+		visibility: "private",
+		practice: true,
+	});
+
+	// the room closes itself when it expires, the challenge decides when the attempt ends instead
+	room.clearGameTimers();
+	room.addUsedWords(challenge.startingWord);
+
+	return room;
+}
+
+/**
+ * Gets the challenge of a day. The seed decides the type, the constraints and the starting word,
+ * so the same day always gives the same challenge.
+ *
+ * @param {string} [dateKey] - The day as YYYY-MM-DD, defaults to today.
+ * @returns {Object} The challenge.
+ */
+function getDailyChallenge(dateKey = getDateKey()) {
+	if (challenges.has(dateKey)) return challenges.get(dateKey);
+
+	const seed = getSeed(dateKey);
+	const random = createRandom(seed);
+
+	const type = pick(Object.keys(CHALLENGE_TYPES), random);
+	const { timeLimitSeconds, minWordLengths, targetLetters } = CHALLENGE_TYPES[type];
+	const minWordLength = type === "longestChain" ? pick(minWordLengths, random) : 1;
+	const targetLetter = type === "reachEnding" ? pick(targetLetters, random) : null;
+
+	const candidates = dictionaryService.getDictionary(CHALLENGE_DICTIONARY_ID).sortedWords.filter((word) =>
+		/^[a-z]+$/.test(word)
+		&& word.length >= STARTING_WORD_LENGTH.min
+		&& word.length <= STARTING_WORD_LENGTH.max
+		&& word.length >= minWordLength
+		&& !(targetLetter && word.endsWith(targetLetter))
+	);
+
+	// the first word from the seeded position that can be followed at all
+	const challenge = { date: dateKey, seed, type, timeLimitSeconds, minWordLength, targetLetter, startingWord: null };
+	const start = Math.floor(random() * candidates.length);
+	for (let offset = 0; offset < candidates.length; offset++) {
+		challenge.startingWord = candidates[(start + offset) % candidates.length];
+		if (createChallengeRoom(challenge, null, null).findPlayableWord()) break;
+	}
+
+	challenge.description = type === "longestChain"
+		? `Build the longest chain you can in ${timeLimitSeconds / 60} minutes, every word at least ${minWordLength} letters long`
+		: `Reach a word ending in '${targetLetter}' in as few words as you can, within ${timeLimitSeconds / 60} minutes`;
+
+	challenges.set(dateKey, Object.freeze(challenge));
+	if (challenges.size > MAX_CACHED_CHALLENGES) {
+		challenges.delete(challenges.keys().next().value);
+	}
+	return challenge;
+}
+
+/**
+ * Builds the state of an attempt sent to its player.
+ *
+ * @param {Object} session - The attempt.
+ * @returns {Object} The attempt state.
+ */
+function getSessionState(session) {
+	return {
+		challenge: session.challenge,
+		words: session.words,
+		lastWord: session.room.lastWord,
+		startedAt: session.startedAt,
+		endsAt: session.endsAt,
+	};
+}
+
+/**
+ * Starts the player's attempt at today's challenge, or picks up the one they are playing.
+ *
+ * @param {string} username - The username of the player.
+ * @param {string} socketId - The socket the player is playing from.
+ * @returns {Promise<Object>} An object containing a `valid` boolean, a `reason` string and the attempt `state`.
+ */
+async function startAttempt(username, socketId) {
+	if (sessions.has(username)) {
+		const session = sessions.get(username);
+		session.socketId = socketId;
+		session.room.reconnectPlayer(username, socketId);
+		return { valid: true, reason: "Attempt resumed", state: getSessionState(session) };
+	}
+
+	const challenge = getDailyChallenge();
+	const startedAt = new Date();
+
+	const attemptId = await dailyChallengeModel.createAttempt({
+		challengeDate: challenge.date,
+		username,
+		challengeType: challenge.type,
+		startingWord: challenge.startingWord,
+		startedAt,
+	});
+	if (!attemptId) {
+		return { valid: false, reason: "You have already played today's challenge", state: null };
+	}
+
+	const session = {
+		attemptId,
+		username,
+		socketId,
+		challenge,
+		room: createChallengeRoom(challenge, username, socketId),
+		words: [],
+		startedAt,
+		endsAt: new Date(startedAt.getTime() + challenge.timeLimitSeconds * 1000),
+		timer: null,
+	};
+	session.timer = setTimeout(() => finishAttempt(session, "Time is up"), challenge.timeLimitSeconds * 1000);
+	sessions.set(username, session);
+
+	return { valid: true, reason: "Attempt started", state: getSessionState(session) };
+}
+
+/**
+ * Plays a word in the player's attempt, checked by the challenge room like any other turn.
+ *
+ * @param {string} username - The username of the player.
+ * @param {string} word - The word.
+ * @returns {Object} An object containing a `valid` boolean, a `reason` string and the attempt `state`.
+ */
+function submitWord(username, word) {
+	const session = sessions.get(username);
+	if (!session) return { valid: false, reason: "You are not playing the daily challenge", state: null };
+
+	word = typeof word === "string" ? word.toLowerCase().trim() : "";
+	const validation = session.room.validateWordPlay(username, word);
+	if (!validation.valid) {
+		return { valid: false, reason: validation.reason, state: getSessionState(session) };
+	}
+
+	session.room.addUsedWords(word);
+	session.words.push(word);
+	const state = getSessionState(session);
+
+	if (session.challenge.targetLetter && word.endsWith(session.challenge.targetLetter)) {
+		finishAttempt(session, "Target reached");
+	} else if (!session.room.findPlayableWord()) {
+		finishAttempt(session, "No valid words remain");
+	}
+
+	return { valid: true, reason: validation.reason, state };
+}
+
+/**
+ * Ends the player's attempt early.
+ *
+ * @param {string} username - The username of the player.
+ * @returns {boolean} True if an attempt was ended, otherwise false.
+ */
+function endAttempt(username) {
+	const session = sessions.get(username);
+	if (!session) return false;
+
+	finishAttempt(session, "Ended by the player");
+	return true;
+}
+
+/**
+ * Scores an attempt, saves it and tells the player how they did.
+ * A longest chain attempt always counts, a reach ending attempt only if the target was reached.
+ *
+ * @param {Object} session - The attempt.
+ * @param {string} reason - Why the attempt ended.
+ */
+function finishAttempt(session, reason) {
+	if (sessions.get(session.username) !== session) return;
+
+	clearTimeout(session.timer);
+	sessions.delete(session.username);
+
+	const endedAt = new Date();
+	const { challenge, words } = session;
+	const completed = challenge.type === "longestChain"
+		|| words.some((word) => word.endsWith(challenge.targetLetter));
+	const result = {
+		date: challenge.date,
+		reason,
+		score: words.length,
+		completed,
+		words,
+		durationMs: endedAt - session.startedAt,
+	};
+
+	dailyChallengeModel.finishAttempt({ id: session.attemptId, ...result, endedAt }).catch((error) => {
+		console.error(`Error saving daily challenge attempt of ${session.username}:`, error);
+	});
+
+	io.to(session.socketId).emit("dailyChallengeEnded", result);
+}
+
+/**
+ * Gets the leaderboard of a day's challenge. Only today and past days someone played have one,
+ * so a request for any other day never builds a challenge.
+ *
+ * @param {Object} query - The leaderboard to get.
+ * @param {string} query.date - The day as YYYY-MM-DD.
+ * @param {number} [query.limit] - How many players to return.
+ * @returns {Promise<Object|null>} The challenge and its ranked entries, players with the same score and time share a rank,
+ * or null if the day has no challenge.
+ */
+async function getDailyLeaderboard({ date, limit = DEFAULT_LEADERBOARD_LIMIT }) {
+	const today = getDateKey();
+	if (date > today) return null;
+	if (date !== today && !(await dailyChallengeModel.hasAttempts({ challengeDate: date }))) return null;
+
+	const challenge = getDailyChallenge(date);
+
+	const rows = await dailyChallengeModel.getDailyRankings({
+		challengeDate: date,
+		scoreOrder: CHALLENGE_TYPES[challenge.type].scoreOrder,
+		limit: Math.min(Math.max(limit, 1), MAX_LEADERBOARD_LIMIT),
+	});
+
+	const entries = [];
+	rows.forEach((row, index) => {
+		const previous = entries[index - 1];
+		const isTied = previous && previous.score === row.score && previous.durationMs === row.durationMs;
+		entries.push({
+			rank: isTied ? previous.rank : index + 1,
+			username: row.username,
+			score: row.score,
+			durationMs: row.durationMs,
+		});
+	});
+
+	return { challenge, entries };
+}
+
+/**
+ * Gets a player's attempt at a day's challenge.
+ *
+ * @param {string} username - The username of the player.
+ * @param {string} [date] - The day as YYYY-MM-DD, defaults to today.
+ * @returns {Promise<Object|null>} The attempt, or null if they have not played it.
+ */
+async function getAttempt(username, date = getDateKey()) {
+	return dailyChallengeModel.getAttempt({ challengeDate: date, username });
+}
+
+module.exports = {
+	CHALLENGE_TYPES,
+	getDateKey,
+	isDateKey,
+	getDailyChallenge,
+	startAttempt,
+	submitWord,
+	endAttempt,
+	getDailyLeaderboard,
+	getAttempt
+};
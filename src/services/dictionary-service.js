@@ -0,0 +1,389 @@
+// dictionaries are loaded once per process and shared by every game room
+
+const fs = require("fs");
+const path = require("path");
+
+// every <id>.json file in this directory describes one selectable dictionary,
+// its words come from a `file` in the directory or from an npm `package` exporting an array
+const DICTIONARY_DIRECTORY = path.join(__dirname, "../../dictionaries");
+const DEFAULT_DICTIONARY_ID = "enable";
+
+// longer than any word in any word list, submissions past this are rejected before they are looked at or recorded
+const MAX_WORD_LENGTH = 45;
+
+/**
+ * An immutable, indexed word list.
+ * Words are kept in a Set for lookups and in a sorted array so that prefix
+ * queries can be answered with a binary search instead of a full scan.
+ *
+ * @class Dictionary
+ */
+class Dictionary {
+	/**
+	 * Creates an indexed dictionary.
+	 *
+	 * @param {Iterable<string>} words - The words in the dictionary.
+	 * @param {Object} [metadata] - Descriptive data about the dictionary (id, name, language...).
+	 */
+	constructor(words, metadata = {}) {
+		this.id = metadata.id || null;
+		this.metadata = metadata;
+		this.words = new Set();
+		for (const word of words) {
+			const normalized = word.toLowerCase().trim();
+			if (normalized.length > 0) this.words.add(normalized);
+		}
+
+		// prefix index - every prefix maps to a contiguous range of this array
+		this.sortedWords = Array.from(this.words).sort();
+
+		// first letter index - letter => { start, end } range in sortedWords
+		this.firstLetterIndex = new Map();
+		this.sortedWords.forEach((word, index) => {
+			const letter = word.charAt(0);
+			const range = this.firstLetterIndex.get(letter);
+			if (range) {
+				range.end = index + 1;
+			} else {
+				this.firstLetterIndex.set(letter, { start: index, end: index + 1 });
+			}
+		});
+	}
+
+	/**
+	 * The number of words in the dictionary.
+	 *
+	 * @returns {number}
+	 */
+	get size() {
+		return this.words.size;
+	}
+
+	/**
+	 * Checks if a word is in the dictionary.
+	 *
+	 * @param {string} word - The word to check.
+	 * @returns {boolean} True if the word is in the dictionary, otherwise false.
+	 */
+	has(word) {
+		return this.words.has(word.toLowerCase().trim());
+	}
+
+	/**
+	 * Finds the range of words in `sortedWords` that start with a prefix.
+	 *
+	 * @param {string} prefix - The prefix to look up.
+	 * @returns {{start: number, end: number}} The half-open range of matching words.
+	 */
+	getPrefixRange(prefix) {
+		prefix = prefix.toLowerCase();
+
+		if (prefix.length === 0) {
+			return { start: 0, end: this.sortedWords.length };
+		}
+
+		if (prefix.length === 1) {
+			return this.firstLetterIndex.get(prefix) || { start: 0, end: 0 };
+		}
+
+		const range = this.firstLetterIndex.get(prefix.charAt(0));
+		if (!range) return { start: 0, end: 0 };
+
+		const start = this.lowerBound(prefix, range.start, range.end);
+		const end = this.lowerBound(`${prefix}\uffff`, start, range.end);
+		return { start, end };
+	}
+
+	/**
+	 * Binary searches for the first index whose word is not less than the target.
+	 *
+	 * @param {string} target - The value to search for.
+	 * @param {number} low - Start of the search range (inclusive).
+	 * @param {number} high - End of the search range (exclusive).
+	 * @returns {number} The insertion index of the target.
+	 */
+	lowerBound(target, low, high) {
+		while (low < high) {
+			const mid = (low + high) >>> 1;
+			if (this.sortedWords[mid] < target) {
+				low = mid + 1;
+			} else {
+				high = mid;
+			}
+		}
+		return low;
+	}
+
+	/**
+	 * Gets every word that starts with a prefix.
+	 *
+	 * @param {string} prefix - The prefix to look up.
+	 * @returns {Array<string>} The matching words in alphabetical order.
+	 */
+	getWordsWithPrefix(prefix) {
+		const { start, end } = this.getPrefixRange(prefix);
+		return this.sortedWords.slice(start, end);
+	}
+
+	/**
+	 * Counts the words that start with a prefix.
+	 *
+	 * @param {string} prefix - The prefix to look up.
+	 * @returns {number} The number of matching words.
+	 */
+	countWordsWithPrefix(prefix) {
+		const { start, end } = this.getPrefixRange(prefix);
+		return end - start;
+	}
+
+	/**
+	 * Counts the words that start with a prefix and have not been used yet.
+	 *
+	 * @param {string} prefix - The prefix to look up.
+	 * @param {Set<string>} usedWordSet - The words that have already been used.
+	 * @returns {number} The number of matching words that are still available.
+	 */
+	countUnusedWordsWithPrefix(prefix, usedWordSet) {
+		prefix = prefix.toLowerCase();
+
+		let usedCount = 0;
+		for (const word of usedWordSet) {
+			if (word.startsWith(prefix) && this.words.has(word)) usedCount++;
+		}
+
+		return this.countWordsWithPrefix(prefix) - usedCount;
+	}
+}
+
+/**
+ * Tracks which words of a dictionary are still unused during one game.
+ * Used words are bucketed by first letter, so counting the remaining words for a
+ * starting letter is a subtraction and longer prefixes only look at one bucket.
+ *
+ * @class RemainingWordIndex
+ */
+class RemainingWordIndex {
+	/**
+	 * Creates an index where every word of the dictionary is still unused.
+	 *
+	 * @param {Dictionary} dictionary - The dictionary the game is played with.
+	 */
+	constructor(dictionary) {
+		this.dictionary = dictionary;
+
+		// first letter => used dictionary words starting with it
+		this.usedByFirstLetter = new Map();
+	}
+
+	/**
+	 * Marks a word as used. Words that are not in the dictionary are ignored.
+	 *
+	 * @param {string} word - The word that was played.
+	 */
+	markUsed(word) {
+		word = word.toLowerCase().trim();
+		if (!this.dictionary.words.has(word)) return;
+
+		const letter = word.charAt(0);
+		if (!this.usedByFirstLetter.has(letter)) {
+			this.usedByFirstLetter.set(letter, new Set());
+		}
+		this.usedByFirstLetter.get(letter).add(word);
+	}
+
+	/**
+	 * Marks every word as unused again, for a new game.
+	 */
+	reset() {
+		this.usedByFirstLetter.clear();
+	}
+
+	/**
+	 * Checks if a word has been marked as used.
+	 *
+	 * @param {string} word - The word to check.
+	 * @returns {boolean} True if the word has been used, otherwise false.
+	 */
+	isUsed(word) {
+		const bucket = this.usedByFirstLetter.get(word.charAt(0));
+		return Boolean(bucket && bucket.has(word));
+	}
+
+	/**
+	 * Counts the unused words that start with a prefix.
+	 *
+	 * @param {string} prefix - The prefix to look up, an empty prefix counts every unused word.
+	 * @returns {number} The number of unused words that start with the prefix.
+	 */
+	countUnusedWithPrefix(prefix) {
+		prefix = prefix.toLowerCase();
+
+		let usedCount = 0;
+		if (prefix.length === 0) {
+			for (const bucket of this.usedByFirstLetter.values()) usedCount += bucket.size;
+		} else if (prefix.length === 1) {
+			usedCount = this.usedByFirstLetter.get(prefix)?.size || 0;
+		} else {
+			for (const word of this.usedByFirstLetter.get(prefix.charAt(0)) || []) {
+				if (word.startsWith(prefix)) usedCount++;
+			}
+		}
+
+		return this.dictionary.countWordsWithPrefix(prefix) - usedCount;
+	}
+
+	/**
+	 * Finds the first unused word with a prefix that passes a check, in alphabetical order.
+	 *
+	 * @param {string} prefix - The prefix every word must start with.
+	 * @param {function(string): boolean} [predicate] - Any further check the word has to pass.
+	 * @returns {string|null} The word, or null if every matching word has been used.
+	 */
+	findUnusedWord(prefix, predicate = () => true) {
+		// nothing left with this prefix, no need to look at the words themselves
+		if (this.countUnusedWithPrefix(prefix) === 0) return null;
+
+		const { start, end } = this.dictionary.getPrefixRange(prefix);
+		for (let i = start; i < end; i++) {
+			const word = this.dictionary.sortedWords[i];
+			if (!this.isUsed(word) && predicate(word)) return word;
+		}
+
+		return null;
+	}
+}
+
+// dictionary registry - id => metadata, and id => loaded Dictionary
+const dictionaryMetadata = new Map();
+const loadedDictionaries = new Map();
+let isRegistryLoaded = false;
+
+/**
+ * Reads a newline separated word list from the dictionary directory.
+ *
+ * @param {string} fileName - The word list file, relative to the dictionary directory.
+ * @returns {Array<string>} The raw lines of the file.
+ */
+function readWordList(fileName) {
+	return fs.readFileSync(path.join(DICTIONARY_DIRECTORY, fileName), "utf8").split("\n");
+}
+
+/**
+ * Reads a word list published as an npm package whose main file is a JSON array of words.
+ * The file is parsed directly so the array is not kept alive by the require cache.
+ *
+ * @param {string} packageName - The name of the package.
+ * @returns {Array<string>} The words in the package.
+ */
+function readPackageWordList(packageName) {
+	return JSON.parse(fs.readFileSync(require.resolve(packageName), "utf8"));
+}
+
+/**
+ * Registers every dictionary described in the dictionary directory and loads all of them.
+ * Meant to be called once at startup, so no room ever waits on a word list being read.
+ *
+ * @returns {Array<Object>} The metadata of every registered dictionary.
+ */
+function loadDictionaries() {
+	dictionaryMetadata.clear();
+	loadedDictionaries.clear();
+
+	for (const fileName of fs.readdirSync(DICTIONARY_DIRECTORY)) {
+		if (path.extname(fileName) !== ".json") continue;
+
+		const id = path.basename(fileName, ".json");
+		const metadata = JSON.parse(fs.readFileSync(path.join(DICTIONARY_DIRECTORY, fileName), "utf8"));
+
+		if (!metadata.file && !metadata.package) {
+			console.error(`Dictionary ${id} has no word list file or package, skipping`);
+			continue;
+		}
+
+		dictionaryMetadata.set(id, { id, exclude: [], ...metadata });
+	}
+	isRegistryLoaded = true;
+
+	for (const id of dictionaryMetadata.keys()) {
+		try {
+			getDictionary(id);
+		} catch (error) {
+			console.error(`Error loading dictionary ${id}, skipping:`, error);
+			dictionaryMetadata.delete(id);
+		}
+	}
+	return listDictionaries();
+}
+
+/**
+ * Checks if a dictionary is registered.
+ *
+ * @param {string} id - The id of the dictionary.
+ * @returns {boolean} True if the dictionary exists, otherwise false.
+ */
+function hasDictionary(id) {
+	if (!isRegistryLoaded) loadDictionaries();
+	return dictionaryMetadata.has(id);
+}
+
+/**
+ * Lists the public metadata of every registered dictionary.
+ *
+ * @returns {Array<Object>} The id, name, description, language and theme of each dictionary.
+ */
+function listDictionaries() {
+	if (!isRegistryLoaded) loadDictionaries();
+	return Array.from(dictionaryMetadata.values()).map((metadata) => ({
+		id: metadata.id,
+		name: metadata.name,
+		description: metadata.description,
+		language: metadata.language,
+		theme: metadata.theme || null,
+	}));
+}
+
+/**
+ * Gets a dictionary by id, loading its word list on first use.
+ *
+ * @param {string} [id] - The id of the dictionary, defaults to ENABLE.
+ * @returns {Dictionary} The shared dictionary.
+ * @throws {Error} If no dictionary is registered under the id.
+ */
+function getDictionary(id = DEFAULT_DICTIONARY_ID) {
+	if (!isRegistryLoaded) loadDictionaries();
+	if (loadedDictionaries.has(id)) return loadedDictionaries.get(id);
+
+	if (!dictionaryMetadata.has(id)) {
+		throw new Error(`Dictionary ${id} does not exist`);
+	}
+
+	const metadata = dictionaryMetadata.get(id);
+
+	// words listed in the exclude files are removed, e.g. kid safe = ENABLE - blocklist
+	const excludedWords = new Set(
+		metadata.exclude.flatMap(readWordList).map((word) => word.toLowerCase().trim())
+	);
+	const words = metadata.package ? readPackageWordList(metadata.package) : readWordList(metadata.file);
+	const wordList = words.filter(
+		(word) => !excludedWords.has(word.toLowerCase().trim())
+	);
+
+	const dictionary = new Dictionary(wordList, metadata);
+	loadedDictionaries.set(id, dictionary);
+	console.log(`Dictionary ${id} loaded: ${dictionary.size} words`);
+
+	return dictionary;
+}
+
+module.exports = {
+	Dictionary,
+	RemainingWordIndex,
+	DEFAULT_DICTIONARY_ID,
+	MAX_WORD_LENGTH,
+	readWordList,
+	readPackageWordList,
+	loadDictionaries,
+	hasDictionary,
+	listDictionaries,
+	getDictionary
+};
@@ -1,6 +1,16 @@
-const pool = require("../services/db.js");
+const pool = require("../services/mysql-service.js");
 
 const SQLSTATEMENT = `
+DROP TABLE IF EXISTS DailyChallengeAttempts;
+DROP TABLE IF EXISTS TournamentMatches;
+DROP TABLE IF EXISTS TournamentEntrants;
+DROP TABLE IF EXISTS Tournaments;
+DROP TABLE IF EXISTS RatingHistory;
+DROP TABLE IF EXISTS ReplayEvents;
+DROP TABLE IF EXISTS LeaderboardArchives;
+DROP TABLE IF EXISTS WordPlays;
+DROP TABLE IF EXISTS MatchParticipants;
+DROP TABLE IF EXISTS Matches;
 DROP TABLE IF EXISTS Users;
 -- Create the Users table with sensible limits for username length
 
@@ -12,9 +22,159 @@ CREATE TABLE Users (
   dateOfCreation DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,  -- Defaults to current time
   gamesPlayed INT DEFAULT 0,
   gamesWon INT DEFAULT 0,
+  rating DOUBLE NOT NULL DEFAULT 1200,  -- Skill rating, provisional until enough rated games are played
+  ratedGames INT NOT NULL DEFAULT 0,
   CONSTRAINT username_length CHECK (LENGTH(username) BETWEEN 3 AND 20),  -- Ensure username is between 3 and 20 characters
   CONSTRAINT email_unique UNIQUE (email)  -- Enforce uniqueness of email addresses
+);
 
+-- One row per finished game
+CREATE TABLE Matches (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  roomId VARCHAR(64) NOT NULL,
+  mode VARCHAR(20) NOT NULL,
+  dictionary VARCHAR(50) NOT NULL,
+  rules JSON NOT NULL,  -- The full room rules the game was played with
+  startedAt DATETIME(3) NOT NULL,
+  endedAt DATETIME(3) NOT NULL,
+  endReason VARCHAR(100),
+  INDEX matches_ended_at (endedAt)
+);
+
+-- Everyone who took part in a match, bots have no user id
+CREATE TABLE MatchParticipants (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  matchId INT NOT NULL,
+  userId INT NULL,
+  username VARCHAR(20) NOT NULL,
+  isBot BOOLEAN NOT NULL DEFAULT FALSE,
+  finalScore INT NOT NULL,
+  placement INT NOT NULL,
+  longestStreak INT NOT NULL DEFAULT 0,  -- Most valid words in a row
+  hintsUsed INT NOT NULL DEFAULT 0,
+  challengesWon INT NOT NULL DEFAULT 0,
+  challengesLost INT NOT NULL DEFAULT 0,
+  FOREIGN KEY (matchId) REFERENCES Matches(id) ON DELETE CASCADE,
+  FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE SET NULL,
+  INDEX participants_username (username)
+);
+
+-- Every word played in a match, in order
+CREATE TABLE WordPlays (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  matchId INT NOT NULL,
+  turnNumber INT NOT NULL,  -- 1 for the first word of the match
+  username VARCHAR(20) NOT NULL,
+  word VARCHAR(64) NOT NULL,
+  points INT NOT NULL,
+  isReversed BOOLEAN NOT NULL DEFAULT FALSE,  -- The points were taken back after a successful challenge
+  playedAt DATETIME(3) NOT NULL,
+  FOREIGN KEY (matchId) REFERENCES Matches(id) ON DELETE CASCADE,
+  INDEX word_plays_match (matchId, turnNumber)
+);
+
+-- The replay of a match, every event timed from the start of the game
+CREATE TABLE ReplayEvents (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  matchId INT NOT NULL,
+  eventNumber INT NOT NULL,  -- 1 for the first event of the match
+  offsetMs INT NOT NULL,  -- Milliseconds since the game started
+  eventType VARCHAR(20) NOT NULL,  -- join, leave, disconnect, reconnect, turnStart, submission, timeout, score or gameEnded
+  username VARCHAR(20) NULL,
+  details JSON NOT NULL,  -- Everything else about the event, e.g. the word and why it was rejected
+  FOREIGN KEY (matchId) REFERENCES Matches(id) ON DELETE CASCADE,
+  INDEX replay_events_match (matchId, eventNumber)
+);
+
+-- Final rankings of every weekly and monthly leaderboard once its period is over
+CREATE TABLE LeaderboardArchives (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  period VARCHAR(10) NOT NULL,  -- weekly or monthly
+  periodStart DATETIME NOT NULL,
+  periodEnd DATETIME NOT NULL,
+  metric VARCHAR(20) NOT NULL,
+  ranking INT NOT NULL,
+  username VARCHAR(20) NOT NULL,
+  value DOUBLE NOT NULL,
+  gamesPlayed INT NOT NULL,
+  CONSTRAINT archive_entry_unique UNIQUE (period, periodStart, metric, username)
+);
+
+-- Every rating change, one row per user per rated match
+CREATE TABLE RatingHistory (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  userId INT NOT NULL,
+  matchId INT NOT NULL,
+  ratingBefore DOUBLE NOT NULL,
+  ratingAfter DOUBLE NOT NULL,
+  placement INT NOT NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE,
+  FOREIGN KEY (matchId) REFERENCES Matches(id) ON DELETE CASCADE,
+  INDEX rating_history_user (userId, createdAt)
+);
+
+-- One row per finished tournament
+CREATE TABLE Tournaments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(50) NOT NULL,
+  organiser VARCHAR(20) NOT NULL,
+  format VARCHAR(20) NOT NULL,  -- singleElimination, roundRobin or swiss
+  dictionary VARCHAR(50) NOT NULL,
+  rules JSON NOT NULL,  -- The room rules every game was played with
+  champion VARCHAR(20) NULL,  -- NULL if nobody was left to win
+  createdAt DATETIME(3) NOT NULL,
+  startedAt DATETIME(3) NOT NULL,
+  endedAt DATETIME(3) NOT NULL
+);
+
+-- Everyone entered in a tournament and where they finished
+CREATE TABLE TournamentEntrants (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  tournamentId INT NOT NULL,
+  userId INT NULL,
+  username VARCHAR(20) NOT NULL,
+  seed INT NOT NULL,
+  placement INT NOT NULL,
+  score DOUBLE NOT NULL DEFAULT 0,  -- Match points in round robin and Swiss
+  pointsFor INT NOT NULL DEFAULT 0,  -- Game points scored across every match
+  FOREIGN KEY (tournamentId) REFERENCES Tournaments(id) ON DELETE CASCADE,
+  FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE SET NULL,
+  CONSTRAINT tournament_entrant_unique UNIQUE (tournamentId, username)
+);
+
+-- Every bracket match, linked to the match history when a game was played
+CREATE TABLE TournamentMatches (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  tournamentId INT NOT NULL,
+  round INT NOT NULL,
+  matchNumber INT NOT NULL,
+  matchId INT NULL,  -- NULL for byes, no-shows and games that were not saved
+  result VARCHAR(20) NOT NULL,  -- played, walkover, noShow, bye or cancelled
+  players JSON NOT NULL,
+  winners JSON NOT NULL,
+  noShows JSON NOT NULL,
+  FOREIGN KEY (tournamentId) REFERENCES Tournaments(id) ON DELETE CASCADE,
+  FOREIGN KEY (matchId) REFERENCES Matches(id) ON DELETE SET NULL,
+  INDEX tournament_matches_round (tournamentId, round, matchNumber)
+);
+
+-- One attempt per user at each day's challenge, saved when it starts and scored when it ends
+CREATE TABLE DailyChallengeAttempts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  challengeDate DATE NOT NULL,
+  userId INT NOT NULL,
+  challengeType VARCHAR(20) NOT NULL,  -- longestChain or reachEnding
+  startingWord VARCHAR(64) NOT NULL,
+  score INT NULL,  -- NULL until the attempt ends
+  completed BOOLEAN NOT NULL DEFAULT FALSE,  -- The goal of the challenge was met
+  words JSON NULL,  -- Every word played, in order
+  durationMs INT NULL,
+  startedAt DATETIME(3) NOT NULL,
+  endedAt DATETIME(3) NULL,
+  FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE,
+  CONSTRAINT daily_attempt_unique UNIQUE (challengeDate, userId)
+);
 `;
 
 pool.query(SQLSTATEMENT, (error, results, fields) => {
@@ -24,4 +184,4 @@ pool.query(SQLSTATEMENT, (error, results, fields) => {
 		console.log("Tables created successfully:", results);
 	}
 	process.exit();
-});
\ No newline at end of file
+});
@@ -0,0 +1,89 @@
+// short, human friendly codes that map to internal room IDs
+
+const crypto = require("crypto");
+
+// no 0/O, 1/I/L - easy to read out over voice chat
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 5;
+const LONG_CODE_LENGTH = 6;
+
+// after this many collisions at the short length, codes get one character longer
+const MAX_SHORT_CODE_ATTEMPTS = 20;
+
+// code => roomId and roomId => code
+const codeToRoomId = new Map();
+const roomIdToCode = new Map();
+
+/**
+ * Generates a random code from the code alphabet.
+ *
+ * @param {number} length - The length of the code.
+ * @returns {string} The code.
+ */
+function generateCode(length) {
+	let code = "";
+	for (let i = 0; i < length; i++) {
+		code += CODE_ALPHABET.charAt(crypto.randomInt(CODE_ALPHABET.length));
+	}
+	return code;
+}
+
+/**
+ * Normalises user input so "abc de" and "ABCDE" resolve to the same code.
+ *
+ * @param {string} code - The code as typed by the user.
+ * @returns {string} The normalised code.
+ */
+function normalizeCode(code) {
+	return String(code).toUpperCase().replace(/[\s-]/g, "");
+}
+
+/**
+ * Issues a unique join code for a room. A room only ever has one code.
+ *
+ * @param {string} roomId - The internal ID of the room.
+ * @returns {string} The join code.
+ */
+function issueCode(roomId) {
+	if (roomIdToCode.has(roomId)) return roomIdToCode.get(roomId);
+
+	let code = generateCode(CODE_LENGTH);
+	for (let attempt = 1; codeToRoomId.has(code); attempt++) {
+		code = generateCode(attempt < MAX_SHORT_CODE_ATTEMPTS ? CODE_LENGTH : LONG_CODE_LENGTH);
+	}
+
+	codeToRoomId.set(code, roomId);
+	roomIdToCode.set(roomId, code);
+	return code;
+}
+
+/**
+ * Looks up the room a join code points to.
+ *
+ * @param {string} code - The join code.
+ * @returns {string|undefined} The internal room ID, or undefined if the code is unknown or expired.
+ */
+function resolveCode(code) {
+	return codeToRoomId.get(normalizeCode(code));
+}
+
+/**
+ * Releases the join code of a room so it can be issued again.
+ *
+ * @param {string} roomId - The internal ID of the room.
+ * @returns {boolean} True if a code was released, otherwise false.
+ */
+function releaseCode(roomId) {
+	const code = roomIdToCode.get(roomId);
+	if (!code) return false;
+
+	roomIdToCode.delete(roomId);
+	codeToRoomId.delete(code);
+	return true;
+}
+
+module.exports = {
+	issueCode,
+	resolveCode,
+	releaseCode
+};
@@ -0,0 +1,304 @@
+// leaderboards - rankings aggregated from the match history, with weekly and monthly periods that get archived
+
+const leaderboardModel = require("../model/leaderboardModel.js");
+const userModel = require("../model/userModel.js");
+const ratingService = require("./rating-service.js");
+
+const METRICS = Object.freeze(["wins", "winRate", "totalPoints", "longestChain", "rating"]);
+
+// ratings never reset, so they only have an all-time leaderboard and are not archived
+const PERIOD_METRICS = Object.freeze(METRICS.filter((metric) => metric !== "rating"));
+
+// allTime never resets, weekly periods start on Monday and monthly periods on the 1st, both at midnight server time
+const WINDOWS = Object.freeze(["allTime", "monthly", "weekly"]);
+const ARCHIVED_WINDOWS = Object.freeze(["monthly", "weekly"]);
+
+// a win rate only counts once a player has played enough games
+const MIN_GAMES_FOR_WIN_RATE = 5;
+
+// wins against bots are easy to farm, so matches with a bot in them do not count towards these
+const BOT_FREE_METRICS = Object.freeze(["wins", "winRate"]);
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// how many players of each ended period are kept in the archive
+const ARCHIVE_SIZE = 100;
+const ARCHIVE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// MySQL cannot store dates past the year 9999
+const END_OF_TIME = new Date(9999, 11, 31);
+
+// window => start time of the current period once every period before it has been archived by this process
+const lastArchivedPeriods = new Map();
+
+/**
+ * Checks a leaderboard query sent by a client.
+ *
+ * @param {string} metric - What players are ranked by.
+ * @param {string} window - The time window.
+ * @returns {string|null} Why the query is invalid, or null if it is valid.
+ */
+function getQueryError(metric, window) {
+	if (!METRICS.includes(metric)) return `Metric must be one of: ${METRICS.join(", ")}`;
+	if (!WINDOWS.includes(window)) return `Window must be one of: ${WINDOWS.join(", ")}`;
+	if (metric === "rating" && window !== "allTime") return "Ratings only have an all-time leaderboard";
+	return null;
+}
+
+/**
+ * Gets the start of the period a date falls in.
+ *
+ * @param {string} window - "weekly" or "monthly".
+ * @param {Date} date - Any date inside the period.
+ * @returns {Date} The start of the period.
+ */
+function getPeriodStart(window, date) {
+	if (window === "monthly") {
+		return new Date(date.getFullYear(), date.getMonth(), 1);
+	}
+
+	// getDay() is 0 for Sunday, weeks start on Monday
+	const daysSinceMonday = (date.getDay() + 6) % 7;
+	return new Date(date.getFullYear(), date.getMonth(), date.getDate() - daysSinceMonday);
+}
+
+/**
+ * Gets the time range of the period a date falls in.
+ *
+ * @param {string} window - "allTime", "weekly" or "monthly".
+ * @param {Date} [date] - Any date inside the period, defaults to now.
+ * @returns {{from: Date, to: Date}} The half-open range of the period.
+ */
+function getPeriodRange(window, date = new Date()) {
+	if (window === "allTime") {
+		return { from: new Date(0), to: END_OF_TIME };
+	}
+
+	const from = getPeriodStart(window, date);
+	const to = window === "monthly"
+		? new Date(from.getFullYear(), from.getMonth() + 1, 1)
+		: new Date(from.getFullYear(), from.getMonth(), from.getDate() + 7);
+	return { from, to };
+}
+
+/**
+ * Turns database rows into ranked entries. Players with the same value share a rank.
+ *
+ * @param {Array<Object>} rows - The rows, already ordered by the metric.
+ * @param {string} metric - What players are ranked by.
+ * @returns {Array<{rank: number, username: string, value: number, gamesPlayed: number}>} The entries.
+ */
+function rankRows(rows, metric) {
+	const entries = [];
+
+	rows.forEach((row, index) => {
+		const value = Number(row[metric]);
+		const previous = entries[index - 1];
+		entries.push({
+			rank: previous && previous.value === value ? previous.rank : index + 1,
+			username: row.username,
+			value,
+			gamesPlayed: Number(row.gamesPlayed),
+		});
+	});
+
+	return entries;
+}
+
+/**
+ * Gets the current leaderboard for a metric and window.
+ *
+ * @param {Object} query - The leaderboard to get.
+ * @param {string} query.metric - What players are ranked by.
+ * @param {string} query.window - The time window.
+ * @param {number} [query.limit] - How many players to return.
+ * @returns {Promise<Object>} The leaderboard, with the period it covers.
+ */
+async function getLeaderboard({ metric, window, limit = DEFAULT_LIMIT }) {
+	limit = Math.min(Math.max(limit, 1), MAX_LIMIT);
+
+	// provisional ratings are left off the rating leaderboard
+	if (metric === "rating") {
+		const users = await userModel.getTopRatedUsers({
+			minRatedGames: ratingService.PROVISIONAL_GAMES,
+			limit,
+		});
+		const rows = users.map((user) => ({
+			username: user.username,
+			rating: Math.round(user.rating),
+			gamesPlayed: user.ratedGames,
+		}));
+
+		return {
+			metric,
+			window,
+			periodStart: null,
+			periodEnd: null,
+			minGames: ratingService.PROVISIONAL_GAMES,
+			entries: rankRows(rows, metric),
+		};
+	}
+
+	const { from, to } = getPeriodRange(window);
+	const minGames = metric === "winRate" ? MIN_GAMES_FOR_WIN_RATE : 1;
+
+	const rows = await leaderboardModel.getRankings({
+		metric,
+		from,
+		to,
+		minGames,
+		limit,
+		excludeBotMatches: BOT_FREE_METRICS.includes(metric),
+	});
+
+	return {
+		metric,
+		window,
+		periodStart: window === "allTime" ? null : from,
+		periodEnd: window === "allTime" ? null : to,
+		minGames,
+		entries: rankRows(rows, metric),
+	};
+}
+
+/**
+ * Gets the archived final leaderboard of an ended weekly or monthly period.
+ *
+ * @param {Object} query - The leaderboard to get.
+ * @param {string} query.metric - What players are ranked by.
+ * @param {string} query.window - "weekly" or "monthly".
+ * @param {Date} query.date - Any date inside the period.
+ * @returns {Promise<Object>} The archived leaderboard.
+ */
+async function getArchivedLeaderboard({ metric, window, date }) {
+	const { from, to } = getPeriodRange(window, date);
+
+	const rows = await leaderboardModel.getArchivedRankings({
+		period: window,
+		periodStart: from,
+		metric,
+	});
+
+	return {
+		metric,
+		window,
+		periodStart: from,
+		periodEnd: to,
+		entries: rows.map((row) => ({
+			rank: row.ranking,
+			username: row.username,
+			value: row.value,
+			gamesPlayed: row.gamesPlayed,
+		})),
+	};
+}
+
+/**
+ * Archives the final rankings of one ended period, unless it has been archived already.
+ *
+ * @param {string} window - "weekly" or "monthly".
+ * @param {Date} periodStart - The start of the period.
+ * @returns {Promise<void>}
+ */
+async function archivePeriod(window, periodStart) {
+	if (await leaderboardModel.hasArchive({ period: window, periodStart })) return;
+
+	const { to: periodEnd } = getPeriodRange(window, periodStart);
+	for (const metric of PERIOD_METRICS) {
+		const rows = await leaderboardModel.getRankings({
+			metric,
+			from: periodStart,
+			to: periodEnd,
+			minGames: metric === "winRate" ? MIN_GAMES_FOR_WIN_RATE : 1,
+			limit: ARCHIVE_SIZE,
+			excludeBotMatches: BOT_FREE_METRICS.includes(metric),
+		});
+
+		await leaderboardModel.archiveRankings({
+			period: window,
+			periodStart,
+			periodEnd,
+			metric,
+			rankings: rankRows(rows, metric),
+		});
+	}
+	console.log(`Archived the ${window} leaderboards starting ${periodStart.toDateString()}`);
+}
+
+/**
+ * Gets the start of every weekly or monthly period from the one a date falls in up to, not including, the current one.
+ *
+ * @param {string} window - "weekly" or "monthly".
+ * @param {Date} from - Any date inside the first period.
+ * @param {Date} [now] - The current time.
+ * @returns {Array<Date>} The starts of the ended periods, oldest first.
+ */
+function getEndedPeriodStarts(window, from, now = new Date()) {
+	const currentPeriodStart = getPeriodStart(window, now);
+	const periodStarts = [];
+
+	for (let periodStart = getPeriodStart(window, from); periodStart < currentPeriodStart;) {
+		periodStarts.push(periodStart);
+		periodStart = getPeriodRange(window, periodStart).to;
+	}
+
+	return periodStarts;
+}
+
+/**
+ * Archives the final rankings of every weekly and monthly period that has ended and is not archived yet,
+ * including periods that ended while the server was down. Safe to call any number of times,
+ * a period is only archived once.
+ *
+ * @returns {Promise<void>}
+ */
+async function archiveEndedPeriods() {
+	const now = new Date();
+
+	for (const window of ARCHIVED_WINDOWS) {
+		const currentPeriodStart = getPeriodStart(window, now);
+		if (lastArchivedPeriods.get(window) === currentPeriodStart.getTime()) continue;
+
+		// carry on from the newest archived period, or from the first match if nothing has been archived yet
+		const resumeFrom = await leaderboardModel.getLatestArchivedPeriodStart({ period: window })
+			|| await leaderboardModel.getFirstMatchEndedAt();
+
+		if (resumeFrom) {
+			for (const periodStart of getEndedPeriodStarts(window, new Date(resumeFrom), now)) {
+				await archivePeriod(window, periodStart);
+			}
+		}
+
+		// every period before the current one is archived, nothing to do until it ends
+		lastArchivedPeriods.set(window, currentPeriodStart.getTime());
+	}
+}
+
+/**
+ * Archives ended periods now and then checks again every hour, so weekly and monthly
+ * leaderboards reset and archive on their own. Meant to be called once at startup.
+ *
+ * @returns {NodeJS.Timeout} The check interval.
+ */
+function startArchiver() {
+	const runArchiver = () => archiveEndedPeriods().catch((error) => {
+		console.error("Error archiving leaderboards:", error);
+	});
+
+	runArchiver();
+	return setInterval(runArchiver, ARCHIVE_CHECK_INTERVAL_MS).unref();
+}
+
+module.exports = {
+	METRICS,
+	WINDOWS,
+	MIN_GAMES_FOR_WIN_RATE,
+	getQueryError,
+	getPeriodRange,
+	getEndedPeriodStarts,
+	getLeaderboard,
+	getArchivedLeaderboard,
+	archiveEndedPeriods,
+	startArchiver
+};
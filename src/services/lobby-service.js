@@ -0,0 +1,71 @@
+// public room browser - lists public rooms and pushes changes to everyone in the lobby
+
+const roomService = require("./room-service.js");
+
+// socket.io room every lobby subscriber joins
+const LOBBY_ROOM = "lobby";
+
+/**
+ * Builds the public summary of a room shown in the room browser.
+ *
+ * @param {GameRoom} room - The room to summarise.
+ * @returns {Object} The room summary.
+ */
+function getRoomSummary(room) {
+	return {
+		roomId: room.roomId,
+		joinCode: room.joinCode,
+		host: room.hostUsername,
+		isLocked: room.isLocked,
+		playerCount: room.playersMap.size,
+		maxPlayers: room.rules.maxPlayers,
+		isFull: room.playersMap.size >= room.rules.maxPlayers,
+		spectatorCount: room.spectatorsMap.size,
+		maxSpectators: room.rules.maxSpectators,
+		phase: room.getPhase(),
+		rules: room.rules,
+		dictionary: room.dictionaryId,
+		createdAt: room.createdRoomTime,
+	};
+}
+
+/**
+ * Lists every active public room, oldest first.
+ *
+ * @returns {Array<Object>} The room summaries.
+ */
+function listRooms() {
+	return roomService.getRooms()
+		.filter((room) => room.isRoomActive && room.visibility === "public")
+		.sort((a, b) => a.createdRoomTime - b.createdRoomTime)
+		.map(getRoomSummary);
+}
+
+/**
+ * Pushes a change to a public room to everyone in the lobby.
+ *
+ * @param {GameRoom} room - The room that changed.
+ * @param {string} change - What happened: "created", "updated", "filled", "started" or "deleted".
+ * @returns {boolean} True if the update was pushed, otherwise false.
+ */
+function publishRoomUpdate(room, change) {
+	if (room.visibility !== "public") return false;
+
+	try {
+		io.to(LOBBY_ROOM).emit("lobbyUpdated", {
+			change,
+			room: getRoomSummary(room),
+		});
+		return true;
+	} catch (error) {
+		console.error(`Error publishing lobby update for ${room.roomId}:`, error);
+		return false;
+	}
+}
+
+module.exports = {
+	LOBBY_ROOM,
+	getRoomSummary,
+	listRooms,
+	publishRoomUpdate
+};
@@ -0,0 +1,299 @@
+// ranked matchmaking - queues keyed by mode and dictionary, grouped by rating and started automatically
+
+const GameRoom = require("../model/roomModel.js");
+const roomService = require("./room-service.js");
+const rulesService = require("./rules-service.js");
+const dictionaryService = require("./dictionary-service.js");
+const ratingService = require("./rating-service.js");
+
+// ranked games are shorter and the same for everyone, only the mode changes
+const RANKED_RULES = Object.freeze({
+	maxPlayers: 4,
+	turnTimeSeconds: 20,
+	gameLengthMinutes: 10,
+});
+
+const MIN_GROUP_SIZE = 2;
+const MAX_GROUP_SIZE = 4;
+
+// a full group starts straight away, smaller groups wait this long for more players first
+const FULL_GROUP_WAIT_MS = 10 * 1000;
+
+// players are matched within this rating gap, which widens the longer they wait
+const INITIAL_RATING_GAP = 100;
+const RATING_GAP_GROWTH_PER_SECOND = 10;
+const MAX_RATING_GAP = 1000;
+
+const MATCHMAKER_INTERVAL_MS = 2000;
+
+// "<mode>:<dictionary>" => queued players, oldest first
+const queues = new Map();
+let matchmakerTimer = null;
+
+/**
+ * Builds the key of the queue for a mode and dictionary.
+ *
+ * @param {string} mode - The game mode.
+ * @param {string} dictionary - The dictionary id.
+ * @returns {string} The queue key.
+ */
+function getQueueKey(mode, dictionary) {
+	return `${mode}:${dictionary}`;
+}
+
+/**
+ * Gets the rating gap a queued player accepts after waiting.
+ *
+ * @param {Object} entry - The queued player.
+ * @param {number} now - The current time.
+ * @returns {number} The rating gap.
+ */
+function getRatingGap(entry, now) {
+	const waitSeconds = (now - entry.joinedAt) / 1000;
+	return Math.min(INITIAL_RATING_GAP + waitSeconds * RATING_GAP_GROWTH_PER_SECOND, MAX_RATING_GAP);
+}
+
+/**
+ * Finds the queue a player is waiting in.
+ *
+ * @param {string} username - The username of the player.
+ * @returns {Object|null} The queued player, or null if they are not queued.
+ */
+function findQueueEntry(username) {
+	for (const queue of queues.values()) {
+		const entry = queue.find((queued) => queued.username === username);
+		if (entry) return entry;
+	}
+	return null;
+}
+
+/**
+ * Checks the mode and dictionary a player wants to queue for.
+ *
+ * @param {string} mode - The game mode.
+ * @param {string} dictionary - The dictionary id.
+ * @returns {string|null} Why the player cannot queue for them, or null if they can.
+ */
+function getQueueError(mode, dictionary) {
+	if (!rulesService.RULE_OPTIONS.mode.includes(mode)) {
+		return `Mode must be one of: ${rulesService.RULE_OPTIONS.mode.join(", ")}`;
+	}
+	if (!dictionaryService.hasDictionary(dictionary)) {
+		return `Dictionary ${dictionary} does not exist`;
+	}
+	return null;
+}
+
+/**
+ * Adds a player to the queue for a mode and dictionary.
+ *
+ * @param {Object} player - The player to queue.
+ * @param {string} player.username - The username of the player.
+ * @param {string} player.socketId - The socket the player queued from.
+ * @param {string} player.mode - The game mode.
+ * @param {string} player.dictionary - The dictionary id.
+ * @returns {Promise<Object>} An object containing a `valid` boolean, a `reason` string and the queue `entry`.
+ */
+async function joinQueue({ username, socketId, mode, dictionary }) {
+	const queueError = getQueueError(mode, dictionary);
+	if (queueError) return { valid: false, reason: queueError, entry: null };
+
+	if (findQueueEntry(username)) {
+		return { valid: false, reason: "You are already in a queue", entry: null };
+	}
+	// finished games the player is still sitting in, e.g. during a rematch window, do not count
+	if (roomService.findRoomsByUsername(username).some((room) => !room.isGameEnded)) {
+		return { valid: false, reason: "You are already in a room", entry: null };
+	}
+
+	// players who cannot be rated right now are matched as new players
+	let rating = ratingService.INITIAL_RATING;
+	try {
+		rating = (await ratingService.getRating(username)).rating;
+	} catch (error) {
+		console.error(`Error getting rating for ${username}:`, error);
+	}
+
+	// the player may have queued twice while their rating was loading
+	if (findQueueEntry(username)) {
+		return { valid: false, reason: "You are already in a queue", entry: null };
+	}
+
+	const key = getQueueKey(mode, dictionary);
+	if (!queues.has(key)) queues.set(key, []);
+
+	const entry = { username, socketId, mode, dictionary, rating, joinedAt: Date.now() };
+	queues.get(key).push(entry);
+	startMatchmaker();
+
+	return { valid: true, reason: "Joined queue", entry };
+}
+
+/**
+ * Takes a player out of whichever queue they are in.
+ *
+ * @param {string} username - The username of the player.
+ * @returns {boolean} True if the player was queued, otherwise false.
+ */
+function leaveQueue(username) {
+	for (const [key, queue] of queues) {
+		const index = queue.findIndex((queued) => queued.username === username);
+		if (index === -1) continue;
+
+		queue.splice(index, 1);
+		if (queue.length === 0) queues.delete(key);
+		return true;
+	}
+	return false;
+}
+
+/**
+ * Gets the status of a queued player.
+ *
+ * @param {string} username - The username of the player.
+ * @returns {Object|null} The queue status, or null if the player is not queued.
+ */
+function getQueueStatus(username) {
+	const entry = findQueueEntry(username);
+	if (!entry) return null;
+
+	const now = Date.now();
+	return {
+		mode: entry.mode,
+		dictionary: entry.dictionary,
+		rating: Math.round(entry.rating),
+		playersInQueue: queues.get(getQueueKey(entry.mode, entry.dictionary)).length,
+		waitSeconds: Math.floor((now - entry.joinedAt) / 1000),
+		ratingGap: Math.round(getRatingGap(entry, now)),
+	};
+}
+
+/**
+ * Finds a group for the player who has waited longest, from the players whose ratings
+ * are within each other's accepted gap.
+ *
+ * @param {Array<Object>} queue - The queued players, oldest first.
+ * @param {number} now - The current time.
+ * @returns {Array<Object>|null} The group, or null if nobody can be matched yet.
+ */
+function findGroup(queue, now) {
+	for (const anchor of queue) {
+		const anchorGap = getRatingGap(anchor, now);
+
+		const group = [anchor, ...queue
+			.filter((entry) => entry !== anchor)
+			.filter((entry) => {
+				const difference = Math.abs(entry.rating - anchor.rating);
+				return difference <= anchorGap && difference <= getRatingGap(entry, now);
+			})
+			.sort((a, b) => Math.abs(a.rating - anchor.rating) - Math.abs(b.rating - anchor.rating))
+			.slice(0, MAX_GROUP_SIZE - 1)];
+
+		if (group.length === MAX_GROUP_SIZE) return group;
+		if (group.length >= MIN_GROUP_SIZE && now - anchor.joinedAt >= FULL_GROUP_WAIT_MS) return group;
+	}
+	return null;
+}
+
+/**
+ * Creates a ranked room for a group, moves everyone's socket into it and starts the game.
+ *
+ * @param {Array<Object>} group - The matched players.
+ * @returns {GameRoom} The room.
+ */
+function createRankedRoom(group) {
+	const [host, ...others] = group;
+	const { mode, dictionary } = host;
+	const { rules } = rulesService.validateRules({ ...RANKED_RULES, mode });
+
+	const room = new GameRoom(host.username, roomService.generateRoomId(), host.socketId, {
+		dictionary,
+		rules,
+		visibility: "private",
+		ranked: true,
+	});
+	roomService.addRoom(room);
+
+	for (const player of others) {
+		room.addPlayer(player.username, player.socketId);
+	}
+
+	for (const player of group) {
+		io.in(player.socketId).socketsJoin(room.roomId);
+		io.to(player.socketId).emit("matchFound", {
+			roomId: room.roomId,
+			mode,
+			dictionary,
+			rules,
+			players: group.map((member) => member.username),
+		});
+		io.to(player.socketId).emit("roomState", room.getStateSnapshot());
+	}
+
+	room.startGame();
+	return room;
+}
+
+/**
+ * Matches as many groups as possible from every queue, then tells everyone still waiting how it is going.
+ */
+function runMatchmaker() {
+	const now = Date.now();
+
+	for (const [key, queue] of queues) {
+		let group = findGroup(queue, now);
+		while (group) {
+			for (const player of group) queue.splice(queue.indexOf(player), 1);
+
+			try {
+				createRankedRoom(group);
+			} catch (error) {
+				console.error(`Error creating ranked room for ${key}:`, error);
+				for (const player of group) {
+					io.to(player.socketId).emit("errorOccurred", {
+						message: "Failed to create a ranked game, please queue again",
+						error: error.toString()
+					});
+				}
+			}
+
+			group = findGroup(queue, now);
+		}
+
+		if (queue.length === 0) {
+			queues.delete(key);
+			continue;
+		}
+
+		for (const entry of queue) {
+			io.to(entry.socketId).emit("queueStatus", getQueueStatus(entry.username));
+		}
+	}
+
+	// nothing left to match, the loop starts again with the next player
+	if (queues.size === 0) stopMatchmaker();
+}
+
+/**
+ * Starts the matchmaker loop if it is not running.
+ */
+function startMatchmaker() {
+	if (matchmakerTimer) return;
+	matchmakerTimer = setInterval(runMatchmaker, MATCHMAKER_INTERVAL_MS);
+}
+
+/**
+ * Stops the matchmaker loop.
+ */
+function stopMatchmaker() {
+	clearInterval(matchmakerTimer);
+	matchmakerTimer = null;
+}
+
+module.exports = {
+	RANKED_RULES,
+	joinQueue,
+	leaveQueue,
+	getQueueStatus,
+	runMatchmaker
+};
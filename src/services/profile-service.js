@@ -0,0 +1,47 @@
+// player profiles - account stats from Users combined with the match history
+
+const userModel = require("../model/userModel.js");
+const matchModel = require("../model/matchModel.js");
+const ratingModel = require("../model/ratingModel.js");
+const ratingService = require("./rating-service.js");
+
+// how many recent matches and rating changes a profile shows
+const RECENT_MATCH_LIMIT = 10;
+const RATING_HISTORY_LIMIT = 20;
+
+/**
+ * Builds the public profile of a player.
+ *
+ * @param {string} username - The username of the player.
+ * @returns {Promise<Object|null>} The profile, or null if the user does not exist.
+ */
+async function getProfile(username) {
+	const user = await userModel.getPublicUserByUsername({ username });
+	if (!user) return null;
+
+	const [wordStats, recentMatches, ratingHistory] = await Promise.all([
+		matchModel.getWordStatsByUsername({ username }),
+		matchModel.getRecentMatchesByUsername({ username, limit: RECENT_MATCH_LIMIT }),
+		ratingModel.getRatingHistoryByUsername({ username, limit: RATING_HISTORY_LIMIT }),
+	]);
+
+	return {
+		username: user.username,
+		dateOfCreation: user.dateOfCreation,
+		gamesPlayed: user.gamesPlayed,
+		gamesWon: user.gamesWon,
+		rating: Math.round(user.rating),
+		isRatingProvisional: ratingService.isProvisional(user.ratedGames),
+		ratingHistory,
+		winRate: user.gamesPlayed > 0 ? Math.round((user.gamesWon / user.gamesPlayed) * 1000) / 1000 : 0,
+		wordsPlayed: wordStats.wordsPlayed,
+		averagePointsPerWord: Math.round(wordStats.averagePointsPerWord * 10) / 10,
+		longestWord: wordStats.longestWord,
+		favouriteStartingLetters: wordStats.favouriteStartingLetters,
+		recentMatches,
+	};
+}
+
+module.exports = {
+	getProfile
+};
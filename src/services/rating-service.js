@@ -0,0 +1,134 @@
+// skill ratings - a multiplayer Elo variant that scores every pair of players by their final placements
+
+const userModel = require("../model/userModel.js");
+const ratingModel = require("../model/ratingModel.js");
+
+const INITIAL_RATING = 1200;
+
+// a rating is provisional until the player has this many rated games, and moves faster while it is
+const PROVISIONAL_GAMES = 10;
+const K_FACTOR = 32;
+const PROVISIONAL_K_FACTOR = 64;
+
+/**
+ * Checks if a rating is still provisional.
+ *
+ * @param {number} ratedGames - The number of rated games the player has played.
+ * @returns {boolean} True if the rating is provisional, otherwise false.
+ */
+function isProvisional(ratedGames) {
+	return ratedGames < PROVISIONAL_GAMES;
+}
+
+/**
+ * Gets the chance of player A beating player B.
+ *
+ * @param {number} ratingA - The rating of player A.
+ * @param {number} ratingB - The rating of player B.
+ * @returns {number} The expected score of player A, between 0 and 1.
+ */
+function getExpectedScore(ratingA, ratingB) {
+	return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+}
+
+/**
+ * Works out the new ratings after a game. Every player is compared with every other player:
+ * a better placement is a win, the same placement a draw. The result is averaged over the
+ * number of opponents, so a 4 player game moves ratings about as much as a 1 on 1.
+ *
+ * @param {Array<{username: string, rating: number, ratedGames: number, placement: number}>} players - The rated players.
+ * @returns {Map<string, {ratingBefore: number, ratingAfter: number, change: number}>} username => rating change.
+ */
+function calculateRatingChanges(players) {
+	const changes = new Map();
+	const opponentCount = players.length - 1;
+
+	for (const player of players) {
+		let scoreDifference = 0;
+		for (const opponent of players) {
+			if (opponent === player) continue;
+
+			let score = 0.5;
+			if (player.placement < opponent.placement) score = 1;
+			if (player.placement > opponent.placement) score = 0;
+			scoreDifference += score - getExpectedScore(player.rating, opponent.rating);
+		}
+
+		const kFactor = isProvisional(player.ratedGames) ? PROVISIONAL_K_FACTOR : K_FACTOR;
+		const change = opponentCount > 0 ? (kFactor * scoreDifference) / opponentCount : 0;
+		changes.set(player.username, {
+			ratingBefore: player.rating,
+			ratingAfter: Math.round((player.rating + change) * 10) / 10,
+			change: Math.round(change * 10) / 10,
+		});
+	}
+
+	return changes;
+}
+
+/**
+ * Updates the ratings of every human player after a game and stores the change in their rating history.
+ * Games need at least two rated players.
+ *
+ * @param {Array<{username: string, placement: number}>} standings - The final standings of the human players.
+ * @param {number} matchId - The id of the saved match.
+ * @returns {Promise<Map<string, Object>>} username => rating change, empty if the game was not rated.
+ */
+async function updateRatings(standings, matchId) {
+	const users = await userModel.getRatingsByUsernames({
+		usernames: standings.map((standing) => standing.username),
+	});
+	if (users.length < 2) return new Map();
+
+	const players = users.map((user) => ({
+		...user,
+		placement: standings.find((standing) => standing.username === user.username).placement,
+	}));
+	const changes = calculateRatingChanges(players);
+
+	for (const player of players) {
+		await userModel.updateRatingById({
+			id: player.id,
+			rating: changes.get(player.username).ratingAfter,
+		});
+	}
+
+	await ratingModel.addRatingHistory({
+		matchId,
+		entries: players.map((player) => ({
+			userId: player.id,
+			placement: player.placement,
+			...changes.get(player.username),
+		})),
+	});
+
+	return changes;
+}
+
+/**
+ * Gets a player's current rating, e.g. for matchmaking.
+ *
+ * @param {string} username - The username of the player.
+ * @returns {Promise<{rating: number, ratedGames: number, isProvisional: boolean}>} The rating, the initial rating for unknown players.
+ */
+async function getRating(username) {
+	const [user] = await userModel.getRatingsByUsernames({ usernames: [username] });
+	if (!user) {
+		return { rating: INITIAL_RATING, ratedGames: 0, isProvisional: true };
+	}
+
+	return {
+		rating: user.rating,
+		ratedGames: user.ratedGames,
+		isProvisional: isProvisional(user.ratedGames),
+	};
+}
+
+module.exports = {
+	INITIAL_RATING,
+	PROVISIONAL_GAMES,
+	isProvisional,
+	calculateRatingChanges,
+	updateRatings,
+	getRating
+};
@@ -0,0 +1,24 @@
+// replays - the event log of a saved match, for playing a game back or settling disputes about turn timing
+
+const matchModel = require("../model/matchModel.js");
+
+/**
+ * Gets the replay of a match.
+ *
+ * @param {number} matchId - The id of the match.
+ * @returns {Promise<Object|null>} The match, its participants and every event in order, or null if the match does not exist.
+ */
+async function getReplay(matchId) {
+	const replay = await matchModel.getReplay({ matchId });
+	if (!replay) return null;
+
+	const lastEvent = replay.events[replay.events.length - 1];
+	return {
+		...replay,
+		durationMs: lastEvent ? lastEvent.at : 0,
+	};
+}
+
+module.exports = {
+	getReplay
+};
@@ -0,0 +1,105 @@
+// in-memory store of the active game rooms, room data is designed not to be persistent
+
+const joinCodeService = require("./join-code-service.js");
+
+// roomId => GameRoom
+const rooms = new Map();
+
+module.exports = {
+	/**
+	 * Generates a new internal room ID.
+	 *
+	 * @returns {string} The room ID.
+	 */
+	generateRoomId() {
+		return `room_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`; // substr is deprecated
+	},
+
+	/**
+	 * Adds a room to the store and issues its join code, ranked rooms are only reached through the queue and get none.
+	 *
+	 * @param {GameRoom} room - The room to add.
+	 */
+	addRoom(room) {
+		rooms.set(room.roomId, room);
+		room.joinCode = room.isRanked ? null : joinCodeService.issueCode(room.roomId);
+	},
+
+	/**
+	 * Gets a room by its ID.
+	 *
+	 * @param {string} roomId - The ID of the room.
+	 * @returns {GameRoom|undefined} The room, or undefined if it does not exist.
+	 */
+	getRoom(roomId) {
+		return rooms.get(roomId);
+	},
+
+	/**
+	 * Gets a room by its join code or its ID.
+	 *
+	 * @param {string} codeOrRoomId - A join code or an internal room ID.
+	 * @returns {GameRoom|undefined} The room, or undefined if it does not exist.
+	 */
+	getRoomByCodeOrId(codeOrRoomId) {
+		if (!codeOrRoomId) return undefined;
+		return rooms.get(codeOrRoomId) || rooms.get(joinCodeService.resolveCode(codeOrRoomId));
+	},
+
+	/**
+	 * Removes a room from the store, its join code expires with it.
+	 *
+	 * @param {string} roomId - The ID of the room.
+	 * @returns {boolean} True if the room was removed, otherwise false.
+	 */
+	removeRoom(roomId) {
+		joinCodeService.releaseCode(roomId);
+		return rooms.delete(roomId);
+	},
+
+	/**
+	 * Finds the active room a player is in.
+	 *
+	 * @param {string} username - The username of the player.
+	 * @returns {GameRoom|undefined} The room, or undefined if the player is not in one.
+	 */
+	findRoomByUsername(username) {
+		for (const room of rooms.values()) {
+			if (room.playersMap.has(username)) return room;
+		}
+		return undefined;
+	},
+
+	/**
+	 * Finds every active room a player has a seat in, e.g. a finished game they have not left yet
+	 * next to the tournament match their seat is reserved in.
+	 *
+	 * @param {string} username - The username of the player.
+	 * @returns {Array<GameRoom>} The rooms, empty if the player is not in one.
+	 */
+	findRoomsByUsername(username) {
+		return Array.from(rooms.values()).filter((room) => room.playersMap.has(username));
+	},
+
+	/**
+	 * Finds the active room a user is spectating.
+	 *
+	 * @param {string} username - The username of the spectator.
+	 * @returns {GameRoom|undefined} The room, or undefined if the user is not spectating one.
+	 */
+	findRoomBySpectator(username) {
+		for (const room of rooms.values()) {
+			if (room.spectatorsMap.has(username)) return room;
+		}
+		return undefined;
+	},
+
+	/**
+	 * Gets every active room.
+	 *
+	 * @returns {Array<GameRoom>} The active rooms.
+	 */
+	getRooms() {
+		return Array.from(rooms.values());
+	}
+};
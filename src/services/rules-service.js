@@ -0,0 +1,161 @@
+// validation and defaults for the rules a host can set when creating a room
+
+const chainRuleService = require("./chain-rule-service.js");
+const dictionaryService = require("./dictionary-service.js");
+
+const DEFAULT_RULES = Object.freeze({
+	maxPlayers: 4,
+	turnTimeSeconds: 30,
+	gameLengthMinutes: 30,
+	minWordLength: 1,
+	chainRule: "lastLetter",
+	chainCategory: null,
+	timeoutPenalty: 5,
+	invalidWordPenalty: 2,
+	mode: "classic",
+	lives: 3,
+	maxInvalidAttempts: 3,
+	reconnectGraceSeconds: 60,
+	maxSpectators: 10,
+	deadEndResolution: "resetChain",
+	trapBonus: 10,
+	hintCost: 3,
+	challengeResolution: "vote",
+	challengeDictionary: null,
+	challengeWindowSeconds: 15,
+	failedChallengePenalty: 3,
+});
+
+// integer rules and their inclusive bounds
+const RULE_LIMITS = Object.freeze({
+	maxPlayers: { min: 2, max: 8 },
+	turnTimeSeconds: { min: 5, max: 120 },
+	gameLengthMinutes: { min: 1, max: 120 },
+	minWordLength: { min: 1, max: 10 },
+	timeoutPenalty: { min: 0, max: 50 },
+	invalidWordPenalty: { min: 0, max: 50 },
+	lives: { min: 1, max: 10 },
+	maxInvalidAttempts: { min: 1, max: 10 },
+	reconnectGraceSeconds: { min: 10, max: 300 },
+	maxSpectators: { min: 0, max: 50 },
+	trapBonus: { min: 0, max: 50 },
+	hintCost: { min: 0, max: 50 },
+	challengeWindowSeconds: { min: 5, max: 60 },
+	failedChallengePenalty: { min: 0, max: 50 },
+});
+
+// rules that must be one of a fixed set of values
+const RULE_OPTIONS = Object.freeze({
+	// classic games end on the timer, elimination games when one player is left standing
+	mode: ["classic", "elimination"],
+	// what happens when no unused word can follow the last word:
+	// the next player starts a new chain, the player who set the trap also gets a bonus, or the game ends
+	deadEndResolution: ["resetChain", "trapBonus", "endGame"],
+	// challenged words are settled by the other players or by looking them up in an authority dictionary
+	challengeResolution: ["vote", "dictionary"],
+});
+
+// rooms stay around for a while after the game would have ended
+const ROOM_EXPIRY_BUFFER_MINUTES = 30;
+
+/**
+ * Validates a rules object sent by a client and fills in defaults for missing rules.
+ *
+ * @param {Object} [input] - The rules requested by the client.
+ * @returns {Object} An object containing a `valid` boolean, a `reason` string and the complete `rules`.
+ */
+function validateRules(input) {
+	if (input === undefined || input === null) {
+		return { valid: true, reason: "Default rules", rules: { ...DEFAULT_RULES } };
+	}
+
+	if (typeof input !== "object" || Array.isArray(input)) {
+		return { valid: false, reason: "Rules must be an object", rules: null };
+	}
+
+	const rules = { ...DEFAULT_RULES };
+
+	for (const [key, value] of Object.entries(input)) {
+		if (!Object.hasOwn(DEFAULT_RULES, key)) {
+			return { valid: false, reason: `Unknown rule '${key}'`, rules: null };
+		}
+
+		if (Object.hasOwn(RULE_LIMITS, key)) {
+			const { min, max } = RULE_LIMITS[key];
+			if (!Number.isInteger(value) || value < min || value > max) {
+				return {
+					valid: false,
+					reason: `Rule '${key}' must be a whole number between ${min} and ${max}`,
+					rules: null,
+				};
+			}
+		}
+
+		if (Object.hasOwn(RULE_OPTIONS, key) && !RULE_OPTIONS[key].includes(value)) {
+			return {
+				valid: false,
+				reason: `Rule '${key}' must be one of: ${RULE_OPTIONS[key].join(", ")}`,
+				rules: null,
+			};
+		}
+
+		if (key === "chainRule" && !chainRuleService.listChainRules().includes(value)) {
+			return {
+				valid: false,
+				reason: `Rule 'chainRule' must be one of: ${chainRuleService.listChainRules().join(", ")}`,
+				rules: null,
+			};
+		}
+
+		rules[key] = value;
+	}
+
+	// category chains need a themed dictionary to check words against
+	if (rules.chainRule === "category") {
+		const categories = chainRuleService.listCategories();
+		if (!categories.includes(rules.chainCategory)) {
+			return {
+				valid: false,
+				reason: `Rule 'chainCategory' must be one of: ${categories.join(", ")}`,
+				rules: null,
+			};
+		}
+	} else {
+		rules.chainCategory = null;
+	}
+
+	// dictionary challenges need an authority dictionary to look words up in,
+	// vote challenges may name one for when nobody else can vote, without one those challenges are refused
+	if (rules.challengeResolution === "dictionary" || rules.challengeDictionary) {
+		if (!dictionaryService.hasDictionary(rules.challengeDictionary)) {
+			const dictionaries = dictionaryService.listDictionaries().map((dictionary) => dictionary.id);
+			return {
+				valid: false,
+				reason: `Rule 'challengeDictionary' must be one of: ${dictionaries.join(", ")}`,
+				rules: null,
+			};
+		}
+	} else {
+		rules.challengeDictionary = null;
+	}
+
+	return { valid: true, reason: "Valid rules", rules };
+}
+
+/**
+ * Works out how long a room should live for under a set of rules.
+ *
+ * @param {Object} rules - The room rules.
+ * @returns {number} The room lifetime in milliseconds.
+ */
+function getRoomExpiryMs(rules) {
+	return (rules.gameLengthMinutes + ROOM_EXPIRY_BUFFER_MINUTES) * 60 * 1000;
+}
+
+module.exports = {
+	DEFAULT_RULES,
+	RULE_LIMITS,
+	RULE_OPTIONS,
+	validateRules,
+	getRoomExpiryMs
+};
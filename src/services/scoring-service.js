@@ -0,0 +1,112 @@
+// computes the points for a word play, broken down so clients can animate each part
+
+// Scrabble-style letter values
+const LETTER_VALUES = Object.freeze({
+	a: 1, b: 3, c: 3, d: 2, e: 1, f: 4, g: 2, h: 4, i: 1, j: 8, k: 5, l: 1, m: 3,
+	n: 1, o: 1, p: 3, q: 10, r: 1, s: 1, t: 1, u: 1, v: 4, w: 4, x: 8, y: 4, z: 10,
+});
+
+// letters worth an extra bonus on top of their letter value
+const RARE_LETTERS = Object.freeze(["j", "q", "x", "z"]);
+const RARE_LETTER_BONUS = 3;
+
+// answering instantly is worth the full speed bonus, answering at the buzzer is worth nothing
+const MAX_SPEED_BONUS = 5;
+
+// every consecutive valid play adds to the multiplier, up to the cap
+const STREAK_MULTIPLIER_STEP = 0.1;
+const MAX_STREAK_MULTIPLIER = 2;
+
+/**
+ * Gets the value of a single letter, unknown characters are worth nothing.
+ * Accented letters are worth the same as their base letter (á => a, ñ => n).
+ *
+ * @param {string} letter - The letter to look up.
+ * @returns {number} The letter value.
+ */
+function getLetterValue(letter) {
+	return LETTER_VALUES[letter.toLowerCase().normalize("NFD").charAt(0)] || 0;
+}
+
+/**
+ * Gets the score multiplier for a streak of consecutive valid plays.
+ *
+ * @param {number} streak - The number of consecutive valid plays, including this one.
+ * @returns {number} The multiplier, between 1 and MAX_STREAK_MULTIPLIER.
+ */
+function getStreakMultiplier(streak) {
+	const multiplier = 1 + Math.max(streak - 1, 0) * STREAK_MULTIPLIER_STEP;
+	return Math.min(Math.round(multiplier * 10) / 10, MAX_STREAK_MULTIPLIER);
+}
+
+/**
+ * Scores a valid word play.
+ *
+ * @param {Object} play - The play to score.
+ * @param {string} play.word - The word that was played.
+ * @param {number} play.timeTakenMs - How long the player took to answer.
+ * @param {number} play.turnTimeMs - How long the player had to answer.
+ * @param {number} play.streak - The player's consecutive valid plays, including this one.
+ * @returns {Object} The score breakdown, `total` being the points awarded.
+ */
+function scoreWordPlay({ word, timeTakenMs, turnTimeMs, streak }) {
+	const letters = word.toLowerCase().trim().split("");
+
+	const letterPoints = letters.reduce((sum, letter) => sum + getLetterValue(letter), 0);
+	const rareLetterBonus = letters.filter((letter) => RARE_LETTERS.includes(letter)).length * RARE_LETTER_BONUS;
+
+	// scales linearly with the share of the turn timer left
+	const timeLeftRatio = Math.min(Math.max(1 - timeTakenMs / turnTimeMs, 0), 1);
+	const speedBonus = Math.round(MAX_SPEED_BONUS * timeLeftRatio);
+
+	const streakMultiplier = getStreakMultiplier(streak);
+	const total = Math.round((letterPoints + rareLetterBonus + speedBonus) * streakMultiplier);
+
+	return {
+		letterPoints,
+		rareLetterBonus,
+		speedBonus,
+		streak,
+		streakMultiplier,
+		total,
+	};
+}
+
+/**
+ * Builds the breakdown for a penalty, so penalties can be shown the same way as plays.
+ *
+ * @param {string} reason - Why the penalty was given, e.g. "timeout" or "invalidWord".
+ * @param {number} penalty - The number of points taken away.
+ * @returns {Object} The penalty breakdown, `total` being the (negative) points awarded.
+ */
+function scorePenalty(reason, penalty) {
+	return {
+		reason,
+		penalty,
+		total: -penalty,
+	};
+}
+
+/**
+ * Builds the breakdown for the bonus a player gets for playing a word nobody can follow.
+ *
+ * @param {number} bonus - The number of points awarded.
+ * @returns {Object} The bonus breakdown, `total` being the points awarded.
+ */
+function scoreTrapBonus(bonus) {
+	return {
+		reason: "trap",
+		bonus,
+		total: bonus,
+	};
+}
+
+module.exports = {
+	LETTER_VALUES,
+	RARE_LETTERS,
+	getLetterValue,
+	getStreakMultiplier,
+	scoreWordPlay,
+	scorePenalty,
+	scoreTrapBonus
+};
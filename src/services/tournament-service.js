@@ -0,0 +1,822 @@
+// tournaments - brackets of one against one games, each played in its own room and advanced as the games end
+
+const GameRoom = require("../model/roomModel.js");
+const tournamentModel = require("../model/tournamentModel.js");
+const userModel = require("../model/userModel.js");
+const roomService = require("./room-service.js");
+const rulesService = require("./rules-service.js");
+const dictionaryService = require("./dictionary-service.js");
+
+const FORMATS = Object.freeze(["singleElimination", "roundRobin", "swiss"]);
+
+const MIN_ENTRANTS = 2;
+const MAX_ENTRANTS = 64;
+const MAX_NAME_LENGTH = 50;
+
+// every tournament game is one against one
+const PLAYERS_PER_MATCH = 2;
+
+// entrants who have not joined their match by the deadline forfeit it
+const DEFAULT_NO_SHOW_MINUTES = 5;
+const NO_SHOW_MINUTES_LIMITS = Object.freeze({ min: 1, max: 30 });
+
+// match points in round robin and Swiss, a bye only scores in Swiss where not everyone gets one
+const MATCH_POINTS = Object.freeze({ win: 1, draw: 0.5, loss: 0, swissBye: 1 });
+
+// finished tournaments stay in memory this long so their bracket can still be looked at
+const FINISHED_RETENTION_MS = 60 * 60 * 1000;
+
+// invitees have this long to accept before a tournament that was never started is dropped
+const PENDING_EXPIRY_MS = 24 * 60 * 60 * 1000;
+
+// tournamentId => tournament, like rooms they only live as long as the process
+const tournaments = new Map();
+
+/**
+ * Gets the socket.io channel live updates of a tournament are sent to.
+ *
+ * @param {string} tournamentId - The id of the tournament.
+ * @returns {string} The channel name.
+ */
+function getTournamentChannel(tournamentId) {
+	return `tournament:${tournamentId}`;
+}
+
+/**
+ * Gets a tournament.
+ *
+ * @param {string} tournamentId - The id of the tournament.
+ * @returns {Object|null} The tournament, or null if it does not exist.
+ */
+function getTournament(tournamentId) {
+	return tournaments.get(tournamentId) || null;
+}
+
+/**
+ * Gets the number of rounds a format plays with a number of entrants.
+ *
+ * @param {string} format - The tournament format.
+ * @param {number} entrantCount - How many players entered.
+ * @returns {number} The number of rounds.
+ */
+function getTotalRounds(format, entrantCount) {
+	if (format === "roundRobin") {
+		// with an odd number of entrants someone sits out every round
+		return entrantCount % 2 === 0 ? entrantCount - 1 : entrantCount;
+	}
+	return Math.ceil(Math.log2(entrantCount));
+}
+
+/**
+ * Checks the players invited to a new tournament.
+ *
+ * @param {Array<string>} invitees - The usernames of the invited players, best seed first.
+ * @returns {string|null} Why the players cannot be invited, or null if they can.
+ */
+function getInviteesError(invitees) {
+	if (!Array.isArray(invitees) || invitees.some((username) => typeof username !== "string" || !username.trim())) {
+		return "Invitees must be a list of usernames";
+	}
+	if (invitees.length < MIN_ENTRANTS || invitees.length > MAX_ENTRANTS) {
+		return `A tournament needs between ${MIN_ENTRANTS} and ${MAX_ENTRANTS} invitees`;
+	}
+	if (new Set(invitees).size !== invitees.length) {
+		return "Every player can only be invited once";
+	}
+	return null;
+}
+
+/**
+ * Creates a tournament and invites players to it. Nobody plays unless they accept their invitation,
+ * the organiser is entered straight away if they invite themselves. The tournament waits for the
+ * organiser to start it, and is dropped if it has not started within PENDING_EXPIRY_MS.
+ *
+ * @param {Object} data - The tournament settings.
+ * @param {string} data.organiser - The username of the organiser.
+ * @param {string} [data.name] - The name of the tournament.
+ * @param {string} data.format - "singleElimination", "roundRobin" or "swiss".
+ * @param {Array<string>} data.invitees - The usernames of the invited players, best seed first.
+ * @param {Object} [data.rules] - The room rules every game is played with.
+ * @param {string} [data.dictionary] - The dictionary id.
+ * @param {number} [data.noShowMinutes] - How long entrants have to join each match.
+ * @returns {Promise<Object>} An object containing a `valid` boolean, a `reason` string and the `tournament`.
+ */
+async function createTournament({ organiser, name, format, invitees, rules, dictionary, noShowMinutes }) {
+	const tournamentName = typeof name === "string" && name.trim() ? name.trim() : `${organiser}'s tournament`;
+	if (tournamentName.length > MAX_NAME_LENGTH) {
+		return { valid: false, reason: `Name must be at most ${MAX_NAME_LENGTH} characters`, tournament: null };
+	}
+
+	if (!FORMATS.includes(format)) {
+		return { valid: false, reason: `Format must be one of: ${FORMATS.join(", ")}`, tournament: null };
+	}
+
+	const inviteesError = getInviteesError(invitees);
+	if (inviteesError) return { valid: false, reason: inviteesError, tournament: null };
+	const usernames = invitees.map((username) => username.trim());
+
+	dictionary = dictionary || dictionaryService.DEFAULT_DICTIONARY_ID;
+	if (!dictionaryService.hasDictionary(dictionary)) {
+		return { valid: false, reason: `Dictionary ${dictionary} does not exist`, tournament: null };
+	}
+
+	// the organiser picks the rules, but every game seats exactly two players
+	const rulesValidation = rulesService.validateRules({ ...rules, maxPlayers: PLAYERS_PER_MATCH });
+	if (!rulesValidation.valid) {
+		return { valid: false, reason: rulesValidation.reason, tournament: null };
+	}
+
+	noShowMinutes = noShowMinutes === undefined ? DEFAULT_NO_SHOW_MINUTES : Number(noShowMinutes);
+	if (!Number.isInteger(noShowMinutes)
+		|| noShowMinutes < NO_SHOW_MINUTES_LIMITS.min
+		|| noShowMinutes > NO_SHOW_MINUTES_LIMITS.max) {
+		return {
+			valid: false,
+			reason: `No-show minutes must be a whole number between ${NO_SHOW_MINUTES_LIMITS.min} and ${NO_SHOW_MINUTES_LIMITS.max}`,
+			tournament: null
+		};
+	}
+
+	const existingUsernames = await userModel.getExistingUsernames({ usernames });
+	const unknownUsernames = usernames.filter((username) => !existingUsernames.includes(username));
+	if (unknownUsernames.length > 0) {
+		return { valid: false, reason: `Unknown invitees: ${unknownUsernames.join(", ")}`, tournament: null };
+	}
+
+	const tournament = {
+		id: `tournament_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+		name: tournamentName,
+		organiser,
+		format,
+		dictionary,
+		rules: rulesValidation.rules,
+		noShowMinutes,
+		status: "pending",
+		// invitations keep the seeding order, "invited" until the player accepts or declines
+		invitations: usernames.map((username) => ({
+			username,
+			status: username === organiser ? "accepted" : "invited",
+		})),
+		// entrants are the players who accepted, seeded when the tournament starts
+		entrants: [],
+		totalRounds: null,
+		schedule: null,
+		rounds: [],
+		champion: null,
+		createdAt: new Date(),
+		expiresAt: new Date(Date.now() + PENDING_EXPIRY_MS),
+		expiryTimer: null,
+		startedAt: null,
+		endedAt: null,
+	};
+	tournament.expiryTimer = setTimeout(() => expireTournament(tournament), PENDING_EXPIRY_MS);
+	tournament.expiryTimer.unref();
+	tournaments.set(tournament.id, tournament);
+
+	return { valid: true, reason: "Tournament created", tournament };
+}
+
+/**
+ * Accepts or declines an invitation to a tournament that has not started yet.
+ * A player who accepted can still pull out by declining before the start.
+ *
+ * @param {string} tournamentId - The id of the tournament.
+ * @param {string} username - The username of the invited player.
+ * @param {boolean} isAccepted - True to enter the tournament, false to decline.
+ * @returns {Object} An object containing a `valid` boolean and a `reason` string.
+ */
+function respondToInvitation(tournamentId, username, isAccepted) {
+	const tournament = getTournament(tournamentId);
+	if (!tournament) return { valid: false, reason: "Tournament not found" };
+	if (tournament.status !== "pending") return { valid: false, reason: "Tournament has already started" };
+
+	const invitation = tournament.invitations.find((invited) => invited.username === username);
+	if (!invitation) return { valid: false, reason: "You are not invited to this tournament" };
+
+	invitation.status = isAccepted ? "accepted" : "declined";
+	publishTournament(tournament);
+
+	return { valid: true, reason: isAccepted ? "Invitation accepted" : "Invitation declined" };
+}
+
+/**
+ * Drops a tournament that was never started.
+ *
+ * @param {Object} tournament - The tournament.
+ */
+function expireTournament(tournament) {
+	if (tournament.status !== "pending") return;
+
+	tournament.status = "expired";
+	publishTournament(tournament);
+	tournaments.delete(tournament.id);
+}
+
+/**
+ * Starts a tournament with the players who accepted, seeded in the order they were invited,
+ * and creates the rooms of its first round.
+ *
+ * @param {string} tournamentId - The id of the tournament.
+ * @param {string} username - The username of whoever is starting it.
+ * @returns {Object} An object containing a `valid` boolean and a `reason` string.
+ */
+function startTournament(tournamentId, username) {
+	const tournament = getTournament(tournamentId);
+	if (!tournament) return { valid: false, reason: "Tournament not found" };
+	if (tournament.organiser !== username) return { valid: false, reason: "Only the organiser can start the tournament" };
+	if (tournament.status !== "pending") return { valid: false, reason: "Tournament has already started" };
+
+	const usernames = tournament.invitations
+		.filter((invitation) => invitation.status === "accepted")
+		.map((invitation) => invitation.username);
+	if (usernames.length < MIN_ENTRANTS) {
+		return { valid: false, reason: `At least ${MIN_ENTRANTS} invited players need to accept first` };
+	}
+
+	clearTimeout(tournament.expiryTimer);
+	tournament.expiryTimer = null;
+	tournament.entrants = usernames.map((entrantUsername, index) => ({
+		username: entrantUsername,
+		seed: index + 1,
+		score: 0,
+		pointsFor: 0,
+		hadBye: false,
+		opponents: [],
+		eliminatedInRound: null,
+		placement: null,
+	}));
+	tournament.totalRounds = getTotalRounds(tournament.format, usernames.length);
+	tournament.schedule = tournament.format === "roundRobin" ? createRoundRobinSchedule(usernames) : null;
+
+	tournament.status = "running";
+	tournament.startedAt = new Date();
+	advanceTournament(tournament);
+
+	return { valid: true, reason: "Tournament started" };
+}
+
+/**
+ * Builds every round of a round robin up front with the circle method, so everyone meets everyone once.
+ *
+ * @param {Array<string>} usernames - The usernames of the entrants.
+ * @returns {Array<Array<Array<string>>>} The pairings of each round, a pairing of one is a bye.
+ */
+function createRoundRobinSchedule(usernames) {
+	// an odd field gets an empty seat, whoever is drawn against it sits the round out
+	const seats = usernames.length % 2 === 0 ? [...usernames] : [...usernames, null];
+	const schedule = [];
+
+	for (let round = 0; round < seats.length - 1; round++) {
+		const pairings = [];
+		for (let index = 0; index < seats.length / 2; index++) {
+			const pairing = [seats[index], seats[seats.length - 1 - index]].filter((seat) => seat !== null);
+			pairings.push(pairing);
+		}
+		schedule.push(pairings);
+
+		// the first seat stays put and everyone else moves round one
+		seats.splice(1, 0, seats.pop());
+	}
+
+	return schedule;
+}
+
+/**
+ * Pairs the players left in a single elimination bracket, reseeded every round.
+ * Top seeds get byes until the field is a power of two, then the best seed meets the worst.
+ *
+ * @param {Object} tournament - The tournament.
+ * @param {Array<string>} usernames - The usernames of the players still in.
+ * @returns {Array<Array<string>>} The pairings, a pairing of one is a bye.
+ */
+function pairEliminationRound(tournament, usernames) {
+	const seeded = [...usernames].sort((a, b) => getEntrant(tournament, a).seed - getEntrant(tournament, b).seed);
+	const bracketSize = 2 ** Math.ceil(Math.log2(seeded.length));
+	const byeCount = bracketSize - seeded.length;
+
+	const pairings = seeded.slice(0, byeCount).map((username) => [username]);
+	const playing = seeded.slice(byeCount);
+	for (let index = 0; index < playing.length / 2; index++) {
+		pairings.push([playing[index], playing[playing.length - 1 - index]]);
+	}
+
+	return pairings;
+}
+
+/**
+ * Pairs a Swiss round, players on the same score meeting each other and nobody meeting the same opponent twice if it can be helped.
+ * With an odd field the lowest ranked player without a bye gets one.
+ *
+ * @param {Object} tournament - The tournament.
+ * @returns {Array<Array<string>>} The pairings, a pairing of one is a bye.
+ */
+function pairSwissRound(tournament) {
+	const ranked = getRankedEntrants(tournament);
+	const pairings = [];
+
+	if (ranked.length % 2 === 1) {
+		const byeEntrant = [...ranked].reverse().find((entrant) => !entrant.hadBye) || ranked[ranked.length - 1];
+		ranked.splice(ranked.indexOf(byeEntrant), 1);
+		pairings.push([byeEntrant.username]);
+	}
+
+	while (ranked.length > 0) {
+		const player = ranked.shift();
+		const opponentIndex = ranked.findIndex((entrant) => !player.opponents.includes(entrant.username));
+		const [opponent] = ranked.splice(opponentIndex === -1 ? 0 : opponentIndex, 1);
+		pairings.push([player.username, opponent.username]);
+	}
+
+	return pairings;
+}
+
+/**
+ * Gets the pairings of the next round.
+ *
+ * @param {Object} tournament - The tournament.
+ * @returns {Array<Array<string>>|null} The pairings, or null if the tournament is over.
+ */
+function getNextPairings(tournament) {
+	const roundNumber = tournament.rounds.length + 1;
+
+	if (tournament.format === "roundRobin") {
+		return tournament.schedule[roundNumber - 1] || null;
+	}
+
+	if (tournament.format === "swiss") {
+		return roundNumber <= tournament.totalRounds ? pairSwissRound(tournament) : null;
+	}
+
+	// single elimination goes on until one player is left, or nobody if both finalists did not show up
+	const remaining = tournament.entrants
+		.filter((entrant) => entrant.eliminatedInRound === null)
+		.map((entrant) => entrant.username);
+	return remaining.length > 1 ? pairEliminationRound(tournament, remaining) : null;
+}
+
+/**
+ * Gets an entrant of a tournament.
+ *
+ * @param {Object} tournament - The tournament.
+ * @param {string} username - The username of the entrant.
+ * @returns {Object|undefined} The entrant.
+ */
+function getEntrant(tournament, username) {
+	return tournament.entrants.find((entrant) => entrant.username === username);
+}
+
+/**
+ * Gets the entrants best first: by match points, then game points, then seed.
+ *
+ * @param {Object} tournament - The tournament.
+ * @returns {Array<Object>} The entrants.
+ */
+function getRankedEntrants(tournament) {
+	return [...tournament.entrants].sort((a, b) =>
+		b.score - a.score || b.pointsFor - a.pointsFor || a.seed - b.seed
+	);
+}
+
+/**
+ * Starts the next round, or finishes the tournament if there is none.
+ *
+ * @param {Object} tournament - The tournament.
+ */
+function advanceTournament(tournament) {
+	const pairings = getNextPairings(tournament);
+	if (!pairings) {
+		finishTournament(tournament);
+		return;
+	}
+
+	const roundNumber = tournament.rounds.length + 1;
+	const round = {
+		number: roundNumber,
+		matches: pairings.map((players, index) => ({
+			round: roundNumber,
+			number: index + 1,
+			players,
+			status: "pending",
+			result: null,
+			roomId: null,
+			joinCode: null,
+			deadline: null,
+			winners: [],
+			noShows: [],
+			standings: null,
+			matchId: null,
+			savedMatch: null,
+			noShowTimer: null,
+		})),
+	};
+	tournament.rounds.push(round);
+
+	for (const match of round.matches) {
+		if (match.players.length < PLAYERS_PER_MATCH) {
+			recordResult(tournament, match, { winners: match.players, result: "bye" });
+		} else {
+			openMatch(tournament, match);
+		}
+	}
+
+	publishTournament(tournament);
+
+	// a round of nothing but byes is already over
+	if (isRoundComplete(round)) {
+		advanceTournament(tournament);
+	}
+}
+
+/**
+ * Checks if every match of a round has a result.
+ *
+ * @param {Object} round - The round.
+ * @returns {boolean} True if the round is over, otherwise false.
+ */
+function isRoundComplete(round) {
+	return round.matches.every((match) => match.status === "finished");
+}
+
+/**
+ * Creates the room of a match with a seat held for each player, who then have until the deadline to join.
+ *
+ * @param {Object} tournament - The tournament.
+ * @param {Object} match - The match.
+ */
+function openMatch(tournament, match) {
+	try {
+		const [host, ...others] = match.players;
+		const room = new GameRoom(host, roomService.generateRoomId(), null, {
+			dictionary: tournament.dictionary,
+			rules: tournament.rules,
+			visibility: "private",
+			tournamentId: tournament.id,
+			onGameEnded: (endedRoom, results) => handleGameEnded(tournament, match, endedRoom, results),
+		});
+		roomService.addRoom(room);
+
+		for (const username of [host, ...others]) {
+			room.reserveSeat(username);
+		}
+
+		const noShowMs = tournament.noShowMinutes * 60 * 1000;
+		match.status = "waiting";
+		match.roomId = room.roomId;
+		match.joinCode = room.joinCode;
+		match.deadline = new Date(Date.now() + noShowMs);
+		match.noShowTimer = setTimeout(() => resolveNoShows(tournament, match), noShowMs);
+	} catch (error) {
+		console.error(`Error opening match ${match.number} of round ${match.round} in ${tournament.id}:`, error);
+		recordResult(tournament, match, { winners: [], result: "cancelled" });
+	}
+}
+
+/**
+ * Finds the match a player is meant to be playing right now.
+ *
+ * @param {Object} tournament - The tournament.
+ * @param {string} username - The username of the player.
+ * @returns {Object|null} The match, or null if the player has no open match.
+ */
+function findOpenMatch(tournament, username) {
+	const round = tournament.rounds[tournament.rounds.length - 1];
+	if (!round) return null;
+
+	return round.matches.find((match) =>
+		["waiting", "playing"].includes(match.status) && match.players.includes(username)
+	) || null;
+}
+
+/**
+ * Seats a player in their open match. The game starts as soon as both players are in.
+ *
+ * @param {string} tournamentId - The id of the tournament.
+ * @param {string} username - The username of the player.
+ * @param {string} socketId - The socket the player joined from.
+ * @returns {Object} An object containing a `valid` boolean, a `reason` string and the `room`.
+ */
+function joinMatch(tournamentId, username, socketId) {
+	const tournament = getTournament(tournamentId);
+	if (!tournament) return { valid: false, reason: "Tournament not found", room: null };
+
+	const match = findOpenMatch(tournament, username);
+	if (!match) return { valid: false, reason: "You have no match to play right now", room: null };
+
+	const room = roomService.getRoom(match.roomId);
+	if (!room || !room.playersMap.has(username)) {
+		return { valid: false, reason: "Your seat in this match is gone", room: null };
+	}
+
+	// the room of the player's last match stays open for a while after the game, they move on from it
+	let otherRoom = roomService.findRoomByUsername(username);
+	while (otherRoom && otherRoom !== room && otherRoom.tournamentId && otherRoom.isGameEnded) {
+		io.in(socketId).socketsLeave([otherRoom.roomId, otherRoom.getSpectatorChannel()]);
+		otherRoom.removePlayer(username);
+		otherRoom = roomService.findRoomByUsername(username);
+	}
+	if (otherRoom && otherRoom !== room) {
+		return { valid: false, reason: "Leave your current room before joining your match", room: null };
+	}
+
+	room.reconnectPlayer(username, socketId);
+	startMatchIfReady(room);
+
+	return { valid: true, reason: "Joined match", room };
+}
+
+/**
+ * Starts the game of a tournament room once every player has taken their seat.
+ *
+ * @param {GameRoom} room - The tournament room.
+ * @returns {boolean} True if the game started, otherwise false.
+ */
+function startMatchIfReady(room) {
+	const tournament = getTournament(room.tournamentId);
+	const match = tournament && tournament.rounds
+		.flatMap((round) => round.matches)
+		.find((roundMatch) => roundMatch.roomId === room.roomId);
+	if (!match || match.status !== "waiting") return false;
+
+	const isEveryoneSeated = match.players.every((username) => room.playersMap.get(username)?.connected);
+	if (!isEveryoneSeated || !room.startGame()) return false;
+
+	clearTimeout(match.noShowTimer);
+	match.noShowTimer = null;
+	match.status = "playing";
+	publishTournament(tournament);
+
+	return true;
+}
+
+/**
+ * Settles a match whose players did not all join by the deadline. A player who is there
+ * wins by walkover, if nobody is there nobody wins.
+ *
+ * @param {Object} tournament - The tournament.
+ * @param {Object} match - The match.
+ */
+function resolveNoShows(tournament, match) {
+	match.noShowTimer = null;
+	if (match.status !== "waiting") return;
+
+	const room = roomService.getRoom(match.roomId);
+	const present = match.players.filter((username) => room && room.playersMap.get(username)?.connected);
+	match.noShows = match.players.filter((username) => !present.includes(username));
+
+	if (room) room.deleteRoom(present.length > 0 ? "Your opponent did not show up" : "Nobody showed up");
+
+	completeMatch(tournament, match, {
+		winners: present,
+		result: present.length > 0 ? "walkover" : "noShow",
+	});
+}
+
+/**
+ * Records the result of a game played in a tournament room. Called by the room when its game ends.
+ *
+ * @param {Object} tournament - The tournament.
+ * @param {Object} match - The match.
+ * @param {GameRoom} room - The room the game was played in.
+ * @param {Object} results - The results of the game.
+ * @param {Array<Object>} results.standings - The final standings.
+ * @param {Promise<number|null>} results.savedMatch - Resolves to the id of the saved match.
+ */
+function handleGameEnded(tournament, match, room, { standings, savedMatch }) {
+	if (match.status !== "playing") return;
+
+	match.standings = standings.map(({ username, points, placement }) => ({ username, points, placement }));
+	match.savedMatch = savedMatch.then((matchId) => {
+		match.matchId = matchId;
+		return matchId;
+	});
+
+	// a player who left during the game has no standing and cannot win
+	completeMatch(tournament, match, {
+		winners: room.determineWinner().filter((username) => match.players.includes(username)),
+		result: "played",
+	});
+}
+
+/**
+ * Records the result of a match and scores it.
+ *
+ * @param {Object} tournament - The tournament.
+ * @param {Object} match - The match.
+ * @param {Object} outcome - The outcome.
+ * @param {Array<string>} outcome.winners - Who won, both players on a draw and nobody if neither played.
+ * @param {string} outcome.result - "played", "walkover", "noShow", "bye" or "cancelled".
+ */
+function recordResult(tournament, match, { winners, result }) {
+	match.status = "finished";
+	match.result = result;
+	match.winners = winners;
+
+	// on a draw the better seed goes through in single elimination
+	const advancing = [...winners].sort((a, b) => getEntrant(tournament, a).seed - getEntrant(tournament, b).seed)[0];
+
+	for (const username of match.players) {
+		const entrant = getEntrant(tournament, username);
+		const standing = match.standings?.find((gameStanding) => gameStanding.username === username);
+
+		entrant.opponents.push(...match.players.filter((player) => player !== username));
+		entrant.pointsFor += standing ? standing.points : 0;
+
+		if (result === "bye") {
+			entrant.hadBye = true;
+			if (tournament.format === "swiss") entrant.score += MATCH_POINTS.swissBye;
+		} else if (!winners.includes(username)) {
+			entrant.score += MATCH_POINTS.loss;
+		} else {
+			entrant.score += winners.length > 1 ? MATCH_POINTS.draw : MATCH_POINTS.win;
+		}
+
+		if (tournament.format === "singleElimination" && username !== advancing) {
+			entrant.eliminatedInRound = match.round;
+		}
+	}
+}
+
+/**
+ * Records the result of a match in the current round and moves the tournament on once the round is over.
+ *
+ * @param {Object} tournament - The tournament.
+ * @param {Object} match - The match.
+ * @param {Object} outcome - The outcome, as taken by recordResult.
+ */
+function completeMatch(tournament, match, outcome) {
+	recordResult(tournament, match, outcome);
+	publishTournament(tournament);
+
+	if (isRoundComplete(tournament.rounds[match.round - 1])) {
+		advanceTournament(tournament);
+	}
+}
+
+/**
+ * Gives every entrant their final placement and ends the tournament.
+ *
+ * @param {Object} tournament - The tournament.
+ */
+function finishTournament(tournament) {
+	if (tournament.format === "singleElimination") {
+		// the champion first, then everyone by how far they got, players knocked out in the same round share a placement
+		const byRoundReached = [...tournament.entrants].sort((a, b) =>
+			(b.eliminatedInRound ?? Infinity) - (a.eliminatedInRound ?? Infinity) || a.seed - b.seed
+		);
+		byRoundReached.forEach((entrant, index) => {
+			const previous = byRoundReached[index - 1];
+			entrant.placement = previous && previous.eliminatedInRound === entrant.eliminatedInRound
+				? previous.placement
+				: index + 1;
+		});
+	} else {
+		// players level on match points and game points share a placement
+		const ranked = getRankedEntrants(tournament);
+		ranked.forEach((entrant, index) => {
+			const previous = ranked[index - 1];
+			entrant.placement = previous && previous.score === entrant.score && previous.pointsFor === entrant.pointsFor
+				? previous.placement
+				: index + 1;
+		});
+	}
+
+	const champions = tournament.entrants.filter((entrant) => entrant.placement === 1);
+	tournament.champion = champions.length === 1 && (tournament.format !== "singleElimination" || champions[0].eliminatedInRound === null)
+		? champions[0].username
+		: null;
+	tournament.status = "finished";
+	tournament.endedAt = new Date();
+	publishTournament(tournament);
+
+	persistTournament(tournament).catch((error) => {
+		console.error(`Error saving tournament ${tournament.id}:`, error);
+	});
+
+	setTimeout(() => tournaments.delete(tournament.id), FINISHED_RETENTION_MS).unref();
+}
+
+/**
+ * Saves a finished tournament, its entrants and its matches, linked to the match history of every game played.
+ *
+ * @param {Object} tournament - The tournament.
+ * @returns {Promise<number>} The id of the saved tournament.
+ */
+async function persistTournament(tournament) {
+	const matches = tournament.rounds.flatMap((round) => round.matches);
+
+	// games save their match history in the background, wait for the ids to link to
+	await Promise.all(matches.map((match) => match.savedMatch));
+
+	const tournamentId = await tournamentModel.createTournament({
+		name: tournament.name,
+		organiser: tournament.organiser,
+		format: tournament.format,
+		dictionary: tournament.dictionary,
+		rules: tournament.rules,
+		champion: tournament.champion,
+		createdAt: tournament.createdAt,
+		startedAt: tournament.startedAt,
+		endedAt: tournament.endedAt,
+	});
+
+	await tournamentModel.addTournamentEntrants({ tournamentId, entrants: tournament.entrants });
+	await tournamentModel.addTournamentMatches({ tournamentId, matches });
+
+	return tournamentId;
+}
+
+/**
+ * Builds the public state of a tournament, its standings and every round of its bracket.
+ *
+ * @param {Object} tournament - The tournament.
+ * @returns {Object} The tournament state.
+ */
+function getTournamentState(tournament) {
+	return {
+		id: tournament.id,
+		name: tournament.name,
+		organiser: tournament.organiser,
+		format: tournament.format,
+		dictionary: tournament.dictionary,
+		rules: tournament.rules,
+		noShowMinutes: tournament.noShowMinutes,
+		status: tournament.status,
+		currentRound: tournament.rounds.length,
+		totalRounds: tournament.totalRounds,
+		champion: tournament.champion,
+		createdAt: tournament.createdAt,
+		expiresAt: tournament.status === "pending" ? tournament.expiresAt : null,
+		startedAt: tournament.startedAt,
+		endedAt: tournament.endedAt,
+		invitations: tournament.invitations,
+		standings: getRankedEntrants(tournament).map((entrant) => ({
+			username: entrant.username,
+			seed: entrant.seed,
+			score: entrant.score,
+			pointsFor: entrant.pointsFor,
+			isEliminated: entrant.eliminatedInRound !== null,
+			placement: entrant.placement,
+		})),
+		rounds: tournament.rounds.map((round) => ({
+			number: round.number,
+			matches: round.matches.map((match) => ({
+				number: match.number,
+				players: match.players,
+				status: match.status,
+				result: match.result,
+				roomId: match.roomId,
+				joinCode: match.joinCode,
+				deadline: match.deadline,
+				winners: match.winners,
+				noShows: match.noShows,
+				standings: match.standings,
+			})),
+		})),
+	};
+}
+
+/**
+ * Lists every tournament in memory, newest first.
+ *
+ * @returns {Array<Object>} A summary of each tournament.
+ */
+function listTournaments() {
+	return Array.from(tournaments.values())
+		.sort((a, b) => b.createdAt - a.createdAt)
+		.map((tournament) => ({
+			id: tournament.id,
+			name: tournament.name,
+			organiser: tournament.organiser,
+			format: tournament.format,
+			status: tournament.status,
+			entrantCount: tournament.status === "pending"
+				? tournament.invitations.filter((invitation) => invitation.status === "accepted").length
+				: tournament.entrants.length,
+			currentRound: tournament.rounds.length,
+			totalRounds: tournament.totalRounds,
+			champion: tournament.champion,
+			createdAt: tournament.createdAt,
+		}));
+}
+
+/**
+ * Sends the latest state of a tournament to everyone watching it.
+ *
+ * @param {Object} tournament - The tournament.
+ */
+function publishTournament(tournament) {
+	io.to(getTournamentChannel(tournament.id)).emit("tournamentUpdated", getTournamentState(tournament));
+}
+
+module.exports = {
+	FORMATS,
+	getTournamentChannel,
+	getTournament,
+	createTournament,
+	respondToInvitation,
+	startTournament,
+	joinMatch,
+	startMatchIfReady,
+	getTournamentState,
+	listTournaments
+};
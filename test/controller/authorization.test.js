@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const authorization = require("../../src/controller/authorization.js");
+
+test("getSafeRedirect keeps same-site paths", () => {
+	assert.strictEqual(authorization.getSafeRedirect("/join/ABCDE"), "/join/ABCDE");
+	assert.strictEqual(authorization.getSafeRedirect("/play?room=1#chat"), "/play?room=1#chat");
+	assert.strictEqual(authorization.getSafeRedirect("/a/../join/ABCDE"), "/join/ABCDE");
+});
+
+test("getSafeRedirect rejects anything that could leave the site", () => {
+	assert.strictEqual(authorization.getSafeRedirect(undefined), null);
+	assert.strictEqual(authorization.getSafeRedirect(["/join"]), null);
+	assert.strictEqual(authorization.getSafeRedirect("https://evil.example"), null);
+	assert.strictEqual(authorization.getSafeRedirect("//evil.example"), null);
+	assert.strictEqual(authorization.getSafeRedirect("/\\evil.example"), null);
+	assert.strictEqual(authorization.getSafeRedirect("/a/../..//evil.example"), null);
+});
+
+test("getLoginRedirect prefers the query, then the body, then the cookie", () => {
+	const cookies = { loginRedirect: "/join/COOKE" };
+
+	assert.strictEqual(authorization.getLoginRedirect({ query: { redirect: "/join/QUERY" }, body: { redirect: "/join/BODYY" }, cookies }), "/join/QUERY");
+	assert.strictEqual(authorization.getLoginRedirect({ query: {}, body: { redirect: "/join/BODYY" }, cookies }), "/join/BODYY");
+	assert.strictEqual(authorization.getLoginRedirect({ query: { redirect: "//evil.example" }, cookies }), "/join/COOKE");
+	assert.strictEqual(authorization.getLoginRedirect({ query: {} }), null);
+});
+
+test("getRequestToken prefers the bearer header, then the token cookie", () => {
+	const cookies = { token: "cookie-token" };
+
+	assert.strictEqual(authorization.getRequestToken({ headers: { authorization: "Bearer header-token" }, cookies }), "header-token");
+	assert.strictEqual(authorization.getRequestToken({ headers: { authorization: "Bearer " }, cookies }), "cookie-token");
+	assert.strictEqual(authorization.getRequestToken({ headers: { authorization: "Basic abc" }, cookies }), "cookie-token");
+	assert.strictEqual(authorization.getRequestToken({ headers: {} }), null);
+});
@@ -0,0 +1,168 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const GameRoom = require("../../src/model/roomModel.js");
+const roomService = require("../../src/services/room-service.js");
+const ratingService = require("../../src/services/rating-service.js");
+const matchmakingService = require("../../src/services/matchmaking-service.js");
+const socketEvents = require("../../src/events/socketEvents.js");
+
+// rooms broadcast through the global socket.io server, which is not needed here
+global.io = {
+	to: () => ({ emit() {} }),
+	in: () => ({ socketsLeave() {} }),
+};
+
+/**
+ * Creates a stand-in for a connected socket that records what it is sent.
+ *
+ * @param {string} username - The username of the logged in user.
+ * @param {string} id - The socket ID.
+ * @returns {Object} The socket, with every emitted event in `emitted`.
+ */
+function createSocket(username, id) {
+	const socket = {
+		id,
+		userData: { username },
+		emitted: [],
+		rooms: new Set(),
+		emit: (event, message) => socket.emitted.push({ event, message }),
+		join: (roomId) => socket.rooms.add(roomId),
+		leave() {},
+	};
+	return socket;
+}
+
+/**
+ * Creates a room and adds it to the store for the length of a test.
+ *
+ * @param {TestContext} t - The test context.
+ * @param {string} host - The username of the host.
+ * @returns {GameRoom} The room.
+ */
+function createStoredRoom(t, host) {
+	const room = new GameRoom(host, roomService.generateRoomId(), `socket-${host}`, { visibility: "private" });
+	roomService.addRoom(room);
+	t.after(() => {
+		room.clearGameTimers();
+		roomService.removeRoom(room.roomId);
+	});
+	return room;
+}
+
+/**
+ * Creates a stored room whose game has been played and ended, so it is in its rematch window.
+ *
+ * @param {TestContext} t - The test context.
+ * @param {Array<string>} usernames - The players, the first one is the host.
+ * @returns {GameRoom} The room.
+ */
+function createEndedRoom(t, [host, ...others]) {
+	const room = createStoredRoom(t, host);
+	for (const username of others) room.addPlayer(username, `socket-${username}`);
+
+	// the results are not what is under test here
+	room.persistResults = async () => null;
+	room.startGame();
+	room.endGame("Test over");
+	return room;
+}
+
+test("resumeSession only seats the player in the room they ask for", (t) => {
+	const first = createStoredRoom(t, "alice");
+	const second = createStoredRoom(t, "bob");
+	second.reserveSeat("alice");
+	first.markPlayerDisconnected("alice", "socket-alice");
+
+	const socket = createSocket("alice", "socket-alice-2");
+	socketEvents.resumeSession(socket, { roomId: first.roomId });
+
+	assert.deepStrictEqual(socket.emitted.map((emit) => emit.event), ["sessionResumed", "roomState", "chatHistory"]);
+	assert.strictEqual(first.getUserSocket("alice"), "socket-alice-2");
+	assert.strictEqual(second.playersMap.get("alice").connected, false);
+	assert.deepStrictEqual([...socket.rooms], [first.roomId]);
+});
+
+test("resumeSession refuses rooms the player is not seated in", (t) => {
+	const room = createStoredRoom(t, "alice");
+
+	for (const data of [undefined, {}, { roomId: room.roomId }]) {
+		const socket = createSocket("mallory", "socket-mallory");
+		socketEvents.resumeSession(socket, data);
+		assert.deepStrictEqual(socket.emitted, [{ event: "errorOccurred", message: { message: "You are not in that room" } }]);
+	}
+});
+
+test("joining a room the player is still seated in resumes it", (t) => {
+	const room = createStoredRoom(t, "alice");
+	room.markPlayerDisconnected("alice", "socket-alice");
+
+	const socket = createSocket("alice", "socket-alice-2");
+	socketEvents.joinRoom(socket, { code: room.joinCode });
+
+	assert.strictEqual(socket.emitted[0].event, "sessionResumed");
+	assert.strictEqual(room.playersMap.get("alice").connected, true);
+	assert.strictEqual(room.getUserSocket("alice"), "socket-alice-2");
+});
+
+test("createRoom refuses a challenge dictionary that is the room's own dictionary", () => {
+	const socket = createSocket("alice", "socket-alice");
+	socketEvents.createRoom(socket, { dictionary: "enable", rules: { challengeResolution: "dictionary", challengeDictionary: "enable" } });
+
+	assert.deepStrictEqual(socket.emitted, [{ event: "errorOccurred", message: { message: "The challenge dictionary must differ from the room's dictionary" } }]);
+	assert.strictEqual(roomService.findRoomByUsername("alice"), undefined);
+});
+
+test("joinRoom refuses ranked rooms and games in progress without leaving the player's finished game", (t) => {
+	const endedRoom = createEndedRoom(t, ["bob", "erin"]);
+
+	const rankedRoom = new GameRoom("alice", roomService.generateRoomId(), "socket-alice", { ranked: true });
+	roomService.addRoom(rankedRoom);
+	t.after(() => {
+		rankedRoom.clearGameTimers();
+		roomService.removeRoom(rankedRoom.roomId);
+	});
+	assert.strictEqual(rankedRoom.joinCode, null);
+
+	const runningRoom = createStoredRoom(t, "carol");
+	runningRoom.addPlayer("dave", "socket-dave");
+	runningRoom.startGame();
+
+	const socket = createSocket("bob", "socket-bob");
+	socketEvents.joinRoom(socket, { roomId: rankedRoom.roomId });
+	socketEvents.joinRoom(socket, { code: runningRoom.joinCode });
+
+	assert.deepStrictEqual(socket.emitted.map((emit) => emit.message.message), [
+		"Ranked games can only be joined through the queue",
+		"That game has already started",
+	]);
+	assert.ok(!rankedRoom.playersMap.has("bob"));
+	assert.ok(!runningRoom.playersMap.has("bob"));
+	assert.ok(endedRoom.playersMap.has("bob"));
+});
+
+test("joinQueue lets players in a finished game queue, taking them out of it", async (t) => {
+	const getRating = ratingService.getRating;
+	ratingService.getRating = async () => ({ rating: ratingService.INITIAL_RATING });
+	t.after(() => {
+		ratingService.getRating = getRating;
+		matchmakingService.leaveQueue("bob");
+		matchmakingService.runMatchmaker();
+	});
+
+	const endedRoom = createEndedRoom(t, ["bob", "erin"]);
+	const socket = createSocket("bob", "socket-bob");
+	await socketEvents.joinQueue(socket, {});
+
+	assert.deepStrictEqual(socket.emitted.map((emit) => emit.event), ["queueJoined"]);
+	assert.ok(!endedRoom.playersMap.has("bob"));
+});
+
+test("joinQueue refuses players in a game that has not finished", async (t) => {
+	const room = createStoredRoom(t, "alice");
+	const socket = createSocket("alice", "socket-alice");
+	await socketEvents.joinQueue(socket, {});
+
+	assert.deepStrictEqual(socket.emitted, [{ event: "errorOccurred", message: { message: "You are already in a room" } }]);
+	assert.ok(room.playersMap.has("alice"));
+});
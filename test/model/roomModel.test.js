@@ -0,0 +1,696 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const GameRoom = require("../../src/model/roomModel.js");
+const matchModel = require("../../src/model/matchModel.js");
+const userModel = require("../../src/model/userModel.js");
+const ratingService = require("../../src/services/rating-service.js");
+
+// every event the room sends, socket.io itself is not needed
+const emitted = [];
+global.io = {
+	to: (channel) => ({
+		emit: (event, message) => emitted.push({ channel, event, message }),
+	}),
+	in: () => ({ socketsLeave() {} }),
+};
+
+/**
+ * Creates a practice room, so results are never saved, with a socket per player named after them.
+ *
+ * @param {Array<string>} usernames - The players, the first one is the host.
+ * @param {Object} [rules] - Rules on top of the default rules.
+ * @returns {GameRoom} The room.
+ */
+function createRoom(usernames, rules = {}) {
+	const [host, ...others] = usernames;
+	const room = new GameRoom(host, `room-${host}`, `socket-${host}`, { practice: true, rules });
+	for (const username of others) {
+		room.addPlayer(username, `socket-${username}`);
+	}
+	return room;
+}
+
+/**
+ * Gets the last message sent to a channel for an event.
+ *
+ * @param {string} channel - The room id or socket id the event was sent to.
+ * @param {string} event - The event name.
+ * @returns {Object|undefined} The message, or undefined if the event was never sent.
+ */
+function getLastEmitted(channel, event) {
+	const emit = emitted.filter((entry) => entry.channel === channel && entry.event === event).pop();
+	return emit && emit.message;
+}
+
+test("in elimination mode timeouts cost lives until one player is left standing", (t) => {
+	const room = createRoom(["alice", "bob", "carol"], { mode: "elimination", lives: 1 });
+	t.after(() => room.clearGameTimers());
+	room.startGame();
+	const [first, second, third] = room.turnOrder;
+
+	room.handleRoundTimeout();
+	assert.strictEqual(room.playersMap.get(first).lives, 0);
+	assert.strictEqual(room.playersMap.get(first).isEliminated, true);
+	assert.deepStrictEqual(room.turnOrder, [second, third]);
+	assert.strictEqual(room.currentTurn, second);
+	assert.strictEqual(getLastEmitted(room.roomId, "playerEliminated").placement, 3);
+
+	room.handleRoundTimeout();
+	assert.strictEqual(room.isGameEnded, true);
+	assert.deepStrictEqual(getLastEmitted(room.roomId, "gameEnded").winners, [third]);
+	assert.deepStrictEqual(
+		room.determineStandings().map(({ username, placement }) => ({ username, placement })),
+		[
+			{ username: third, placement: 1 },
+			{ username: second, placement: 2 },
+			{ username: first, placement: 3 },
+		]
+	);
+});
+
+test("too many invalid attempts in one turn cost a life and the turn", (t) => {
+	const room = createRoom(["alice", "bob"], { mode: "elimination", lives: 2, maxInvalidAttempts: 2 });
+	t.after(() => room.clearGameTimers());
+	room.startGame();
+
+	room.playWord("alice", "notaword");
+	assert.strictEqual(room.playersMap.get("alice").lives, 2);
+	room.playWord("alice", "notaword");
+	assert.strictEqual(room.playersMap.get("alice").lives, 1);
+	assert.strictEqual(room.currentTurn, "bob");
+});
+
+test("classic mode never takes lives", (t) => {
+	const room = createRoom(["alice", "bob"]);
+	t.after(() => room.clearGameTimers());
+	room.startGame();
+
+	assert.strictEqual(room.loseLife("alice", "Turn timed out"), false);
+	room.handleRoundTimeout();
+	assert.strictEqual(room.playersMap.get("alice").lives, room.rules.lives);
+	assert.strictEqual(room.isGameEnded, false);
+});
+
+test("a game only ends once, and only after it has started", (t) => {
+	let endedCount = 0;
+	const room = new GameRoom("alice", "room-lifecycle", "socket-alice", {
+		practice: true,
+		onGameEnded: (endedRoom, { standings }) => {
+			endedCount++;
+			assert.strictEqual(endedRoom, room);
+			assert.strictEqual(standings.length, 2);
+		},
+	});
+	t.after(() => room.clearGameTimers());
+	room.addPlayer("bob", "socket-bob");
+
+	assert.strictEqual(room.endGame(), false);
+
+	room.startGame();
+	room.playersMap.get("bob").points = 4;
+	assert.ok(room.endGame("Test over"));
+	assert.strictEqual(room.endGame("Test over again"), false);
+	assert.strictEqual(endedCount, 1);
+
+	const results = getLastEmitted(room.roomId, "gameEnded");
+	assert.strictEqual(results.reason, "Test over");
+	assert.deepStrictEqual(results.winners, ["bob"]);
+	assert.deepStrictEqual(results.playerScores, { alice: 0, bob: 4 });
+	assert.deepStrictEqual(room.roomWinnerArray, ["bob"]);
+	assert.strictEqual(room.roundTimer, null);
+});
+
+test("the room stays open for a rematch after the game ends, then closes", (t) => {
+	t.mock.timers.enable(["setTimeout"]);
+	const room = createRoom(["alice", "bob"]);
+	t.after(() => room.clearGameTimers());
+	room.startGame();
+	room.endGame("Test over");
+
+	assert.ok(room.isRoomActive);
+	assert.ok(room.restartGame());
+	assert.strictEqual(room.getPhase(), "playing");
+
+	room.endGame("Test over");
+	t.mock.timers.tick(2 * 60 * 1000);
+	assert.strictEqual(room.isRoomActive, false);
+	assert.strictEqual(getLastEmitted(room.roomId, "roomDeleted").reason, "Game ended");
+});
+
+test("deleting a room mid-game ends the game first", (t) => {
+	const room = createRoom(["alice", "bob"]);
+	t.after(() => room.clearGameTimers());
+	room.startGame();
+
+	assert.ok(room.deleteRoom("Room expired"));
+	assert.strictEqual(room.isGameEnded, true);
+	assert.strictEqual(getLastEmitted(room.roomId, "gameEnded").reason, "Room expired");
+	assert.ok(room.isRoomActive);
+});
+
+test("disconnected players keep their seat through the grace period", (t) => {
+	t.mock.timers.enable(["setTimeout"]);
+	const room = createRoom(["alice", "bob", "carol"]);
+	t.after(() => room.clearGameTimers());
+	const graceMs = room.rules.reconnectGraceSeconds * 1000;
+
+	// a socket the player has already moved on from does not count
+	assert.strictEqual(room.markPlayerDisconnected("bob", "socket-old"), false);
+
+	assert.ok(room.markPlayerDisconnected("bob", "socket-bob"));
+	assert.strictEqual(room.playersMap.get("bob").connected, false);
+	assert.ok(room.reconnectPlayer("bob", "socket-bob-2"));
+
+	assert.ok(room.markPlayerDisconnected("carol", "socket-carol"));
+	t.mock.timers.tick(graceMs);
+
+	assert.ok(room.playersMap.has("bob"));
+	assert.strictEqual(room.getUserSocket("bob"), "socket-bob-2");
+	assert.ok(!room.playersMap.has("carol"));
+	assert.strictEqual(getLastEmitted(room.roomId, "playerLeft").username, "carol");
+});
+
+test("reserved seats wait for their player to connect", (t) => {
+	const room = createRoom(["alice"], { maxPlayers: 2 });
+	t.after(() => room.clearGameTimers());
+
+	assert.ok(room.reserveSeat("bob"));
+	assert.strictEqual(room.reserveSeat("carol"), false);
+	assert.strictEqual(room.playersMap.get("bob").connected, false);
+
+	room.reconnectPlayer("bob", "socket-bob");
+	assert.strictEqual(room.playersMap.get("bob").connected, true);
+	assert.strictEqual(room.getUserSocket("bob"), "socket-bob");
+});
+
+test("every broadcast carries the next sequence number and snapshots include it", (t) => {
+	const room = createRoom(["alice", "bob"]);
+	t.after(() => room.clearGameTimers());
+	const waiting = room.getStateSnapshot();
+
+	room.broadcast("testEvent", { value: 1 });
+	assert.strictEqual(getLastEmitted(room.roomId, "testEvent").seq, waiting.seq + 1);
+	assert.strictEqual(room.getStateSnapshot().seq, waiting.seq + 1);
+});
+
+test("state snapshots follow the room from waiting to ended", (t) => {
+	const room = createRoom(["alice", "bob"]);
+	t.after(() => room.clearGameTimers());
+
+	const waiting = room.getStateSnapshot();
+	assert.strictEqual(waiting.version, 2);
+	assert.strictEqual(waiting.phase, "waiting");
+	assert.strictEqual(waiting.turnDeadline, null);
+	assert.deepStrictEqual(waiting.players.map((player) => player.username), ["alice", "bob"]);
+
+	room.startGame();
+	room.playWord("alice", "apple");
+	const playing = room.getStateSnapshot();
+	assert.strictEqual(playing.phase, "playing");
+	assert.strictEqual(playing.currentTurn, "bob");
+	assert.strictEqual(playing.lastWord, "apple");
+	assert.deepStrictEqual(playing.usedWords, ["apple"]);
+	assert.ok(playing.turnDeadline > Date.now());
+	assert.strictEqual(playing.timeRemaining, room.rules.turnTimeSeconds);
+
+	room.endGame("Test over");
+	assert.strictEqual(room.getStateSnapshot().phase, "ended");
+});
+
+test("sendStateSnapshot sends the snapshot to one player", (t) => {
+	const room = createRoom(["alice", "bob"]);
+	t.after(() => room.clearGameTimers());
+
+	assert.ok(room.sendStateSnapshot("bob"));
+	assert.strictEqual(getLastEmitted("socket-bob", "roomState").roomId, room.roomId);
+	assert.strictEqual(room.sendStateSnapshot("mallory"), false);
+});
+
+test("spectators watch without taking a turn", (t) => {
+	const room = createRoom(["alice", "bob"], { maxSpectators: 1 });
+	t.after(() => room.clearGameTimers());
+
+	assert.ok(room.addSpectator("carol", "socket-carol"));
+	assert.strictEqual(room.addSpectator("carol", "socket-carol"), false);
+	assert.strictEqual(room.addSpectator("alice", "socket-alice"), false);
+	assert.strictEqual(room.addSpectator("dave", "socket-dave"), false);
+
+	room.startGame();
+	assert.ok(!room.turnOrder.includes("carol"));
+	assert.deepStrictEqual(room.getStateSnapshot().spectators, ["carol"]);
+
+	assert.ok(room.removeSpectator("carol"));
+	assert.strictEqual(room.removeSpectator("carol"), false);
+});
+
+test("spectators can take a free seat before the game", (t) => {
+	const room = createRoom(["alice"]);
+	t.after(() => room.clearGameTimers());
+	room.addSpectator("bob", "socket-bob");
+
+	assert.ok(room.addPlayer("bob", "socket-bob"));
+	assert.ok(room.playersMap.has("bob"));
+	assert.ok(!room.spectatorsMap.has("bob"));
+});
+
+test("spectators chat in their own channel, which players cannot read", (t) => {
+	const room = createRoom(["alice", "bob"]);
+	t.after(() => room.clearGameTimers());
+	room.addSpectator("carol", "socket-carol");
+
+	room.addChatMessage("alice", "good luck");
+	room.addChatMessage("carol", "go alice");
+
+	assert.strictEqual(getLastEmitted(room.getSpectatorChannel(), "chatMessage").text, "go alice");
+	assert.deepStrictEqual(room.getChatHistory("alice").spectators, []);
+	assert.deepStrictEqual(room.getChatHistory("carol").room.map((message) => message.text), ["good luck"]);
+	assert.deepStrictEqual(room.getChatHistory("carol").spectators.map((message) => message.text), ["go alice"]);
+});
+
+test("words are only played while the game is running", (t) => {
+	const room = createRoom(["alice", "bob"]);
+	t.after(() => room.clearGameTimers());
+
+	assert.strictEqual(room.playWord("alice", "apple"), false);
+	assert.strictEqual(getLastEmitted("socket-alice", "wordPlayFailed").reason, "The game is not running");
+
+	assert.ok(room.startGame());
+	assert.strictEqual(room.playWord("alice", "apple"), true);
+	assert.strictEqual(room.lastWord, "apple");
+
+	assert.ok(room.endGame("Test over"));
+	assert.strictEqual(room.playWord("bob", "egg"), false);
+	assert.strictEqual(getLastEmitted("socket-bob", "wordPlayFailed").reason, "The game is not running");
+	assert.ok(!room.usedWordSet.has("egg"));
+});
+
+test("challenge votes are only taken while the game is running", (t) => {
+	const room = createRoom(["alice", "bob"]);
+	t.after(() => room.clearGameTimers());
+
+	assert.strictEqual(room.voteOnChallenge("bob", true), false);
+	assert.strictEqual(getLastEmitted("socket-bob", "challengeFailed").reason, "You cannot vote on this challenge");
+});
+
+test("only players and spectators who are not muted can chat", (t) => {
+	const room = createRoom(["alice", "bob"]);
+	t.after(() => room.clearGameTimers());
+	room.addSpectator("carol", "socket-carol");
+
+	assert.strictEqual(room.getChatError("alice"), null);
+	assert.strictEqual(room.getChatError("carol"), null);
+	assert.strictEqual(room.getChatError("mallory"), "You are not in this room");
+
+	room.setMuted("bob", true);
+	assert.strictEqual(room.getChatError("bob"), "You have been muted by the host");
+	assert.strictEqual(room.addChatMessage("bob", "hello").valid, false);
+	assert.ok(room.addChatMessage("carol", "hello").valid);
+	assert.strictEqual(room.chatHistory.spectators.length, 1);
+});
+
+test("bots can only be added to a room waiting for a game", (t) => {
+	const room = createRoom(["alice", "bob"], { maxPlayers: 3 });
+	const ranked = new GameRoom("carol", "room-ranked-bots", "socket-carol", { ranked: true });
+	t.after(() => {
+		room.clearGameTimers();
+		ranked.clearGameTimers();
+	});
+
+	assert.strictEqual(room.addBot("impossible"), null);
+	assert.strictEqual(ranked.addBot(), null);
+
+	const bot = room.addBot("hard");
+	assert.match(bot, /^Bot /);
+	assert.ok(room.isBot(bot));
+	assert.ok(!room.isBot("alice"));
+	assert.strictEqual(room.addBot(), null);
+
+	room.startGame();
+	room.removePlayer(bot);
+	assert.strictEqual(room.addBot(), null);
+});
+
+test("bots play a word that follows the chain on their turn", (t) => {
+	const room = createRoom(["alice"]);
+	t.after(() => room.clearGameTimers());
+	const bot = room.addBot("hard");
+	room.startGame();
+
+	assert.strictEqual(room.playBotTurn(bot), false);
+	room.playWord("alice", "apple");
+
+	assert.ok(room.playBotTurn(bot));
+	assert.ok(room.lastWord.startsWith("e"));
+	assert.strictEqual(room.currentTurn, "alice");
+	assert.ok(room.playersMap.get(bot).points > 0);
+});
+
+test("practice rooms start solo and bots do not keep a room open", (t) => {
+	const practice = createRoom(["alice"]);
+	const room = new GameRoom("bob", "room-bob-solo", "socket-bob");
+	t.after(() => {
+		practice.clearGameTimers();
+		room.clearGameTimers();
+	});
+
+	assert.ok(practice.startGame());
+	assert.strictEqual(room.startGame(), false);
+
+	room.addBot();
+	room.removePlayer("bob");
+	assert.strictEqual(room.isRoomActive, false);
+});
+
+/**
+ * Starts a game and leaves the chain on a word nothing can follow under the last three letters rule.
+ *
+ * @param {string} deadEndResolution - How the room resolves dead ends.
+ * @returns {GameRoom} The room, with alice to play and bob having played the last word.
+ */
+function createDeadEndRoom(deadEndResolution) {
+	const room = createRoom(["alice", "bob"], { chainRule: "lastThreeLetters", deadEndResolution });
+	room.startGame();
+	room.lastWord = "qqq";
+	room.lastWordPlayer = "bob";
+	return room;
+}
+
+test("a chain that can be followed is not a dead end", (t) => {
+	const room = createRoom(["alice", "bob"]);
+	t.after(() => room.clearGameTimers());
+	room.startGame();
+	room.lastWord = "apple";
+
+	assert.strictEqual(room.resolveDeadEnd(), false);
+	assert.strictEqual(room.lastWord, "apple");
+});
+
+test("dead ends restart the chain", (t) => {
+	const room = createDeadEndRoom("resetChain");
+	t.after(() => room.clearGameTimers());
+
+	assert.strictEqual(room.resolveDeadEnd(), true);
+	assert.strictEqual(room.lastWord, null);
+	assert.strictEqual(room.playersMap.get("bob").points, 0);
+	assert.strictEqual(getLastEmitted(room.roomId, "deadEnd").resolution, "resetChain");
+});
+
+test("dead ends can reward the player who set the trap", (t) => {
+	const room = createDeadEndRoom("trapBonus");
+	t.after(() => room.clearGameTimers());
+
+	assert.strictEqual(room.resolveDeadEnd(), true);
+	assert.strictEqual(room.lastWord, null);
+	assert.strictEqual(room.playersMap.get("bob").points, room.rules.trapBonus);
+});
+
+test("dead ends can end the game", (t) => {
+	const room = createDeadEndRoom("endGame");
+	t.after(() => room.clearGameTimers());
+
+	assert.strictEqual(room.resolveDeadEnd(), true);
+	assert.strictEqual(room.isGameEnded, true);
+	assert.strictEqual(getLastEmitted(room.roomId, "gameEnded").reason, "No valid words remain");
+});
+
+test("challenges with nobody to vote are checked against the authority dictionary", (t) => {
+	const room = createRoom(["alice", "bob"], { challengeDictionary: "kid-safe" });
+	t.after(() => room.clearGameTimers());
+	room.startGame();
+	room.playWord("alice", "apple");
+
+	assert.ok(room.challengeWord("bob"));
+	assert.strictEqual(room.activeChallenge, null);
+	assert.strictEqual(getLastEmitted(room.roomId, "challengeResolved").isSuccessful, false);
+	assert.strictEqual(room.playersMap.get("bob").points, -room.rules.failedChallengePenalty);
+	assert.strictEqual(room.playersMap.get("bob").challengesLost, 1);
+});
+
+test("two player challenges are settled by the authority dictionary, not the room's", (t) => {
+	const room = createRoom(["alice", "bob"], { challengeDictionary: "animals" });
+	t.after(() => room.clearGameTimers());
+	room.startGame();
+	room.playWord("alice", "apple");
+
+	assert.ok(room.challengeWord("bob"));
+	assert.strictEqual(getLastEmitted(room.roomId, "challengeResolved").isSuccessful, true);
+	assert.strictEqual(room.lastPlay.isReversed, true);
+	assert.strictEqual(room.playersMap.get("bob").challengesWon, 1);
+});
+
+test("two player challenges are refused without an authority dictionary", (t) => {
+	for (const challengeDictionary of [null, "enable"]) {
+		const room = createRoom(["alice", "bob"], { challengeDictionary });
+		t.after(() => room.clearGameTimers());
+		room.startGame();
+		room.playWord("alice", "apple");
+
+		assert.strictEqual(room.challengeWord("bob"), false);
+		assert.strictEqual(getLastEmitted("socket-bob", "challengeFailed").reason, "No dictionary can settle challenges in this room");
+		assert.strictEqual(room.lastPlay.isChallenged, false);
+		assert.strictEqual(room.playersMap.get("bob").points, 0);
+	}
+});
+
+test("bots cannot vote on challenges", (t) => {
+	const room = createRoom(["alice", "bob"], { challengeDictionary: "kid-safe" });
+	t.after(() => room.clearGameTimers());
+	assert.ok(room.addBot());
+	room.startGame();
+	room.playWord("alice", "apple");
+
+	assert.ok(room.challengeWord("bob"));
+	assert.strictEqual(room.activeChallenge, null);
+	assert.match(getLastEmitted(room.roomId, "challengeResolved").reason, /^Checked against/);
+});
+
+test("only players other than the challenger and the word's player vote", (t) => {
+	const room = createRoom(["alice", "bob", "carol"]);
+	t.after(() => room.clearGameTimers());
+	room.startGame();
+	room.playWord("alice", "apple");
+	const points = room.playersMap.get("alice").points;
+
+	assert.ok(room.challengeWord("bob"));
+	assert.deepStrictEqual(room.activeChallenge.voters, ["carol"]);
+	assert.strictEqual(room.voteOnChallenge("alice", false), false);
+	assert.strictEqual(room.voteOnChallenge("bob", true), false);
+
+	assert.ok(room.voteOnChallenge("carol", true));
+	assert.strictEqual(room.activeChallenge, null);
+	assert.strictEqual(room.lastPlay.isReversed, true);
+	assert.strictEqual(room.playersMap.get("alice").points, 0);
+	assert.ok(points > 0);
+	assert.strictEqual(room.playersMap.get("bob").challengesWon, 1);
+});
+
+test("challenges nobody votes on keep the word", (t) => {
+	const room = createRoom(["alice", "bob", "carol"]);
+	t.after(() => room.clearGameTimers());
+	room.startGame();
+	room.playWord("alice", "apple");
+
+	room.challengeWord("bob");
+	room.closeChallengeVote();
+
+	assert.strictEqual(room.lastPlay.isReversed, false);
+	assert.strictEqual(getLastEmitted(room.roomId, "challengeResolved").reason, "0 of 0 votes against the word");
+});
+
+test("players who left are ranked below everyone still playing, the last to leave highest", (t) => {
+	const room = createRoom(["alice", "bob", "carol", "dave"]);
+	t.after(() => room.clearGameTimers());
+	room.startGame();
+	room.playersMap.get("bob").points = 12;
+	room.playersMap.get("carol").points = 30;
+	room.playersMap.get("dave").points = 20;
+
+	room.removePlayer("carol");
+	room.removePlayer("dave");
+	assert.strictEqual(room.isGameEnded, false);
+
+	const standings = room.determineStandings().map(({ username, points, placement, hasLeft }) => ({ username, points, placement, hasLeft }));
+	assert.deepStrictEqual(standings, [
+		{ username: "bob", points: 12, placement: 1, hasLeft: false },
+		{ username: "alice", points: 0, placement: 2, hasLeft: false },
+		{ username: "dave", points: 20, placement: 3, hasLeft: true },
+		{ username: "carol", points: 30, placement: 4, hasLeft: true },
+	]);
+});
+
+test("players tied on points share a placement", (t) => {
+	const room = createRoom(["alice", "bob", "carol"]);
+	t.after(() => room.clearGameTimers());
+	room.startGame();
+	room.playersMap.get("alice").points = 5;
+	room.playersMap.get("bob").points = 5;
+
+	assert.deepStrictEqual(room.determineStandings().map((standing) => standing.placement), [1, 1, 3]);
+	assert.deepStrictEqual(room.determineWinner().sort(), ["alice", "bob"]);
+});
+
+test("players cannot join a game in progress, and only the starting players are ranked", (t) => {
+	const room = createRoom(["alice", "bob"]);
+	t.after(() => room.clearGameTimers());
+	room.startGame();
+	room.playersMap.get("alice").points = -5;
+	room.playersMap.get("bob").points = -5;
+
+	assert.strictEqual(room.addPlayer("eve", "socket-eve"), false);
+	assert.ok(!room.playersMap.has("eve"));
+
+	// even a player who got in some other way is not ranked
+	room.playersMap.set("eve", room.createPlayerData("socket-eve"));
+	const standings = room.determineStandings().map(({ username, placement }) => ({ username, placement }));
+	assert.deepStrictEqual(standings, [
+		{ username: "alice", placement: 1 },
+		{ username: "bob", placement: 1 },
+	]);
+	assert.deepStrictEqual(room.determineWinner().sort(), ["alice", "bob"]);
+});
+
+test("the match is saved with every participant in one call", async (t) => {
+	const saveMatch = matchModel.saveMatch;
+	let saved = null;
+	matchModel.saveMatch = async (data) => {
+		saved = data;
+		return 1;
+	};
+
+	const room = createRoom(["alice", "bob", "carol"]);
+	t.after(() => {
+		matchModel.saveMatch = saveMatch;
+		room.clearGameTimers();
+	});
+	room.startGame();
+	room.playWord("alice", "apple");
+	room.removePlayer("carol");
+
+	assert.strictEqual(await room.saveMatch(room.determineStandings(), "Test over"), 1);
+	assert.strictEqual(saved.match.endReason, "Test over");
+	assert.deepStrictEqual(saved.participants.map((participant) => participant.username).sort(), ["alice", "bob", "carol"]);
+	assert.strictEqual(saved.participants.find((participant) => participant.username === "carol").placement, 3);
+	assert.strictEqual(saved.wordPlays.length, 1);
+	assert.ok(saved.events.length > 0);
+});
+
+test("every human who took part is rated, including players who left", async (t) => {
+	const original = {
+		incrementUserStatsByUsername: userModel.incrementUserStatsByUsername,
+		saveMatch: matchModel.saveMatch,
+		updateRatings: ratingService.updateRatings,
+	};
+
+	let ratedStandings = null;
+	userModel.incrementUserStatsByUsername = async () => {};
+	matchModel.saveMatch = async () => 1;
+	ratingService.updateRatings = async (standings) => {
+		ratedStandings = standings;
+		return new Map();
+	};
+
+	const room = new GameRoom("alice", "room-rated", "socket-alice");
+	t.after(() => {
+		userModel.incrementUserStatsByUsername = original.incrementUserStatsByUsername;
+		matchModel.saveMatch = original.saveMatch;
+		ratingService.updateRatings = original.updateRatings;
+		room.clearGameTimers();
+	});
+	room.addPlayer("bob", "socket-bob");
+	room.addPlayer("carol", "socket-carol");
+	room.addBot();
+	room.startGame();
+	room.removePlayer("carol");
+
+	assert.strictEqual(await room.persistResults(room.determineStandings(), "Test over"), 1);
+	assert.deepStrictEqual(ratedStandings.map((standing) => standing.username).sort(), ["alice", "bob", "carol"]);
+	assert.strictEqual(ratedStandings.find((standing) => standing.username === "carol").hasLeft, true);
+});
+
+test("players who were not in the match when it started are not rated", async (t) => {
+	const original = {
+		incrementUserStatsByUsername: userModel.incrementUserStatsByUsername,
+		saveMatch: matchModel.saveMatch,
+		updateRatings: ratingService.updateRatings,
+	};
+
+	let ratedStandings = null;
+	userModel.incrementUserStatsByUsername = async () => {};
+	matchModel.saveMatch = async () => 1;
+	ratingService.updateRatings = async (standings) => {
+		ratedStandings = standings;
+		return new Map(standings.map((standing) => [standing.username, { ratingBefore: 1200, ratingAfter: 1200, change: 0 }]));
+	};
+
+	const room = new GameRoom("alice", "room-latecomer", "socket-alice");
+	t.after(() => {
+		userModel.incrementUserStatsByUsername = original.incrementUserStatsByUsername;
+		matchModel.saveMatch = original.saveMatch;
+		ratingService.updateRatings = original.updateRatings;
+		room.clearGameTimers();
+	});
+	room.addPlayer("bob", "socket-bob");
+	room.startGame();
+	room.playersMap.get("alice").points = -5;
+	room.playersMap.get("bob").points = -5;
+	room.addPlayer("eve", "socket-eve");
+
+	const eve = { username: "eve", points: 0, placement: 1, hasLeft: false };
+	assert.strictEqual(await room.persistResults([eve, ...room.determineStandings()], "Test over"), 1);
+	assert.deepStrictEqual(ratedStandings.map((standing) => standing.username).sort(), ["alice", "bob"]);
+	assert.ok(!("eve" in getLastEmitted(room.roomId, "ratingsUpdated").ratings));
+});
+
+test("ranked rooms cannot be locked, rematched or have players kicked", (t) => {
+	const room = new GameRoom("alice", "room-ranked", "socket-alice", { ranked: true });
+	t.after(() => room.clearGameTimers());
+	room.addPlayer("bob", "socket-bob");
+	room.addSpectator("carol", "socket-carol");
+
+	assert.strictEqual(room.setLocked(true), false);
+	assert.strictEqual(room.isLocked, false);
+	assert.strictEqual(room.kickUser("bob"), false);
+	assert.strictEqual(room.banUser("bob"), false);
+	assert.ok(room.playersMap.has("bob"));
+
+	// spectators hold no ranked seat
+	assert.ok(room.kickUser("carol"));
+
+	// ranked results are not what is under test here
+	room.persistResults = async () => null;
+	room.startGame();
+	room.endGame("Test over");
+	assert.strictEqual(room.restartGame(), false);
+});
+
+test("ranked games give nobody the first turn and take no players once started", (t) => {
+	const room = new GameRoom("alice", "room-ranked-order", "socket-alice", { ranked: true });
+	t.after(() => room.clearGameTimers());
+	room.addPlayer("bob", "socket-bob");
+
+	const firstTurns = new Set();
+	for (let i = 0; i < 50 && firstTurns.size < 2; i++) {
+		room.initializeTurnOrder();
+		firstTurns.add(room.currentTurn);
+	}
+	assert.deepStrictEqual([...firstTurns].sort(), ["alice", "bob"]);
+
+	room.persistResults = async () => null;
+	room.startGame();
+	room.endGame("Test over");
+	assert.strictEqual(room.addPlayer("carol", "socket-carol"), false);
+	assert.ok(!room.playersMap.has("carol"));
+});
+
+test("submissions that cannot be words are turned away before they are recorded", (t) => {
+	const room = createRoom(["alice", "bob"]);
+	t.after(() => room.clearGameTimers());
+	room.startGame();
+	const eventCount = room.replayEvents.length;
+
+	assert.strictEqual(room.playWord("alice", { word: "apple" }), false);
+	assert.strictEqual(room.playWord("alice", "a".repeat(1000)), false);
+	assert.strictEqual(room.replayEvents.length, eventCount);
+	assert.strictEqual(room.playersMap.get("alice").points, 0);
+});
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const GameRoom = require("../../src/model/roomModel.js");
+const botService = require("../../src/services/bot-service.js");
+
+// bots read the room but never need socket.io
+global.io = {
+	to: () => ({ emit() {} }),
+	in: () => ({ socketsLeave() {} }),
+};
+
+/**
+ * Creates a practice room with a chain that has already started.
+ *
+ * @param {string} lastWord - The last word played.
+ * @param {Object} [rules] - Rules on top of the default rules.
+ * @returns {GameRoom} The room.
+ */
+function createRoomAfter(lastWord, rules = {}) {
+	const room = new GameRoom("alice", "room-bots", "socket-alice", { practice: true, rules });
+	room.clearGameTimers();
+	room.addUsedWords(lastWord);
+	return room;
+}
+
+test("difficulties are checked against the known levels only", () => {
+	assert.deepStrictEqual(botService.listDifficulties(), ["easy", "medium", "hard"]);
+	assert.ok(botService.isDifficulty(botService.DEFAULT_DIFFICULTY));
+	assert.ok(!botService.isDifficulty("impossible"));
+	assert.ok(!botService.isDifficulty("toString"));
+});
+
+test("createBotName never picks a name that is taken", () => {
+	const taken = new Set();
+	for (let i = 0; i < 20; i++) {
+		const name = botService.createBotName((username) => taken.has(username));
+		assert.ok(!taken.has(name));
+		taken.add(name);
+	}
+});
+
+test("getThinkTimeMs stays inside the turn", () => {
+	for (const difficulty of botService.listDifficulties()) {
+		for (let i = 0; i < 20; i++) {
+			const delayMs = botService.getThinkTimeMs(difficulty, 5000);
+			assert.ok(delayMs >= 0 && delayMs <= 4000);
+		}
+	}
+	assert.strictEqual(botService.getThinkTimeMs("hard", 500), 0);
+	assert.strictEqual(botService.shouldTimeOut("hard"), false);
+});
+
+test("chooseWord plays unused words that follow the chain", () => {
+	for (const difficulty of botService.listDifficulties()) {
+		const room = createRoomAfter("apple");
+		const word = botService.chooseWord(room, difficulty);
+
+		assert.ok(word.startsWith("e"));
+		assert.ok(room.isValidWord(word));
+		assert.ok(!room.isWordUsed(word));
+	}
+});
+
+test("hard bots leave the fewest continuations", () => {
+	// few enough words start with "ple" for the bot to weigh every one of them
+	const room = createRoomAfter("apple", { chainRule: "lastThreeLetters" });
+	const getContinuations = (word) => room.countUnusedWordsWithPrefix(room.chainRule.getPrefix(word))
+		- (word.startsWith(room.chainRule.getPrefix(word)) ? 1 : 0);
+
+	const word = botService.chooseWord(room, "hard");
+	const fewest = room.dictionary.getWordsWithPrefix("ple")
+		.reduce((min, candidate) => Math.min(min, getContinuations(candidate)), Infinity);
+	assert.strictEqual(getContinuations(word), fewest);
+});
+
+test("chooseWord gives up at a dead end", () => {
+	const room = createRoomAfter("qqq", { chainRule: "lastThreeLetters" });
+	assert.strictEqual(botService.chooseWord(room, "medium"), null);
+});
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const chainRuleService = require("../../src/services/chain-rule-service.js");
+
+test("getLastSyllable approximates the last syllable", () => {
+	assert.strictEqual(chainRuleService.getLastSyllable("garden"), "den");
+	assert.strictEqual(chainRuleService.getLastSyllable("table"), "ble");
+	assert.strictEqual(chainRuleService.getLastSyllable("stone"), "stone");
+	assert.strictEqual(chainRuleService.getLastSyllable("cat"), "cat");
+});
+
+test("last letters rules match the end of the previous word", () => {
+	const lastLetter = chainRuleService.createChainRule({ chainRule: "lastLetter" });
+	assert.ok(lastLetter.validate(null, "apple").valid);
+	assert.ok(lastLetter.validate("apple", "egg").valid);
+	assert.strictEqual(lastLetter.validate("apple", "grape").reason, "Word must start with 'e'");
+	assert.strictEqual(lastLetter.getPrefix("apple"), "e");
+
+	const lastTwoLetters = chainRuleService.createChainRule({ chainRule: "lastTwoLetters" });
+	assert.ok(lastTwoLetters.validate("garden", "entry").valid);
+	assert.ok(!lastTwoLetters.validate("garden", "night").valid);
+	assert.strictEqual(lastTwoLetters.getPrefix("garden"), "en");
+});
+
+test("last syllable and contains letter rules", () => {
+	const lastSyllable = chainRuleService.createChainRule({ chainRule: "lastSyllable" });
+	assert.ok(lastSyllable.validate("garden", "dentist").valid);
+	assert.strictEqual(lastSyllable.validate("garden", "night").reason, "Word must start with 'den'");
+
+	const containsLetter = chainRuleService.createChainRule({ chainRule: "containsLetter" });
+	assert.strictEqual(containsLetter.getPrefix("apple"), "");
+	assert.ok(containsLetter.validate("apple", "tree").valid);
+	assert.strictEqual(containsLetter.validate("apple", "dog").reason, "Word must contain 'e'");
+});
+
+test("category rule needs words from the category", () => {
+	const category = chainRuleService.listCategories()[0];
+	assert.ok(category, "a themed dictionary is registered");
+
+	const rule = chainRuleService.createChainRule({ chainRule: "category", chainCategory: category });
+	assert.match(rule.validate(null, "zzzz").reason, /Word must be one of the/);
+});
+
+test("createChainRule throws for unknown rules and registerChainRule adds rules", () => {
+	assert.throws(() => chainRuleService.createChainRule({ chainRule: "rhymes" }), /Chain rule rhymes does not exist/);
+
+	chainRuleService.registerChainRule("anything", () => ({
+		id: "anything",
+		description: "Any word",
+		getPrefix: () => "",
+		validate: () => ({ valid: true, reason: "Valid chain" }),
+	}));
+	assert.ok(chainRuleService.listChainRules().includes("anything"));
+	assert.strictEqual(chainRuleService.createChainRule({ chainRule: "anything" }).id, "anything");
+});
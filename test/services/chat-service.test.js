@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const chatService = require("../../src/services/chat-service.js");
+
+test("prepareMessage rejects empty and overlong messages", () => {
+	assert.strictEqual(chatService.prepareMessage("alice", "   ").reason, "Message cannot be empty");
+	assert.strictEqual(chatService.prepareMessage("alice", 42).reason, "Message cannot be empty");
+	assert.match(chatService.prepareMessage("alice", "a".repeat(chatService.MAX_MESSAGE_LENGTH + 1)).reason, /cannot be longer than/);
+});
+
+test("prepareMessage masks blocked words", () => {
+	const result = chatService.prepareMessage("bob", "  what an ass  ");
+	assert.ok(result.valid);
+	assert.strictEqual(result.text, "what an ***");
+});
+
+test("prepareMessage rate limits each user until their window has passed", (t) => {
+	t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+
+	for (let i = 0; i < 5; i++) {
+		assert.ok(chatService.prepareMessage("carol", `message ${i}`).valid);
+	}
+	assert.strictEqual(chatService.prepareMessage("carol", "one more").reason, "You are sending messages too quickly");
+	assert.ok(chatService.prepareMessage("dave", "hello").valid);
+
+	t.mock.timers.tick(9 * 1000);
+	assert.strictEqual(chatService.prepareMessage("carol", "still here").reason, "You are sending messages too quickly");
+
+	t.mock.timers.tick(1000);
+	assert.ok(chatService.prepareMessage("carol", "back again").valid);
+});
+
+test("setChatFilter replaces the filter until it is reset", (t) => {
+	t.after(() => chatService.setChatFilter(null));
+
+	chatService.setChatFilter((text) => text.toUpperCase());
+	assert.strictEqual(chatService.prepareMessage("erin", "hello").text, "HELLO");
+
+	chatService.setChatFilter(null);
+	assert.strictEqual(chatService.prepareMessage("erin", "hello").text, "hello");
+});
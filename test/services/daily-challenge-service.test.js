@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const dailyChallengeModel = require("../../src/model/dailyChallengeModel.js");
+const dailyChallengeService = require("../../src/services/daily-challenge-service.js");
+
+// every event the service sends, socket.io itself is not needed
+const emitted = [];
+global.io = {
+	to: (channel) => ({
+		emit: (event, message) => emitted.push({ channel, event, message }),
+	}),
+	in: () => ({ socketsLeave() {} }),
+};
+
+test("getDateKey and isDateKey use YYYY-MM-DD days", () => {
+	assert.strictEqual(dailyChallengeService.getDateKey(new Date(2024, 1, 9, 23, 59)), "2024-02-09");
+
+	assert.ok(dailyChallengeService.isDateKey("2024-02-29"));
+	assert.ok(!dailyChallengeService.isDateKey("2023-02-29"));
+	assert.ok(!dailyChallengeService.isDateKey("2024-2-9"));
+	assert.ok(!dailyChallengeService.isDateKey(20240209));
+});
+
+test("getDailyChallenge builds a playable challenge within its constraints", () => {
+	for (const date of ["2024-01-01", "2024-01-02", "2024-01-03", "2024-01-04"]) {
+		const challenge = dailyChallengeService.getDailyChallenge(date);
+		const { timeLimitSeconds } = dailyChallengeService.CHALLENGE_TYPES[challenge.type];
+
+		assert.strictEqual(challenge.date, date);
+		assert.strictEqual(challenge.timeLimitSeconds, timeLimitSeconds);
+		assert.match(challenge.startingWord, /^[a-z]{4,6}$/);
+		assert.ok(challenge.startingWord.length >= challenge.minWordLength);
+		if (challenge.targetLetter) {
+			assert.ok(!challenge.startingWord.endsWith(challenge.targetLetter));
+		}
+		assert.ok(Object.isFrozen(challenge));
+	}
+});
+
+test("getDailyChallenge gives the same challenge for a day every time the server starts", () => {
+	const challenge = dailyChallengeService.getDailyChallenge("2024-03-15");
+
+	// a fresh copy of the service has no cached challenges
+	const servicePath = require.resolve("../../src/services/daily-challenge-service.js");
+	delete require.cache[servicePath];
+	const restartedService = require(servicePath);
+
+	assert.deepStrictEqual(restartedService.getDailyChallenge("2024-03-15"), challenge);
+});
+
+test("an attempt checks every word and reports the result when it ends", async (t) => {
+	const original = { ...dailyChallengeModel };
+	t.after(() => Object.assign(dailyChallengeModel, original));
+
+	let finished = null;
+	dailyChallengeModel.createAttempt = async () => 1;
+	dailyChallengeModel.finishAttempt = async (attempt) => {
+		finished = attempt;
+	};
+
+	const started = await dailyChallengeService.startAttempt("alice", "socket-alice");
+	assert.ok(started.valid);
+	assert.strictEqual(started.state.lastWord, started.state.challenge.startingWord);
+
+	assert.strictEqual(dailyChallengeService.submitWord("alice", ["apple"]).reason, "Not a valid word");
+	assert.strictEqual(dailyChallengeService.submitWord("alice", "a".repeat(1000)).reason, "Not a valid word");
+
+	const submitted = dailyChallengeService.submitWord("alice", "notaword");
+	assert.strictEqual(submitted.reason, "Not a valid word");
+	assert.deepStrictEqual(submitted.state.words, []);
+
+	assert.ok(dailyChallengeService.endAttempt("alice"));
+	assert.strictEqual(dailyChallengeService.endAttempt("alice"), false);
+	assert.strictEqual(finished.id, 1);
+	assert.strictEqual(finished.reason, "Ended by the player");
+
+	const ended = emitted.find((entry) => entry.channel === "socket-alice" && entry.event === "dailyChallengeEnded");
+	assert.strictEqual(ended.message.score, 0);
+});
+
+test("getDailyChallenge keeps only the latest challenges, rebuilding older ones the same", () => {
+	const first = dailyChallengeService.getDailyChallenge("2023-06-01");
+	for (let day = 2; day <= 8; day++) {
+		dailyChallengeService.getDailyChallenge(`2023-06-0${day}`);
+	}
+
+	const latest = dailyChallengeService.getDailyChallenge("2023-06-08");
+	assert.strictEqual(dailyChallengeService.getDailyChallenge("2023-06-08"), latest);
+
+	const rebuilt = dailyChallengeService.getDailyChallenge("2023-06-01");
+	assert.notStrictEqual(rebuilt, first);
+	assert.deepStrictEqual(rebuilt, first);
+});
+
+test("getDailyLeaderboard only has today and past days someone played", async (t) => {
+	const original = { ...dailyChallengeModel };
+	t.after(() => Object.assign(dailyChallengeModel, original));
+
+	const playedDays = ["2024-01-02"];
+	const rankedDays = [];
+	dailyChallengeModel.hasAttempts = async ({ challengeDate }) => playedDays.includes(challengeDate);
+	dailyChallengeModel.getDailyRankings = async ({ challengeDate }) => {
+		rankedDays.push(challengeDate);
+		return [
+			{ username: "alice", score: 4, durationMs: 1000 },
+			{ username: "bob", score: 4, durationMs: 1000 },
+		];
+	};
+
+	const tomorrow = new Date();
+	tomorrow.setDate(tomorrow.getDate() + 1);
+	assert.strictEqual(await dailyChallengeService.getDailyLeaderboard({ date: dailyChallengeService.getDateKey(tomorrow) }), null);
+	assert.strictEqual(await dailyChallengeService.getDailyLeaderboard({ date: "2024-01-01" }), null);
+	assert.deepStrictEqual(rankedDays, []);
+
+	const played = await dailyChallengeService.getDailyLeaderboard({ date: "2024-01-02" });
+	assert.strictEqual(played.challenge.date, "2024-01-02");
+	assert.deepStrictEqual(played.entries.map((entry) => entry.rank), [1, 1]);
+
+	// today's challenge can be played, so it always has a leaderboard
+	playedDays.length = 0;
+	const today = await dailyChallengeService.getDailyLeaderboard({ date: dailyChallengeService.getDateKey() });
+	assert.strictEqual(today.challenge.date, dailyChallengeService.getDateKey());
+	assert.deepStrictEqual(rankedDays, ["2024-01-02", dailyChallengeService.getDateKey()]);
+});
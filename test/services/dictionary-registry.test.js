@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const dictionaryService = require("../../src/services/dictionary-service.js");
+
+test("loadDictionaries registers and loads every dictionary in the directory", () => {
+	const dictionaries = dictionaryService.loadDictionaries();
+	const ids = dictionaries.map((dictionary) => dictionary.id);
+
+	for (const id of ["enable", "kid-safe", "animals", "foods", "spanish"]) {
+		assert.ok(ids.includes(id), `${id} is registered`);
+		assert.ok(dictionaryService.hasDictionary(id));
+	}
+	assert.ok(!dictionaryService.hasDictionary("klingon"));
+	assert.strictEqual(dictionaries.find((dictionary) => dictionary.id === "spanish").language, "es");
+	assert.strictEqual(dictionaries.find((dictionary) => dictionary.id === "animals").theme, "animals");
+});
+
+test("getDictionary returns the shared dictionary and rejects unknown ids", () => {
+	assert.strictEqual(dictionaryService.getDictionary(), dictionaryService.getDictionary("enable"));
+	assert.throws(() => dictionaryService.getDictionary("klingon"), /does not exist/);
+});
+
+test("the kid safe list is ENABLE without the blocklist", () => {
+	const enable = dictionaryService.getDictionary("enable");
+	const kidSafe = dictionaryService.getDictionary("kid-safe");
+	const blocked = dictionaryService.readWordList("blocklist.txt")
+		.map((word) => word.trim())
+		.filter((word) => word && enable.has(word));
+
+	assert.ok(blocked.length > 0);
+	for (const word of blocked) assert.ok(!kidSafe.has(word), `${word} is blocked`);
+	assert.strictEqual(kidSafe.size, enable.size - blocked.length);
+});
+
+test("package word lists are loaded, accents included", () => {
+	const spanish = dictionaryService.getDictionary("spanish");
+
+	assert.ok(spanish.has("perro"));
+	assert.ok(spanish.has("ñandu"));
+	assert.ok(spanish.countWordsWithPrefix("ñ") > 0);
+});
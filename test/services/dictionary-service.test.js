@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { Dictionary, RemainingWordIndex } = require("../../src/services/dictionary-service.js");
+
+const WORDS = ["Apple", "apricot", "banana", "band", "bandana", "cherry", "  ", "band"];
+
+test("Dictionary normalises, dedupes and sorts its words", () => {
+	const dictionary = new Dictionary(WORDS, { id: "test" });
+
+	assert.strictEqual(dictionary.id, "test");
+	assert.strictEqual(dictionary.size, 6);
+	assert.deepStrictEqual(dictionary.sortedWords, ["apple", "apricot", "banana", "band", "bandana", "cherry"]);
+	assert.ok(dictionary.has(" APPLE "));
+	assert.ok(!dictionary.has("grape"));
+});
+
+test("Dictionary answers prefix queries", () => {
+	const dictionary = new Dictionary(WORDS);
+
+	assert.deepStrictEqual(dictionary.getWordsWithPrefix("ban"), ["banana", "band", "bandana"]);
+	assert.deepStrictEqual(dictionary.getWordsWithPrefix("band"), ["band", "bandana"]);
+	assert.deepStrictEqual(dictionary.getWordsWithPrefix("A"), ["apple", "apricot"]);
+	assert.deepStrictEqual(dictionary.getWordsWithPrefix("z"), []);
+	assert.deepStrictEqual(dictionary.getWordsWithPrefix("bx"), []);
+	assert.strictEqual(dictionary.countWordsWithPrefix(""), 6);
+	assert.strictEqual(dictionary.countWordsWithPrefix("c"), 1);
+	assert.strictEqual(dictionary.countUnusedWordsWithPrefix("ban", new Set(["band", "grape"])), 2);
+});
+
+test("RemainingWordIndex counts and finds unused words", () => {
+	const dictionary = new Dictionary(WORDS);
+	const index = new RemainingWordIndex(dictionary);
+
+	index.markUsed("Band");
+	index.markUsed("grape"); // not in the dictionary, ignored
+
+	assert.ok(index.isUsed("band"));
+	assert.strictEqual(index.countUnusedWithPrefix(""), 5);
+	assert.strictEqual(index.countUnusedWithPrefix("b"), 2);
+	assert.strictEqual(index.countUnusedWithPrefix("band"), 1);
+	assert.strictEqual(index.findUnusedWord("band"), "bandana");
+	assert.strictEqual(index.findUnusedWord("b", (word) => word.length === 4), null);
+
+	index.markUsed("bandana");
+	index.markUsed("banana");
+	assert.strictEqual(index.findUnusedWord("b"), null);
+
+	index.reset();
+	assert.strictEqual(index.countUnusedWithPrefix("b"), 3);
+});
@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const joinCodeService = require("../../src/services/join-code-service.js");
+
+test("issueCode gives each room one readable code", () => {
+	const code = joinCodeService.issueCode("room-1");
+	assert.match(code, /^[A-HJKMNP-Z2-9]{5}$/);
+	assert.strictEqual(joinCodeService.issueCode("room-1"), code);
+	assert.notStrictEqual(joinCodeService.issueCode("room-2"), code);
+});
+
+test("resolveCode accepts codes as typed by users", () => {
+	const code = joinCodeService.issueCode("room-3");
+	const typed = `${code.slice(0, 3)} ${code.slice(3)}`.toLowerCase();
+
+	assert.strictEqual(joinCodeService.resolveCode(code), "room-3");
+	assert.strictEqual(joinCodeService.resolveCode(typed), "room-3");
+	assert.strictEqual(joinCodeService.resolveCode(`${code.slice(0, 2)}-${code.slice(2)}`), "room-3");
+});
+
+test("releaseCode expires the code", () => {
+	const code = joinCodeService.issueCode("room-4");
+
+	assert.strictEqual(joinCodeService.releaseCode("room-4"), true);
+	assert.strictEqual(joinCodeService.resolveCode(code), undefined);
+	assert.strictEqual(joinCodeService.releaseCode("room-4"), false);
+});
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const leaderboardModel = require("../../src/model/leaderboardModel.js");
+const leaderboardService = require("../../src/services/leaderboard-service.js");
+
+test("getQueryError checks the metric and window", () => {
+	assert.strictEqual(leaderboardService.getQueryError("wins", "weekly"), null);
+	assert.match(leaderboardService.getQueryError("losses", "weekly"), /Metric must be one of/);
+	assert.match(leaderboardService.getQueryError("wins", "daily"), /Window must be one of/);
+	assert.strictEqual(leaderboardService.getQueryError("rating", "monthly"), "Ratings only have an all-time leaderboard");
+});
+
+test("getPeriodRange covers the week from Monday and the calendar month", () => {
+	// a Wednesday
+	const date = new Date(2024, 4, 15, 13, 30);
+
+	assert.deepStrictEqual(leaderboardService.getPeriodRange("weekly", date), {
+		from: new Date(2024, 4, 13),
+		to: new Date(2024, 4, 20),
+	});
+	assert.deepStrictEqual(leaderboardService.getPeriodRange("monthly", date), {
+		from: new Date(2024, 4, 1),
+		to: new Date(2024, 5, 1),
+	});
+
+	// Sunday still belongs to the week that started on the Monday before
+	assert.deepStrictEqual(leaderboardService.getPeriodRange("weekly", new Date(2024, 4, 19)).from, new Date(2024, 4, 13));
+});
+
+test("getEndedPeriodStarts lists every ended period up to the current one", () => {
+	const now = new Date(2024, 4, 15);
+
+	assert.deepStrictEqual(leaderboardService.getEndedPeriodStarts("monthly", new Date(2024, 1, 20), now), [
+		new Date(2024, 1, 1),
+		new Date(2024, 2, 1),
+		new Date(2024, 3, 1),
+	]);
+	assert.deepStrictEqual(leaderboardService.getEndedPeriodStarts("weekly", new Date(2024, 4, 1), now), [
+		new Date(2024, 3, 29),
+		new Date(2024, 4, 6),
+	]);
+	assert.deepStrictEqual(leaderboardService.getEndedPeriodStarts("monthly", now, now), []);
+});
+
+test("archiveEndedPeriods archives every missed period once, leaving bot matches out of the win boards", async (t) => {
+	const original = { ...leaderboardModel };
+	t.after(() => Object.assign(leaderboardModel, original));
+
+	const firstMatch = new Date();
+	firstMatch.setDate(firstMatch.getDate() - 40);
+
+	const archived = [];
+	const rankingQueries = [];
+	leaderboardModel.getLatestArchivedPeriodStart = async () => null;
+	leaderboardModel.getFirstMatchEndedAt = async () => firstMatch;
+	leaderboardModel.hasArchive = async () => false;
+	leaderboardModel.getRankings = async (query) => {
+		rankingQueries.push(query);
+		return [];
+	};
+	leaderboardModel.archiveRankings = async (archive) => {
+		archived.push(archive);
+	};
+
+	await leaderboardService.archiveEndedPeriods();
+
+	const periodCount = leaderboardService.getEndedPeriodStarts("monthly", firstMatch).length
+		+ leaderboardService.getEndedPeriodStarts("weekly", firstMatch).length;
+	assert.ok(periodCount > 0);
+	assert.strictEqual(archived.length, periodCount * 4);
+
+	for (const query of rankingQueries) {
+		assert.strictEqual(query.excludeBotMatches, query.metric === "wins" || query.metric === "winRate");
+	}
+
+	// nothing else has ended since
+	await leaderboardService.archiveEndedPeriods();
+	assert.strictEqual(archived.length, periodCount * 4);
+});
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const GameRoom = require("../../src/model/roomModel.js");
+const roomService = require("../../src/services/room-service.js");
+const lobbyService = require("../../src/services/lobby-service.js");
+
+// every event the lobby sends, socket.io itself is not needed
+const emitted = [];
+global.io = {
+	to: (channel) => ({
+		emit: (event, message) => emitted.push({ channel, event, message }),
+	}),
+	in: () => ({ socketsLeave() {} }),
+};
+
+/**
+ * Creates a room and adds it to the store.
+ *
+ * @param {string} host - The username of the host.
+ * @param {Object} [options] - The room options.
+ * @returns {GameRoom} The room.
+ */
+function createStoredRoom(host, options = {}) {
+	const room = new GameRoom(host, roomService.generateRoomId(), `socket-${host}`, options);
+	roomService.addRoom(room);
+	return room;
+}
+
+test("listRooms lists active public rooms only", (t) => {
+	const publicRoom = createStoredRoom("alice", { rules: { maxPlayers: 2 } });
+	const privateRoom = createStoredRoom("bob", { visibility: "private" });
+	const closedRoom = createStoredRoom("carol");
+	closedRoom.isRoomActive = false;
+	t.after(() => {
+		for (const room of [publicRoom, privateRoom, closedRoom]) {
+			room.clearGameTimers();
+			roomService.removeRoom(room.roomId);
+		}
+	});
+
+	const rooms = lobbyService.listRooms();
+	assert.deepStrictEqual(rooms.map((room) => room.roomId), [publicRoom.roomId]);
+	assert.strictEqual(rooms[0].host, "alice");
+	assert.strictEqual(rooms[0].joinCode, publicRoom.joinCode);
+	assert.strictEqual(rooms[0].playerCount, 1);
+	assert.strictEqual(rooms[0].isFull, false);
+	assert.strictEqual(rooms[0].phase, "waiting");
+});
+
+test("room changes are pushed to the lobby for public rooms only", (t) => {
+	const publicRoom = createStoredRoom("alice", { rules: { maxPlayers: 2 } });
+	const privateRoom = createStoredRoom("bob", { visibility: "private" });
+	t.after(() => {
+		for (const room of [publicRoom, privateRoom]) {
+			room.clearGameTimers();
+			roomService.removeRoom(room.roomId);
+		}
+	});
+	emitted.length = 0;
+
+	publicRoom.addPlayer("dave", "socket-dave");
+	privateRoom.addPlayer("erin", "socket-erin");
+
+	const updates = emitted.filter((entry) => entry.channel === lobbyService.LOBBY_ROOM);
+	assert.strictEqual(updates.length, 1);
+	assert.strictEqual(updates[0].message.change, "filled");
+	assert.strictEqual(updates[0].message.room.isFull, true);
+	assert.strictEqual(lobbyService.publishRoomUpdate(privateRoom, "updated"), false);
+});
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const userModel = require("../../src/model/userModel.js");
+const matchModel = require("../../src/model/matchModel.js");
+const ratingModel = require("../../src/model/ratingModel.js");
+const profileService = require("../../src/services/profile-service.js");
+
+/**
+ * Replaces the model queries a profile is built from, for the length of a test.
+ *
+ * @param {TestContext} t - The test context.
+ * @param {Object|null} user - The user row, null for an unknown user.
+ */
+function fakeProfileQueries(t, user) {
+	const original = {
+		getPublicUserByUsername: userModel.getPublicUserByUsername,
+		getWordStatsByUsername: matchModel.getWordStatsByUsername,
+		getRecentMatchesByUsername: matchModel.getRecentMatchesByUsername,
+		getRatingHistoryByUsername: ratingModel.getRatingHistoryByUsername,
+	};
+	t.after(() => {
+		userModel.getPublicUserByUsername = original.getPublicUserByUsername;
+		matchModel.getWordStatsByUsername = original.getWordStatsByUsername;
+		matchModel.getRecentMatchesByUsername = original.getRecentMatchesByUsername;
+		ratingModel.getRatingHistoryByUsername = original.getRatingHistoryByUsername;
+	});
+
+	userModel.getPublicUserByUsername = async () => user;
+	matchModel.getWordStatsByUsername = async () => ({
+		wordsPlayed: 12,
+		averagePointsPerWord: 7.345,
+		longestWord: { word: "quizzical", playedAt: "2024-05-01 10:00:00" },
+		favouriteStartingLetters: [{ letter: "e", timesPlayed: 5 }],
+	});
+	matchModel.getRecentMatchesByUsername = async ({ limit }) => [{ matchId: 1, placement: 1, limit }];
+	ratingModel.getRatingHistoryByUsername = async () => [{ matchId: 1, change: 16 }];
+}
+
+test("getProfile combines account stats with the match history", async (t) => {
+	fakeProfileQueries(t, {
+		username: "alice",
+		dateOfCreation: "2024-01-01 00:00:00",
+		gamesPlayed: 3,
+		gamesWon: 2,
+		rating: 1216.4,
+		ratedGames: 3,
+	});
+
+	const profile = await profileService.getProfile("alice");
+	assert.strictEqual(profile.username, "alice");
+	assert.strictEqual(profile.rating, 1216);
+	assert.strictEqual(profile.isRatingProvisional, true);
+	assert.strictEqual(profile.winRate, 0.667);
+	assert.strictEqual(profile.wordsPlayed, 12);
+	assert.strictEqual(profile.averagePointsPerWord, 7.3);
+	assert.strictEqual(profile.longestWord.word, "quizzical");
+	assert.deepStrictEqual(profile.favouriteStartingLetters, [{ letter: "e", timesPlayed: 5 }]);
+	assert.strictEqual(profile.recentMatches[0].limit, 10);
+	assert.deepStrictEqual(profile.ratingHistory, [{ matchId: 1, change: 16 }]);
+});
+
+test("getProfile gives players without games a zero win rate", async (t) => {
+	fakeProfileQueries(t, {
+		username: "bob",
+		dateOfCreation: "2024-01-01 00:00:00",
+		gamesPlayed: 0,
+		gamesWon: 0,
+		rating: 1200,
+		ratedGames: 0,
+	});
+
+	assert.strictEqual((await profileService.getProfile("bob")).winRate, 0);
+});
+
+test("getProfile returns null for unknown users", async (t) => {
+	fakeProfileQueries(t, null);
+
+	assert.strictEqual(await profileService.getProfile("mallory"), null);
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const userModel = require("../../src/model/userModel.js");
+const ratingModel = require("../../src/model/ratingModel.js");
+const ratingService = require("../../src/services/rating-service.js");
+
+/**
+ * Builds a rated player.
+ *
+ * @param {string} username - The username of the player.
+ * @param {number} placement - The player's final placement.
+ * @param {number} [ratedGames] - The number of rated games played, established by default.
+ * @returns {Object} The player.
+ */
+function createPlayer(username, placement, ratedGames = ratingService.PROVISIONAL_GAMES) {
+	return { username, rating: ratingService.INITIAL_RATING, ratedGames, placement };
+}
+
+test("calculateRatingChanges scores every pair of players by placement", () => {
+	const changes = ratingService.calculateRatingChanges([
+		createPlayer("alice", 1),
+		createPlayer("bob", 2),
+		createPlayer("carol", 3),
+	]);
+
+	assert.strictEqual(changes.get("alice").change, 16);
+	assert.strictEqual(changes.get("bob").change, 0);
+	assert.strictEqual(changes.get("carol").change, -16);
+	assert.strictEqual(changes.get("carol").ratingAfter, ratingService.INITIAL_RATING - 16);
+});
+
+test("calculateRatingChanges treats shared placements as draws and moves provisional ratings faster", () => {
+	const draw = ratingService.calculateRatingChanges([createPlayer("alice", 1), createPlayer("bob", 1)]);
+	assert.strictEqual(draw.get("alice").change, 0);
+
+	const provisional = ratingService.calculateRatingChanges([createPlayer("alice", 1, 0), createPlayer("bob", 2)]);
+	assert.strictEqual(provisional.get("alice").change, 32);
+	assert.strictEqual(provisional.get("bob").change, -16);
+
+	assert.strictEqual(ratingService.calculateRatingChanges([createPlayer("alice", 1)]).get("alice").change, 0);
+});
+
+test("updateRatings saves every change and the rating history", async (t) => {
+	const originalUserModel = { ...userModel };
+	const originalRatingModel = { ...ratingModel };
+	t.after(() => {
+		Object.assign(userModel, originalUserModel);
+		Object.assign(ratingModel, originalRatingModel);
+	});
+
+	const updates = [];
+	let history = null;
+	userModel.getRatingsByUsernames = async ({ usernames }) => usernames.map((username, index) => ({
+		id: index + 1,
+		username,
+		rating: ratingService.INITIAL_RATING,
+		ratedGames: ratingService.PROVISIONAL_GAMES,
+	}));
+	userModel.updateRatingById = async (update) => {
+		updates.push(update);
+	};
+	ratingModel.addRatingHistory = async (data) => {
+		history = data;
+	};
+
+	const changes = await ratingService.updateRatings([
+		{ username: "alice", placement: 1 },
+		{ username: "bob", placement: 2 },
+	], 7);
+
+	assert.strictEqual(changes.size, 2);
+	assert.deepStrictEqual(updates, [
+		{ id: 1, rating: ratingService.INITIAL_RATING + 16 },
+		{ id: 2, rating: ratingService.INITIAL_RATING - 16 },
+	]);
+	assert.strictEqual(history.matchId, 7);
+	assert.deepStrictEqual(history.entries.map((entry) => entry.placement), [1, 2]);
+
+	// a game needs two rated players
+	assert.strictEqual((await ratingService.updateRatings([{ username: "alice", placement: 1 }], 8)).size, 0);
+});
@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const roomService = require("../../src/services/room-service.js");
+
+/**
+ * Builds the parts of a room the store looks at.
+ *
+ * @param {string} roomId - The ID of the room.
+ * @param {Array<string>} usernames - The players.
+ * @param {Array<string>} [spectators] - The spectators.
+ * @returns {Object} The room.
+ */
+function createStoredRoom(roomId, usernames, spectators = []) {
+	return {
+		roomId,
+		playersMap: new Map(usernames.map((username) => [username, {}])),
+		spectatorsMap: new Map(spectators.map((username) => [username, {}])),
+	};
+}
+
+test("rooms are found by id or join code until they are removed", () => {
+	const room = createStoredRoom(roomService.generateRoomId(), ["alice"]);
+	roomService.addRoom(room);
+
+	assert.strictEqual(roomService.getRoom(room.roomId), room);
+	assert.strictEqual(roomService.getRoomByCodeOrId(room.roomId), room);
+	assert.strictEqual(roomService.getRoomByCodeOrId(room.joinCode.toLowerCase()), room);
+
+	assert.ok(roomService.removeRoom(room.roomId));
+	assert.strictEqual(roomService.getRoom(room.roomId), undefined);
+	assert.strictEqual(roomService.getRoomByCodeOrId(room.joinCode), undefined);
+	assert.strictEqual(roomService.getRoomByCodeOrId(""), undefined);
+});
+
+test("findRoomsByUsername finds every room a player has a seat in", (t) => {
+	const finished = createStoredRoom("room-finished", ["alice", "bob"]);
+	const reserved = createStoredRoom("room-reserved", ["alice", "carol"], ["dave"]);
+	roomService.addRoom(finished);
+	roomService.addRoom(reserved);
+	t.after(() => {
+		roomService.removeRoom(finished.roomId);
+		roomService.removeRoom(reserved.roomId);
+	});
+
+	assert.deepStrictEqual(roomService.findRoomsByUsername("alice"), [finished, reserved]);
+	assert.deepStrictEqual(roomService.findRoomsByUsername("carol"), [reserved]);
+	assert.deepStrictEqual(roomService.findRoomsByUsername("dave"), []);
+	assert.strictEqual(roomService.findRoomBySpectator("dave"), reserved);
+});
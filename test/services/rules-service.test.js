@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const rulesService = require("../../src/services/rules-service.js");
+
+test("validateRules fills in defaults", () => {
+	assert.deepStrictEqual(rulesService.validateRules().rules, rulesService.DEFAULT_RULES);
+
+	const result = rulesService.validateRules({ maxPlayers: 6, mode: "elimination" });
+	assert.ok(result.valid);
+	assert.strictEqual(result.rules.maxPlayers, 6);
+	assert.strictEqual(result.rules.mode, "elimination");
+	assert.strictEqual(result.rules.turnTimeSeconds, rulesService.DEFAULT_RULES.turnTimeSeconds);
+});
+
+test("validateRules rejects unknown rules, bad types and out of range values", () => {
+	assert.strictEqual(rulesService.validateRules("fast").reason, "Rules must be an object");
+	assert.strictEqual(rulesService.validateRules([]).reason, "Rules must be an object");
+	assert.match(rulesService.validateRules({ speed: 1 }).reason, /Unknown rule 'speed'/);
+	assert.match(rulesService.validateRules({ toString: "fast" }).reason, /Unknown rule 'toString'/);
+	assert.match(rulesService.validateRules(JSON.parse('{"constructor": 1}')).reason, /Unknown rule 'constructor'/);
+	assert.match(rulesService.validateRules({ maxPlayers: 1 }).reason, /between 2 and 8/);
+	assert.match(rulesService.validateRules({ maxPlayers: 2.5 }).reason, /whole number/);
+	assert.match(rulesService.validateRules({ mode: "battle" }).reason, /must be one of/);
+	assert.match(rulesService.validateRules({ chainRule: "rhymes" }).reason, /'chainRule' must be one of/);
+});
+
+test("validateRules checks the category of category chains", () => {
+	assert.match(rulesService.validateRules({ chainRule: "category" }).reason, /'chainCategory' must be one of/);
+
+	const result = rulesService.validateRules({ chainRule: "category", chainCategory: "animals" });
+	assert.ok(result.valid);
+	assert.strictEqual(result.rules.chainCategory, "animals");
+
+	// only category chains keep a category
+	assert.strictEqual(rulesService.validateRules({ chainCategory: "animals" }).rules.chainCategory, null);
+});
+
+test("validateRules checks the challenge dictionary", () => {
+	assert.match(rulesService.validateRules({ challengeResolution: "dictionary" }).reason, /'challengeDictionary'/);
+	assert.match(rulesService.validateRules({ challengeDictionary: "klingon" }).reason, /'challengeDictionary'/);
+
+	const dictionaryChallenges = rulesService.validateRules({ challengeResolution: "dictionary", challengeDictionary: "enable" });
+	assert.ok(dictionaryChallenges.valid);
+
+	// vote challenges may name a fallback dictionary
+	assert.strictEqual(rulesService.validateRules({ challengeDictionary: "kid-safe" }).rules.challengeDictionary, "kid-safe");
+});
+
+test("getRoomExpiryMs leaves a buffer after the game length", () => {
+	const rules = rulesService.validateRules({ gameLengthMinutes: 10 }).rules;
+	assert.ok(rulesService.getRoomExpiryMs(rules) > 10 * 60 * 1000);
+});
@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const scoringService = require("../../src/services/scoring-service.js");
+
+test("getLetterValue folds case and accents", () => {
+	assert.strictEqual(scoringService.getLetterValue("q"), 10);
+	assert.strictEqual(scoringService.getLetterValue("Q"), 10);
+	assert.strictEqual(scoringService.getLetterValue("á"), 1);
+	assert.strictEqual(scoringService.getLetterValue("ñ"), 1);
+	assert.strictEqual(scoringService.getLetterValue("-"), 0);
+});
+
+test("getStreakMultiplier grows with the streak up to the cap", () => {
+	assert.strictEqual(scoringService.getStreakMultiplier(0), 1);
+	assert.strictEqual(scoringService.getStreakMultiplier(1), 1);
+	assert.strictEqual(scoringService.getStreakMultiplier(3), 1.2);
+	assert.strictEqual(scoringService.getStreakMultiplier(50), 2);
+});
+
+test("scoreWordPlay adds letters, rare letters and speed, then applies the streak", () => {
+	const instant = scoringService.scoreWordPlay({ word: "quiz", timeTakenMs: 0, turnTimeMs: 10000, streak: 1 });
+	assert.deepStrictEqual(instant, {
+		letterPoints: 22,
+		rareLetterBonus: 6,
+		speedBonus: 5,
+		streak: 1,
+		streakMultiplier: 1,
+		total: 33,
+	});
+
+	const late = scoringService.scoreWordPlay({ word: "quiz", timeTakenMs: 20000, turnTimeMs: 10000, streak: 3 });
+	assert.strictEqual(late.speedBonus, 0);
+	assert.strictEqual(late.total, Math.round(28 * 1.2));
+});
+
+test("penalties and trap bonuses have a signed total", () => {
+	assert.deepStrictEqual(scoringService.scorePenalty("timeout", 5), { reason: "timeout", penalty: 5, total: -5 });
+	assert.deepStrictEqual(scoringService.scoreTrapBonus(10), { reason: "trap", bonus: 10, total: 10 });
+});
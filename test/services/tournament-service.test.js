@@ -0,0 +1,161 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const userModel = require("../../src/model/userModel.js");
+const tournamentModel = require("../../src/model/tournamentModel.js");
+const tournamentService = require("../../src/services/tournament-service.js");
+
+// tournament and room updates go nowhere, socket.io itself is not needed
+global.io = {
+	to: () => ({ emit() {} }),
+	in: () => ({ socketsLeave() {} }),
+};
+
+const NO_SHOW_MS = 60 * 1000;
+
+/**
+ * Fakes the models a tournament uses and the timers it sets, for the length of a test.
+ *
+ * @param {TestContext} t - The test context.
+ */
+function setUpTournamentTest(t) {
+	const original = { getExistingUsernames: userModel.getExistingUsernames, ...tournamentModel };
+
+	userModel.getExistingUsernames = async ({ usernames }) => usernames;
+	tournamentModel.createTournament = async () => 1;
+	tournamentModel.addTournamentEntrants = async () => {};
+	tournamentModel.addTournamentMatches = async () => {};
+	t.mock.timers.enable(["setTimeout"]);
+
+	t.after(() => {
+		userModel.getExistingUsernames = original.getExistingUsernames;
+		Object.assign(tournamentModel, original);
+	});
+}
+
+/**
+ * Creates a tournament where every invitee accepts, then starts it.
+ *
+ * @param {string} format - The tournament format.
+ * @param {Array<string>} usernames - The entrants, best seed first. The first one is the organiser.
+ * @returns {Promise<Object>} The running tournament.
+ */
+async function startTournamentWith(format, usernames) {
+	const { tournament } = await tournamentService.createTournament({
+		organiser: usernames[0],
+		format,
+		invitees: usernames,
+		noShowMinutes: NO_SHOW_MS / 60000,
+	});
+	for (const username of usernames.slice(1)) {
+		tournamentService.respondToInvitation(tournament.id, username, true);
+	}
+	assert.ok(tournamentService.startTournament(tournament.id, usernames[0]).valid);
+	return tournament;
+}
+
+/**
+ * Lets every match of the current round pass its no-show deadline.
+ *
+ * @param {TestContext} t - The test context.
+ */
+function skipRound(t) {
+	t.mock.timers.tick(NO_SHOW_MS);
+}
+
+/**
+ * Gets the pairings of every round so far.
+ *
+ * @param {Object} tournament - The tournament.
+ * @returns {Array<Array<Array<string>>>} The players of each match, round by round.
+ */
+function getPairings(tournament) {
+	return tournament.rounds.map((round) => round.matches.map((match) => match.players));
+}
+
+test("createTournament checks the invitees", async (t) => {
+	setUpTournamentTest(t);
+
+	const notAList = await tournamentService.createTournament({ organiser: "alice", format: "swiss", invitees: "bob" });
+	assert.strictEqual(notAList.reason, "Invitees must be a list of usernames");
+
+	const tooFew = await tournamentService.createTournament({ organiser: "alice", format: "swiss", invitees: ["bob"] });
+	assert.match(tooFew.reason, /needs between/);
+
+	const twice = await tournamentService.createTournament({ organiser: "alice", format: "swiss", invitees: ["bob", "bob"] });
+	assert.strictEqual(twice.reason, "Every player can only be invited once");
+
+	userModel.getExistingUsernames = async () => ["bob"];
+	const unknown = await tournamentService.createTournament({ organiser: "alice", format: "swiss", invitees: ["bob", "carol"] });
+	assert.strictEqual(unknown.reason, "Unknown invitees: carol");
+});
+
+test("only invitees who accept are entered", async (t) => {
+	setUpTournamentTest(t);
+
+	const { tournament } = await tournamentService.createTournament({
+		organiser: "alice",
+		format: "roundRobin",
+		invitees: ["alice", "bob", "carol"],
+	});
+	assert.deepStrictEqual(tournament.invitations.map((invitation) => invitation.status), ["accepted", "invited", "invited"]);
+
+	assert.strictEqual(tournamentService.respondToInvitation(tournament.id, "mallory", true).reason, "You are not invited to this tournament");
+	assert.match(tournamentService.startTournament(tournament.id, "alice").reason, /need to accept first/);
+	assert.strictEqual(tournamentService.startTournament(tournament.id, "bob").reason, "Only the organiser can start the tournament");
+
+	tournamentService.respondToInvitation(tournament.id, "bob", true);
+	tournamentService.respondToInvitation(tournament.id, "carol", false);
+	assert.ok(tournamentService.startTournament(tournament.id, "alice").valid);
+
+	assert.deepStrictEqual(tournament.entrants.map((entrant) => entrant.username), ["alice", "bob"]);
+	assert.strictEqual(tournamentService.respondToInvitation(tournament.id, "carol", true).reason, "Tournament has already started");
+});
+
+test("tournaments that never start expire", async (t) => {
+	setUpTournamentTest(t);
+
+	const { tournament } = await tournamentService.createTournament({ organiser: "alice", format: "swiss", invitees: ["bob", "carol"] });
+	assert.strictEqual(tournamentService.listTournaments().find((summary) => summary.id === tournament.id).entrantCount, 0);
+
+	t.mock.timers.tick(24 * 60 * 60 * 1000);
+	assert.strictEqual(tournament.status, "expired");
+	assert.strictEqual(tournamentService.getTournament(tournament.id), null);
+});
+
+test("a round robin pairs everyone with everyone else once", async (t) => {
+	setUpTournamentTest(t);
+	const usernames = ["alice", "bob", "carol", "dave", "erin"];
+
+	const tournament = await startTournamentWith("roundRobin", usernames);
+	assert.strictEqual(tournament.totalRounds, 5);
+	while (tournament.status === "running") skipRound(t);
+
+	const pairings = getPairings(tournament);
+	assert.strictEqual(pairings.length, 5);
+
+	const meetings = pairings.flat().filter((players) => players.length === 2).map((players) => [...players].sort().join(" v "));
+	assert.strictEqual(meetings.length, 10);
+	assert.strictEqual(new Set(meetings).size, 10);
+
+	// with an odd field everyone sits out exactly once
+	const byes = pairings.flat().filter((players) => players.length === 1).map(([username]) => username);
+	assert.deepStrictEqual(byes.sort(), [...usernames].sort());
+});
+
+test("swiss rounds give the bye to the lowest ranked player without one and avoid rematches", async (t) => {
+	setUpTournamentTest(t);
+
+	const tournament = await startTournamentWith("swiss", ["alice", "bob", "carol"]);
+	assert.deepStrictEqual(getPairings(tournament), [[["carol"], ["alice", "bob"]]]);
+
+	// nobody shows up, so carol leads on her bye
+	skipRound(t);
+	assert.deepStrictEqual(getPairings(tournament)[1], [["bob"], ["carol", "alice"]]);
+
+	// bob and carol finish level on their byes
+	skipRound(t);
+	assert.strictEqual(tournament.status, "finished");
+	assert.deepStrictEqual(tournament.entrants.map((entrant) => entrant.placement), [3, 1, 1]);
+	assert.strictEqual(tournament.champion, null);
+});